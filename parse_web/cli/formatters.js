@@ -0,0 +1,195 @@
+// ============================================
+// CLI 리포트 출력 형식 (text / json / markdown)
+// ============================================
+
+import { formatLocation } from '../src/engine/index.js';
+
+const issueLocation = (issue) => (issue.loc ? ` (${formatLocation(issue.loc)})` : '');
+
+const fileRows = (results) => results.files.map(file => ({
+  filename: file.filename,
+  loc: file.loc,
+  lines: file.lines ?? null,
+  qualityScore: file.qualityScore ?? 0,
+  accessibilityScore: file.accessibilityScore ?? null,
+  cyclomaticComplexity: file.metrics?.cyclomaticComplexity ?? null,
+  cognitiveComplexity: file.metrics?.cognitiveComplexity ?? null,
+  maintainabilityIndex: file.metrics?.maintainabilityIndex ?? null,
+  halstead: file.metrics?.halstead ?? null,
+  issues: file.issues || [],
+  error: file.error || null,
+}));
+
+// 모듈 그래프가 없는 결과(이전 버전 리포트)는 null
+const moduleGraphSummary = (results) => {
+  const graph = results.moduleGraph;
+  if (!graph) return null;
+  return {
+    modules: graph.nodes.length,
+    imports: graph.edges.length,
+    externalPackages: graph.externalPackages.map(pkg => pkg.name),
+    cycles: graph.cycles.map(cycle => cycle.path),
+    unresolved: graph.unresolved,
+  };
+};
+
+// 미사용 코드 탐지 결과가 없는 결과(이전 버전 리포트)는 null
+const deadCodeSummary = (results) => {
+  const deadCode = results.deadCode;
+  if (!deadCode) return null;
+  const at = (item) => (item.loc ? `${item.file}:${item.loc.start.line}` : item.file);
+  return {
+    entryPoints: deadCode.entryPoints,
+    entryFiles: deadCode.entryFiles,
+    unusedExports: deadCode.unusedExports.map(item => ({ name: item.name, kind: item.kind, at: at(item) })),
+    unusedFunctions: deadCode.unusedFunctions.map(item => ({ name: item.name, at: at(item) })),
+    unrenderedComponents: deadCode.unrenderedComponents.map(item => ({ name: item.name, at: at(item) })),
+    unusedImports: deadCode.unusedImports.map(item => ({ name: item.local, source: item.source, at: at(item) })),
+    unusedVariables: deadCode.unusedVariables.map(item => ({ name: item.name, at: at(item) })),
+  };
+};
+
+const DEAD_CODE_SECTIONS = [
+  { key: 'unusedExports', label: '아무도 import하지 않는 export' },
+  { key: 'unusedFunctions', label: '쓰이지 않는 함수' },
+  { key: 'unrenderedComponents', label: '렌더링되지 않는 컴포넌트' },
+  { key: 'unusedImports', label: '쓰이지 않는 import' },
+  { key: 'unusedVariables', label: '쓰이지 않는 변수' },
+];
+
+const formatText = (results, { threshold }) => {
+  const { summary } = results;
+  const lines = [
+    'React Code Analyzer',
+    '',
+    `파일 수            ${summary.totalFiles}`,
+    `총 LOC             ${summary.totalLOC} (SLOC ${summary.totalSLOC}, 주석 ${summary.totalCommentLines}, 빈 줄 ${summary.totalBlankLines})`,
+    `주석 밀도          ${summary.commentDensity}%`,
+    `함수 / 컴포넌트    ${summary.totalFunctions} / ${summary.totalComponents}`,
+    `평균 품질 점수     ${summary.avgQualityScore}${threshold != null ? ` (기준 ${threshold})` : ''}`,
+    `점수 프로필        ${summary.scoringProfile?.name ?? '기본'}`,
+    `평균 접근성 점수   ${summary.avgAccessibilityScore ?? '-'} (접근성 이슈 ${summary.totalAccessibilityIssues})`,
+    `평균 순환 복잡도   ${summary.avgCyclomaticComplexity}`,
+    `평균 인지 복잡도   ${summary.avgCognitiveComplexity}`,
+    `평균 유지보수 지수 ${summary.avgMaintainabilityIndex}`,
+    `Halstead           볼륨 ${summary.avgHalsteadVolume} / 난이도 ${summary.avgHalsteadDifficulty} (파일 평균), 예상 버그 ${summary.totalEstimatedBugs}`,
+    `이슈               ${summary.totalIssues}`,
+    '',
+  ];
+
+  fileRows(results).forEach(row => {
+    if (row.error) {
+      lines.push(`  ✗ ${row.filename}  파싱 에러: ${row.error}`);
+      return;
+    }
+    lines.push(`  ${String(row.qualityScore).padStart(3)}점  ${row.filename}  (LOC ${row.loc}, CC ${row.cyclomaticComplexity}, 인지 ${row.cognitiveComplexity}, MI ${row.maintainabilityIndex}${row.accessibilityScore != null ? `, 접근성 ${row.accessibilityScore}` : ''})`);
+    row.issues.forEach(issue => lines.push(`         - [${issue.severity}] ${issue.message}${issueLocation(issue)}`));
+  });
+
+  const modules = moduleGraphSummary(results);
+  if (modules) {
+    lines.push('', `모듈 그래프        파일 ${modules.modules}, import 관계 ${modules.imports}, 외부 패키지 ${modules.externalPackages.length}, 순환 ${modules.cycles.length}`);
+    modules.cycles.forEach(path => lines.push(`  🔁 ${path.join(' → ')}`));
+    modules.unresolved.forEach(({ from, source }) => lines.push(`  ? ${from}: '${source}'를 찾을 수 없음`));
+  }
+
+  const deadCode = deadCodeSummary(results);
+  if (deadCode) {
+    lines.push('', `미사용 코드        진입점 ${deadCode.entryFiles.length > 0 ? deadCode.entryFiles.join(', ') : `없음 (${deadCode.entryPoints.join(', ')})`}`);
+    DEAD_CODE_SECTIONS.forEach(({ key, label }) => {
+      if (deadCode[key].length === 0) return;
+      lines.push(`  ${label} ${deadCode[key].length}`);
+      deadCode[key].forEach(item => lines.push(`    - ${item.name}${item.source ? ` ('${item.source}')` : ''}  ${item.at}`));
+    });
+  }
+
+  return lines.join('\n');
+};
+
+const formatJson = (results, { threshold }) => {
+  const { dependencyAnalysis: _dependencyAnalysis, ...summary } = results.summary;
+  return JSON.stringify({
+    threshold: threshold ?? null,
+    summary,
+    moduleGraph: moduleGraphSummary(results),
+    deadCode: deadCodeSummary(results),
+    files: fileRows(results),
+  }, null, 2);
+};
+
+const escapeCell = (value) => String(value).replace(/\|/g, '\\|');
+
+const formatMarkdown = (results, { threshold }) => {
+  const { summary } = results;
+  const lines = [
+    '# React Code Analyzer 리포트',
+    '',
+    '| 항목 | 값 |',
+    '| --- | --- |',
+    `| 파일 수 | ${summary.totalFiles} |`,
+    `| 총 LOC | ${summary.totalLOC} (SLOC ${summary.totalSLOC}, 주석 ${summary.totalCommentLines}, 빈 줄 ${summary.totalBlankLines}) |`,
+    `| 주석 밀도 | ${summary.commentDensity}% |`,
+    `| 평균 품질 점수 | ${summary.avgQualityScore}${threshold != null ? ` (기준 ${threshold})` : ''} |`,
+    `| 점수 프로필 | ${summary.scoringProfile?.name ?? '기본'} |`,
+    `| 평균 접근성 점수 | ${summary.avgAccessibilityScore ?? '-'} (접근성 이슈 ${summary.totalAccessibilityIssues}) |`,
+    `| 평균 순환 복잡도 | ${summary.avgCyclomaticComplexity} |`,
+    `| 평균 인지 복잡도 | ${summary.avgCognitiveComplexity} |`,
+    `| 평균 유지보수 지수 | ${summary.avgMaintainabilityIndex} |`,
+    `| Halstead 볼륨 / 난이도 (파일 평균) | ${summary.avgHalsteadVolume} / ${summary.avgHalsteadDifficulty} |`,
+    `| 예상 버그 (Halstead) | ${summary.totalEstimatedBugs} |`,
+    `| 이슈 | ${summary.totalIssues} |`,
+    '',
+    '## 파일별 결과',
+    '',
+    '| 파일 | 점수 | LOC | CC | MI | 이슈 |',
+    '| --- | ---: | ---: | ---: | ---: | ---: |',
+  ];
+
+  fileRows(results).forEach(row => {
+    if (row.error) {
+      lines.push(`| ${escapeCell(row.filename)} | - | ${row.loc} | - | - | 파싱 에러 |`);
+      return;
+    }
+    lines.push(`| ${escapeCell(row.filename)} | ${row.qualityScore} | ${row.loc} | ${row.cyclomaticComplexity} | ${row.maintainabilityIndex} | ${row.issues.length} |`);
+  });
+
+  const issueLines = fileRows(results).flatMap(row =>
+    row.issues.map(issue => `- \`${row.filename}${issueLocation(issue)}\` **${issue.severity}** — ${issue.message}`));
+  if (issueLines.length > 0) {
+    lines.push('', '## 이슈', '', ...issueLines);
+  }
+
+  const modules = moduleGraphSummary(results);
+  if (modules) {
+    lines.push(
+      '', '## 모듈 그래프', '',
+      `파일 ${modules.modules}개, import 관계 ${modules.imports}개, 외부 패키지 ${modules.externalPackages.length}개, 순환 import ${modules.cycles.length}개`,
+    );
+    if (modules.cycles.length > 0) {
+      lines.push('', ...modules.cycles.map(path => `- 🔁 ${path.map(file => `\`${file}\``).join(' → ')}`));
+    }
+    if (modules.unresolved.length > 0) {
+      lines.push('', ...modules.unresolved.map(({ from, source }) => `- ❓ \`${from}\`: \`${source}\`를 찾을 수 없음`));
+    }
+  }
+
+  const deadCode = deadCodeSummary(results);
+  if (deadCode) {
+    lines.push('', '## 미사용 코드', '', `진입점: ${deadCode.entryFiles.length > 0
+      ? deadCode.entryFiles.map(file => `\`${file}\``).join(', ')
+      : `없음 (${deadCode.entryPoints.map(pattern => `\`${pattern}\``).join(', ')})`}`);
+    DEAD_CODE_SECTIONS.forEach(({ key, label }) => {
+      if (deadCode[key].length === 0) return;
+      lines.push('', `### ${label} (${deadCode[key].length})`, '',
+        ...deadCode[key].map(item => `- \`${item.name}\`${item.source ? ` from \`${item.source}\`` : ''} — \`${item.at}\``));
+    });
+  }
+
+  return lines.join('\n');
+};
+
+export const FORMATTERS = {
+  text: formatText,
+  json: formatJson,
+  markdown: formatMarkdown,
+};
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// ============================================
+// React Code Analyzer CLI
+// 폴더 또는 ZIP을 분석하여 리포트를 출력하고, 평균 품질 점수가 기준 미만이면 실패 코드로 종료
+// ============================================
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { analyzeProject, getPresetProfile, normalizeProfile, resolveRules } from '../src/engine/index.js';
+import { loadFiles } from './loadFiles.js';
+import { FORMATTERS } from './formatters.js';
+
+const EXIT_OK = 0;
+const EXIT_BELOW_THRESHOLD = 1;
+// 잘못된 인자, 읽을 수 없는 경로, 분석·출력 실패 (기준 점수 미달과 구분)
+const EXIT_ERROR = 2;
+
+const USAGE = `사용법: react-code-analyzer <폴더|파일.zip> [옵션]
+
+옵션:
+  -f, --format <text|json|markdown>  출력 형식 (기본값: text)
+  -t, --threshold <점수>             평균 품질 점수가 이 값 미만이면 종료 코드 1
+  -p, --profile <프리셋|파일.json>   점수 프로필 (default, strict, legacy, library 또는 JSON 파일)
+  -r, --rules <파일.js>              린트 규칙 설정 모듈 (export default { config, rules })
+  -e, --entry <패턴>                 미사용 코드 탐지의 진입점 파일 (여러 번 지정 가능, 기본값: main.*, src/index.*)
+  -h, --help                         도움말 출력`;
+
+// 프리셋 id가 아니면 JSON 파일 경로로 간주
+const loadProfile = async (value) => {
+  const preset = getPresetProfile(value);
+  if (preset) return preset;
+  return normalizeProfile(JSON.parse(await readFile(value, 'utf8')));
+};
+
+// 규칙 모듈: export default { config: { [ruleId]: 'off' | 심각도 }, rules: [사용자 규칙] }
+const loadRuleOptions = async (path) => {
+  if (!path) return {};
+  const { default: ruleModule = {} } = await import(pathToFileURL(resolve(path)).href);
+  const options = { ruleConfig: ruleModule.config, customRules: ruleModule.rules };
+  resolveRules(options.ruleConfig, options.customRules);
+  return options;
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'text' },
+        threshold: { type: 'string', short: 't' },
+        profile: { type: 'string', short: 'p', default: 'default' },
+        rules: { type: 'string', short: 'r' },
+        entry: { type: 'string', short: 'e', multiple: true },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  const format = FORMATTERS[values.format];
+  if (!format) {
+    console.error(`지원하지 않는 출력 형식입니다: ${values.format}`);
+    return EXIT_ERROR;
+  }
+
+  // Number('')는 0이므로 빈 값은 숫자로 바꾸지 않고 잘못된 값으로 봄
+  const threshold = values.threshold?.trim() ? Number(values.threshold) : null;
+  if (values.threshold != null && (threshold == null || Number.isNaN(threshold) || threshold < 0 || threshold > 100)) {
+    console.error(`기준 점수는 0 ~ 100 사이의 숫자여야 합니다: ${values.threshold}`);
+    return EXIT_ERROR;
+  }
+
+  let profile;
+  try {
+    profile = await loadProfile(values.profile);
+  } catch (error) {
+    console.error(`점수 프로필을 불러올 수 없습니다: ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  let ruleOptions;
+  try {
+    ruleOptions = await loadRuleOptions(values.rules);
+  } catch (error) {
+    console.error(`린트 규칙을 불러올 수 없습니다: ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  let loaded;
+  try {
+    loaded = await loadFiles(positionals[0]);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  let results;
+  let report;
+  try {
+    results = await analyzeProject(loaded.files, {
+      profile,
+      configFiles: loaded.configFiles,
+      entryPoints: values.entry,
+      ...ruleOptions,
+    });
+    report = format(results, { threshold });
+  } catch (error) {
+    console.error(`분석에 실패했습니다: ${error.message}`);
+    return EXIT_ERROR;
+  }
+  console.log(report);
+
+  if (threshold != null && results.summary.avgQualityScore < threshold) {
+    console.error(`\n평균 품질 점수 ${results.summary.avgQualityScore}점이 기준 ${threshold}점보다 낮습니다.`);
+    return EXIT_BELOW_THRESHOLD;
+  }
+  return EXIT_OK;
+};
+
+process.exitCode = await main();
@@ -0,0 +1,61 @@
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import JSZip from 'jszip';
+import { isIgnoredPath, isPathConfigFile, shouldAnalyzePath } from '../src/engine/index.js';
+
+const toPosix = (p) => p.split(path.sep).join('/');
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// 폴더를 재귀적으로 읽되, 제외 대상 폴더는 내려가지 않음
+const loadDirectory = async (root) => {
+  const files = [];
+  const configFiles = [];
+
+  const walk = async (dir) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = toPosix(path.relative(root, fullPath));
+
+      if (entry.isDirectory()) {
+        if (!isIgnoredPath(`${relativePath}/`)) await walk(fullPath);
+      } else if (entry.isFile() && shouldAnalyzePath(relativePath)) {
+        files.push({ name: relativePath, content: await readFile(fullPath, 'utf8') });
+      } else if (entry.isFile() && isPathConfigFile(relativePath)) {
+        configFiles.push({ name: relativePath, content: await readFile(fullPath, 'utf8') });
+      }
+    }
+  };
+
+  await walk(root);
+  return { files: files.sort(byName), configFiles: configFiles.sort(byName) };
+};
+
+// 웹 앱의 ZIP 업로드와 같은 규칙으로 항목을 거름
+const loadZip = async (zipPath) => {
+  const zip = new JSZip();
+  const contents = await zip.loadAsync(await readFile(zipPath));
+
+  const paths = Object.keys(contents.files).filter(p => !contents.files[p].dir);
+  const read = async (p) => ({ name: p, content: await contents.files[p].async('string') });
+
+  const files = [];
+  const configFiles = [];
+  for (const p of paths) {
+    if (shouldAnalyzePath(p)) files.push(await read(p));
+    else if (isPathConfigFile(p)) configFiles.push(await read(p));
+  }
+  return { files, configFiles };
+};
+
+// 소스 파일과 import 경로 별칭용 설정 파일(tsconfig/jsconfig)을 함께 읽는다
+export const loadFiles = async (target) => {
+  const info = await stat(target);
+  if (info.isDirectory()) return loadDirectory(target);
+  if (target.endsWith('.zip')) return loadZip(target);
+  if (shouldAnalyzePath(path.basename(target))) {
+    return { files: [{ name: path.basename(target), content: await readFile(target, 'utf8') }], configFiles: [] };
+  }
+  throw new Error(`분석할 수 없는 파일 형식입니다: ${target}`);
+};
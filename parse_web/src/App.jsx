@@ -1,6 +1,5 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import JSZip from 'jszip';
-import * as parser from '@babel/parser';
 import {
   RadarChart,
   PolarGrid,
@@ -10,354 +9,52 @@ import {
   ResponsiveContainer,
   Tooltip,
 } from 'recharts';
-
-const analyzeCode = (code, filename) => {
-  const startTime = performance.now();
-  
-  try {
-    const ast = parser.parse(code, {
-      sourceType: 'module',
-      plugins: ['jsx', 'typescript', 'decorators-legacy', 'classProperties'],
-      errorRecovery: true,
-    });
-
-    const analysis = {
-      filename,
-      functions: [],
-      variables: [],
-      eventHandlers: [],
-      components: [],
-      hooks: [],
-      imports: [],
-      exports: [],
-      complexity: { depth: 0, branches: 0, loops: 0 },
-      issues: [],
-      loc: code.split('\n').length,
-      metrics: {
-        cyclomaticComplexity: 1,
-        cbo: 0,
-        wmc: 0,
-        maintainabilityIndex: 100,
-      },
-      // 의존성 분석을 위한 새로운 구조
-      dependencyAnalysis: {
-        components: [],
-        allFunctions: [],
-        dependencies: [],
-        jsxUsages: {},
-        functionCalls: {},
-        importedModules: [],
-      }
-    };
-
-    let currentFunction = null;
-    const functionDependencies = {};
-    const allDefinedFunctions = new Set();
-    const functionTypes = {}; // 함수 타입 저장 (component, handler, helper)
-
-    const traverse = (node, depth = 0, parentFunction = null) => {
-      if (!node || typeof node !== 'object') return;
-      
-      analysis.complexity.depth = Math.max(analysis.complexity.depth, depth);
-
-      // 함수 선언 감지
-      if (node.type === 'FunctionDeclaration' && node.id?.name) {
-        const funcName = node.id.name;
-        analysis.functions.push(funcName);
-        analysis.metrics.wmc++;
-        allDefinedFunctions.add(funcName);
-        
-        // 함수 타입 분류
-        if (/^[A-Z]/.test(funcName)) {
-          analysis.components.push(funcName);
-          analysis.dependencyAnalysis.components.push(funcName);
-          functionTypes[funcName] = 'component';
-        } else if (/^(handle|on)[A-Z]/.test(funcName)) {
-          analysis.eventHandlers.push(funcName);
-          functionTypes[funcName] = 'handler';
-        } else {
-          functionTypes[funcName] = 'helper';
-        }
-        
-        analysis.dependencyAnalysis.allFunctions.push(funcName);
-        
-        if (!functionDependencies[funcName]) {
-          functionDependencies[funcName] = {};
-        }
-        
-        // 이 함수 내부를 순회할 때 현재 함수 컨텍스트 설정
-        const previousFunction = currentFunction;
-        currentFunction = funcName;
-        
-        for (const key in node) {
-          if (key === 'loc' || key === 'range' || key === 'start' || key === 'end' || key === 'id') continue;
-          const child = node[key];
-          if (Array.isArray(child)) {
-            child.forEach(c => traverse(c, depth + 1, funcName));
-          } else if (child && typeof child === 'object') {
-            traverse(child, depth + 1, funcName);
-          }
-        }
-        
-        currentFunction = previousFunction;
-        return;
-      }
-
-      // 변수 선언자 (화살표 함수, 함수 표현식)
-      if (node.type === 'VariableDeclarator') {
-        if (node.init?.type === 'ArrowFunctionExpression' || 
-            node.init?.type === 'FunctionExpression') {
-          if (node.id?.name) {
-            const funcName = node.id.name;
-            analysis.functions.push(funcName);
-            analysis.metrics.wmc++;
-            allDefinedFunctions.add(funcName);
-            
-            // 함수 타입 분류
-            if (/^[A-Z]/.test(funcName)) {
-              analysis.components.push(funcName);
-              analysis.dependencyAnalysis.components.push(funcName);
-              functionTypes[funcName] = 'component';
-            } else if (/^(handle|on)[A-Z]/.test(funcName)) {
-              analysis.eventHandlers.push(funcName);
-              functionTypes[funcName] = 'handler';
-            } else {
-              functionTypes[funcName] = 'helper';
-            }
-            
-            analysis.dependencyAnalysis.allFunctions.push(funcName);
-            
-            if (!functionDependencies[funcName]) {
-              functionDependencies[funcName] = {};
-            }
-            
-            // 이 함수 내부를 순회할 때 현재 함수 컨텍스트 설정
-            const previousFunction = currentFunction;
-            currentFunction = funcName;
-            
-            for (const key in node.init) {
-              if (key === 'loc' || key === 'range' || key === 'start' || key === 'end') continue;
-              const child = node.init[key];
-              if (Array.isArray(child)) {
-                child.forEach(c => traverse(c, depth + 1, funcName));
-              } else if (child && typeof child === 'object') {
-                traverse(child, depth + 1, funcName);
-              }
-            }
-            
-            currentFunction = previousFunction;
-            return;
-          }
-        } else {
-          if (node.id?.name) {
-            analysis.variables.push(node.id.name);
-          }
-        }
-      }
-
-      // JSX 요소 사용 감지 (의존성)
-      if (node.type === 'JSXElement' || node.type === 'JSXOpeningElement') {
-        const elementName = node.type === 'JSXElement' 
-          ? node.openingElement?.name?.name 
-          : node.name?.name;
-        
-        if (elementName && /^[A-Z]/.test(elementName)) {
-          if (currentFunction) {
-            if (!functionDependencies[currentFunction]) {
-              functionDependencies[currentFunction] = {};
-            }
-            functionDependencies[currentFunction][elementName] = 
-              (functionDependencies[currentFunction][elementName] || 0) + 1;
-          }
-        }
-      }
-
-      // 함수 호출 감지 (모든 함수 호출)
-      if (node.type === 'CallExpression') {
-        let calleeName = null;
-        
-        // 일반 함수 호출: funcName()
-        if (node.callee?.type === 'Identifier') {
-          calleeName = node.callee.name;
-        }
-        // 멤버 표현식: obj.method() - 선택적으로 추적
-        else if (node.callee?.type === 'MemberExpression' && node.callee?.property?.name) {
-          // setState 등은 제외하고 싶으면 여기서 필터링
-        }
-        
-        if (calleeName) {
-          // Hooks 추적
-          if (calleeName.startsWith('use')) {
-            analysis.hooks.push(calleeName);
-          }
-          
-          // 현재 함수에서 다른 함수 호출 추적
-          if (currentFunction && calleeName !== currentFunction) {
-            // 빌트인 함수 제외 (alert, console, setTimeout 등)
-            const builtins = ['alert', 'console', 'setTimeout', 'setInterval', 'clearTimeout', 
-                           'clearInterval', 'parseInt', 'parseFloat', 'isNaN', 'isFinite',
-                           'encodeURI', 'decodeURI', 'encodeURIComponent', 'decodeURIComponent',
-                           'JSON', 'Math', 'Date', 'Array', 'Object', 'String', 'Number',
-                           'Boolean', 'Symbol', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Promise',
-                           'fetch', 'require'];
-            
-            // React hooks와 setState는 제외
-            const isHook = calleeName.startsWith('use');
-            const isSetState = calleeName.startsWith('set') && calleeName.length > 3 && 
-                              calleeName[3] === calleeName[3].toUpperCase();
-            
-            if (!builtins.includes(calleeName) && !isHook && !isSetState) {
-              if (!functionDependencies[currentFunction]) {
-                functionDependencies[currentFunction] = {};
-              }
-              functionDependencies[currentFunction][calleeName] = 
-                (functionDependencies[currentFunction][calleeName] || 0) + 1;
-            }
-          }
-        }
-      }
-
-      // Import 문 분석
-      if (node.type === 'ImportDeclaration') {
-        const importSource = node.source?.value;
-        const importedItems = node.specifiers?.map(s => ({
-          name: s.local?.name,
-          imported: s.imported?.name || s.local?.name,
-          type: s.type
-        })).filter(i => i.name) || [];
-        
-        analysis.imports.push({
-          source: importSource,
-          specifiers: importedItems.map(i => i.name)
-        });
-        
-        analysis.dependencyAnalysis.importedModules.push({
-          source: importSource,
-          items: importedItems
-        });
-        
-        analysis.metrics.cbo++;
-      }
-
-      // Export 분석
-      if (node.type === 'ExportDefaultDeclaration' || 
-          node.type === 'ExportNamedDeclaration') {
-        if (node.declaration?.id?.name) {
-          analysis.exports.push(node.declaration.id.name);
-        }
-      }
-
-      // 복잡도 계산
-      if (['IfStatement', 'ConditionalExpression', 'SwitchCase', 'CatchClause'].includes(node.type)) {
-        analysis.complexity.branches++;
-        analysis.metrics.cyclomaticComplexity++;
-      }
-
-      if (['ForStatement', 'WhileStatement', 'DoWhileStatement', 'ForInStatement', 'ForOfStatement'].includes(node.type)) {
-        analysis.complexity.loops++;
-        analysis.metrics.cyclomaticComplexity++;
-      }
-
-      if (node.type === 'LogicalExpression' && (node.operator === '&&' || node.operator === '||')) {
-        analysis.metrics.cyclomaticComplexity++;
-      }
-
-      // 보안 이슈 감지
-      if (node.type === 'JSXAttribute' && 
-          node.name?.name === 'dangerouslySetInnerHTML') {
-        analysis.issues.push({
-          type: 'security',
-          message: 'dangerouslySetInnerHTML 사용 감지 - XSS 위험',
-          severity: 'high'
-        });
-      }
-
-      if (node.type === 'CallExpression' && node.callee?.name === 'eval') {
-        analysis.issues.push({
-          type: 'security',
-          message: 'eval() 사용 감지 - 보안 위험',
-          severity: 'high'
-        });
-      }
-
-      // 자식 노드 순회
-      for (const key in node) {
-        if (key === 'loc' || key === 'range' || key === 'start' || key === 'end') continue;
-        const child = node[key];
-        if (Array.isArray(child)) {
-          child.forEach(c => traverse(c, depth + 1, currentFunction));
-        } else if (child && typeof child === 'object') {
-          traverse(child, depth + 1, currentFunction);
-        }
-      }
-    };
-
-    traverse(ast.program);
-
-    // 중복 제거
-    analysis.hooks = [...new Set(analysis.hooks)];
-    analysis.components = [...new Set(analysis.components)];
-    analysis.dependencyAnalysis.components = [...new Set(analysis.dependencyAnalysis.components)];
-    analysis.dependencyAnalysis.allFunctions = [...new Set(analysis.dependencyAnalysis.allFunctions)];
-    analysis.functions = [...new Set(analysis.functions)];
-    analysis.variables = [...new Set(analysis.variables)];
-
-    // 의존성 배열 생성 (정의된 함수에 대한 호출만 포함)
-    const dependencies = [];
-    Object.entries(functionDependencies).forEach(([from, targets]) => {
-      Object.entries(targets).forEach(([to, count]) => {
-        // 정의된 함수이거나 컴포넌트인 경우만 포함
-        if (allDefinedFunctions.has(to) || /^[A-Z]/.test(to)) {
-          dependencies.push({ 
-            from, 
-            to, 
-            count,
-            fromType: functionTypes[from] || 'unknown',
-            toType: functionTypes[to] || (/^[A-Z]/.test(to) ? 'component' : 'external')
-          });
-        }
-      });
-    });
-    
-    analysis.dependencyAnalysis.dependencies = dependencies;
-    analysis.dependencyAnalysis.functionTypes = functionTypes;
-
-    // 유지보수 지수 계산
-    const V = analysis.loc;
-    const CC = analysis.metrics.cyclomaticComplexity;
-    const LOC = analysis.loc;
-    
-    let mi = 171 - 5.2 * Math.log(V + 1) - 0.23 * CC - 16.2 * Math.log(LOC + 1);
-    mi = Math.max(0, Math.min(100, mi));
-    analysis.metrics.maintainabilityIndex = Math.round(mi);
-
-    analysis.analysisTime = ((performance.now() - startTime) / 1000).toFixed(2);
-
-    return analysis;
-  } catch (error) {
-    return {
-      filename,
-      error: error.message,
-      loc: code.split('\n').length,
-      analysisTime: ((performance.now() - startTime) / 1000).toFixed(2),
-    };
-  }
-};
-
-const calculateQualityScore = (analysis) => {
-  if (analysis.error) return 0;
-  
-  let score = 100;
-  score -= Math.min(30, analysis.metrics.cyclomaticComplexity * 2);
-  score -= Math.min(15, analysis.complexity.depth);
-  score -= analysis.issues.length * 10;
-  if (analysis.loc > 300) score -= 10;
-  if (analysis.loc > 500) score -= 10;
-  if (analysis.hooks.length > 0 && analysis.components.length > 0) {
-    score += 5;
-  }
-  
-  return Math.max(0, Math.min(100, Math.round(score)));
+import {
+  analyzeProject,
+  compareResults,
+  rescoreProject,
+  findDeadCode,
+  DEFAULT_PROFILE,
+  DEFAULT_ENTRY_POINTS,
+  ACCESSIBILITY_CATEGORY,
+  formatLocation,
+  formatLineRange,
+  shouldAnalyzePath,
+  isPathConfigFile,
+  parseFunctionId,
+  findCycles,
+  SOURCE_FILE_PATTERN,
+} from './engine/index.js';
+import { createWorkerPool } from './worker/workerPool.js';
+import { exportResults, captureSvg, parseJsonReport } from './export/reportExport.js';
+import ComparisonPanel from './components/ComparisonPanel.jsx';
+import HistoryView from './components/HistoryView.jsx';
+import SourceViewer from './components/SourceViewer.jsx';
+import WorstFunctionsTable from './components/WorstFunctionsTable.jsx';
+import ProfileSelector from './components/ProfileSelector.jsx';
+import AccessibilityPanel from './components/AccessibilityPanel.jsx';
+import ModuleGraphDiagram from './components/ModuleGraphDiagram.jsx';
+import DeadCodePanel from './components/DeadCodePanel.jsx';
+import { saveRun, deriveProjectName } from './history/historyStore.js';
+import { forceLayout, layeredLayout, clusteredLayout } from './diagram/graphLayouts.js';
+import {
+  STAGE_ORDER,
+  STAGE_LABELS,
+  createAnalysisProgress,
+  getProgressPercent,
+  estimateRemainingMs,
+  formatBytes,
+  formatDuration,
+} from './analysisProgress.js';
+
+// 소스 위치 꼬리표 (예: L12:5-40)
+const LocationLabel = ({ loc, lineOnly = false }) => {
+  if (!loc) return null;
+  return (
+    <span style={styles.locationLabel} title={formatLocation(loc)}>
+      {lineOnly ? formatLineRange(loc) : formatLocation(loc)}
+    </span>
+  );
 };
 
 const CircularGauge = ({ score }) => {
@@ -401,9 +98,16 @@ const CircularGauge = ({ score }) => {
   );
 };
 
-const QualityInfoModal = ({ isOpen, onClose }) => {
+const SEVERITY_LABELS = { high: '높음', medium: '중간', low: '낮음' };
+
+// 점수 설명은 활성 프로필의 값으로 만들어 실제 계산과 항상 일치하게 한다
+const QualityInfoModal = ({ isOpen, onClose, profile }) => {
   if (!isOpen) return null;
 
+  const { penalties, bonuses } = profile;
+  const issuePenalties = Object.entries(penalties.issues);
+  const sameIssuePenalty = issuePenalties.every(([, value]) => value === issuePenalties[0][1]);
+
   return (
     <div style={styles.modalOverlay} onClick={onClose}>
       <div style={styles.modalContent} onClick={(e) => e.stopPropagation()}>
@@ -413,25 +117,64 @@ const QualityInfoModal = ({ isOpen, onClose }) => {
         </div>
         <div style={styles.modalBody}>
           <p style={styles.modalIntro}>
-            코드 품질 점수는 <strong>100점 만점</strong>에서 시작하여, 다양한 요소에 따라 감점 또는 가점됩니다.
+            적용 중인 프로필: <strong>{profile.name}</strong>
+            {profile.description && <><br />{profile.description}</>}
+          </p>
+          <p style={styles.modalIntro}>
+            코드 품질 점수는 <strong>{profile.baseScore}점</strong>에서 시작하여, 다양한 요소에 따라 감점 또는 가점됩니다. (0 ~ 100점)
           </p>
           
           <div style={styles.modalSection}>
             <h4 style={styles.modalSubtitle}>🔻 감점 요소</h4>
             <ul style={styles.modalList}>
-              <li><strong>순환 복잡도 (Cyclomatic Complexity)</strong><br/>조건문, 반복문이 많을수록 감점 (최대 -30점)</li>
-              <li><strong>코드 깊이 (Nesting Depth)</strong><br/>중첩이 깊을수록 감점 (최대 -15점)</li>
-              <li><strong>보안 이슈</strong><br/>dangerouslySetInnerHTML, eval() 사용 시 각 -10점</li>
-              <li><strong>파일 크기</strong><br/>300줄 초과: -10점 / 500줄 초과: 추가 -10점</li>
+              <li>
+                <strong>순환 복잡도 (Cyclomatic Complexity)</strong><br/>
+                조건문, 반복문 1개당 -{penalties.cyclomaticComplexity.weight}점 (최대 -{penalties.cyclomaticComplexity.max}점)
+              </li>
+              {penalties.cognitiveComplexity.weight > 0 && (
+                <li>
+                  <strong>인지 복잡도 (Cognitive Complexity)</strong><br/>
+                  분기 1개당 +1, 중첩된 분기는 중첩 수준만큼 추가로 세어 1당 -{penalties.cognitiveComplexity.weight}점 (최대 -{penalties.cognitiveComplexity.max}점)
+                </li>
+              )}
+              <li>
+                <strong>코드 깊이 (Nesting Depth)</strong><br/>
+                중첩 1단계당 -{penalties.nestingDepth.weight}점 (최대 -{penalties.nestingDepth.max}점)
+              </li>
+              <li>
+                <strong>이슈</strong><br/>
+                {sameIssuePenalty
+                  ? `이슈 1건당 -${issuePenalties[0][1]}점`
+                  : issuePenalties
+                    .map(([severity, value]) => `${SEVERITY_LABELS[severity] || severity} -${value}점`)
+                    .join(' / ')}
+              </li>
+              <li>
+                <strong>접근성 이슈</strong><br/>
+                품질 점수에는 반영하지 않고, 별도의 접근성 점수(100점 시작)에서{' '}
+                {Object.entries(penalties.accessibility)
+                  .map(([severity, value]) => `${SEVERITY_LABELS[severity] || severity} -${value}점`)
+                  .join(' / ')}
+              </li>
+              {penalties.fileSize.length > 0 && (
+                <li>
+                  <strong>파일 크기 (주석·빈 줄 제외 SLOC)</strong><br/>
+                  {penalties.fileSize
+                    .map(({ over, penalty }, i) => `소스 ${over}줄 초과: ${i > 0 ? '추가 ' : ''}-${penalty}점`)
+                    .join(' / ')}
+                </li>
+              )}
             </ul>
           </div>
 
-          <div style={styles.modalSection}>
-            <h4 style={styles.modalSubtitle}>🔺 가점 요소</h4>
-            <ul style={styles.modalList}>
-              <li><strong>React 패턴 준수</strong><br/>컴포넌트에서 Hooks를 적절히 사용하면 +5점</li>
-            </ul>
-          </div>
+          {bonuses.hooksInComponents > 0 && (
+            <div style={styles.modalSection}>
+              <h4 style={styles.modalSubtitle}>🔺 가점 요소</h4>
+              <ul style={styles.modalList}>
+                <li><strong>React 패턴 준수</strong><br/>컴포넌트에서 Hooks를 적절히 사용하면 +{bonuses.hooksInComponents}점</li>
+              </ul>
+            </div>
+          )}
 
           <div style={styles.modalSection}>
             <h4 style={styles.modalSubtitle}>📈 점수 해석</h4>
@@ -456,7 +199,8 @@ const TooltipBar = ({ item }) => {
     '함수 복잡도': '코드 내 조건문(if, switch)과 반복문(for, while)의 수를 측정합니다. 값이 낮을수록 코드가 단순하고 이해하기 쉽습니다.',
     '변수 관리': '선언된 변수의 수와 관리 상태를 평가합니다. 불필요한 변수가 적을수록 점수가 높습니다.',
     '이벤트 핸들러': '컴포넌트 내 이벤트 핸들러(onClick, onChange 등)의 적절한 사용을 평가합니다.',
-    '유지보수 지수': '코드의 유지보수 용이성을 나타내는 종합 지표입니다. 100에 가까울수록 유지보수가 쉽습니다.',
+    '주석 밀도': '주석 줄 / (소스 줄 + 주석 줄) 비율입니다. 빈 줄은 제외하며, 코드와 주석이 같은 줄에 있으면 소스 줄로 셉니다.',
+    '유지보수 지수': 'Halstead 볼륨, 순환 복잡도, 코드 줄 수로 계산한 유지보수 용이성 지표입니다. 100에 가까울수록 유지보수가 쉽습니다.',
   };
 
   return (
@@ -489,7 +233,7 @@ const TooltipBar = ({ item }) => {
         />
         {showValueTooltip && (
           <div style={styles.barValueTooltip}>
-            {Math.round(item.value)} / 100
+            {item.label ?? `${Math.round(item.value)} / 100`}
           </div>
         )}
       </div>
@@ -502,7 +246,7 @@ const CustomRadarTooltip = ({ active, payload }) => {
     const data = payload[0].payload;
     return (
       <div style={styles.radarTooltipBox}>
-        <strong>{data.subject}</strong>: {Math.round(data.A)} / 100
+        <strong>{data.subject}</strong>: {data.raw ?? `${Math.round(data.A)} / 100`}
       </div>
     );
   }
@@ -513,11 +257,15 @@ const CustomAxisTick = ({ payload, x, y, cx, cy }) => {
   const [showTooltip, setShowTooltip] = useState(false);
 
   const descriptions = {
-    'LOC': 'Lines of Code\n코드의 총 줄 수입니다.\n파일이 너무 크면 유지보수가 어려워집니다.',
+    'LOC': 'Source Lines of Code\n주석과 빈 줄을 뺀 소스 줄 수입니다.\n파일이 너무 크면 유지보수가 어려워집니다.',
     'Cyclomatic': 'Cyclomatic Complexity\n순환 복잡도로, 코드의 분기 수를 측정합니다.',
+    'Cognitive': 'Cognitive Complexity\n파일당 평균 인지 복잡도입니다.\n깊이 중첩된 분기일수록 크게 늘어납니다.',
     'CBO': 'Coupling Between Objects\n다른 모듈과의 결합도입니다.\n낮을수록 독립적인 코드입니다.',
     'WMC': 'Weighted Methods per Class\n컴포넌트 내 메서드의 복잡도 총합입니다.',
     'MI': 'Maintainability Index\n유지보수 지수로, 100에 가까울수록 좋습니다.',
+    'Volume': 'Halstead Volume\n파일당 평균 볼륨입니다.\n연산자·피연산자가 많을수록 커집니다.',
+    'Difficulty': 'Halstead Difficulty\n파일당 평균 난이도입니다.\n같은 피연산자를 반복해 쓸수록 커집니다.',
+    'Bugs': 'Halstead Bugs\n볼륨으로 추정한 프로젝트 전체 예상 버그 수입니다.',
   };
 
   const getTooltipPosition = () => {
@@ -575,20 +323,109 @@ const CustomAxisTick = ({ payload, x, y, cx, cy }) => {
 // ============================================
 // 함수 의존성 다이어그램 (모든 함수 포함)
 // ============================================
-const DependencyDiagram = ({ dependencyAnalysis }) => {
+const DIFF_EDGE_COLORS = {
+  added: '#22c55e',
+  removed: '#ef4444',
+};
+
+// 엣지 종류별 스타일 (engine의 EDGE_KINDS). 같은 두 노드 사이의 종류가 다른 엣지는 휘는 정도를 달리해 겹치지 않게 함
+const EDGE_KIND_STYLES = {
+  call: { label: '호출', color: '#94a3b8', dash: undefined, curve: 30 },
+  render: { label: 'JSX 렌더링', color: '#3b82f6', dash: undefined, curve: -30 },
+  'jsx-prop': { label: 'JSX prop 전달', color: '#f59e0b', dash: '2 4', curve: 55 },
+  reference: { label: '함수 참조 (콜백)', color: '#a855f7', dash: '8 4', curve: -55 },
+};
+
+// 순환 의존(강한 연결 요소)에 속한 노드와 그 안의 엣지
+const CYCLE_COLOR = '#dc2626';
+
+const DIAGRAM_LAYOUTS = [
+  { id: 'force', label: '힘 기반' },
+  { id: 'layered', label: '계층 (호출하는 쪽이 위)' },
+  { id: 'cluster-file', label: '파일별 묶음' },
+  { id: 'cluster-directory', label: '폴더별 묶음' },
+];
+// 노드가 이보다 많으면 노드를 작게 그리고 그림자·아이콘·횟수 라벨을 생략
+const COMPACT_NODE_LIMIT = 60;
+// 노드가 이보다 많으면 처음에 파일별 묶음으로 보여 줌
+const LARGE_GRAPH_NODE_LIMIT = 150;
+// 다이어그램 카드 안쪽 폭. '맞춤'은 전체 그래프가 이 폭에 들어가도록 축소
+const DIAGRAM_VIEW_WIDTH = 810;
+const ZOOM_STEPS = [0.1, 0.15, 0.25, 0.35, 0.5, 0.75, 1, 1.5, 2];
+
+const getDirectory = (file) => (file.includes('/') ? file.slice(0, file.lastIndexOf('/')) : '.');
+
+// 이전 버전 리포트의 엣지에는 kind가 없으므로 호출로 취급
+const getEdgeKind = (dep) => (EDGE_KIND_STYLES[dep.kind] ? dep.kind : 'call');
+
+// edgeDiff: 이전 리포트와 비교한 경우 { added: [], removed: [] } (compareResults의 dependencies)
+const DependencyDiagram = ({ dependencyAnalysis, edgeDiff = null }) => {
   const [hoveredNode, setHoveredNode] = useState(null);
   const [hoveredEdge, setHoveredEdge] = useState(null);
+  const [hiddenKinds, setHiddenKinds] = useState([]);
+  const [hoveredCycle, setHoveredCycle] = useState(null);
+  // null이면 노드 수에 따라 자동 선택 / 맞춤 배율
+  const [layoutMode, setLayoutMode] = useState(null);
+  const [zoom, setZoom] = useState(null);
   
   const { allFunctions, dependencies, functionTypes } = dependencyAnalysis;
+  // 대상 함수를 정할 수 없어 엣지로 그리지 못한 this.method(), props.onSave() 같은 호출 (이전 결과에는 없음)
+  const unresolvedCalls = dependencyAnalysis.unresolvedCalls ?? [];
+
+  const toggleKind = (kind) => {
+    setHoveredEdge(null);
+    setHiddenKinds(prev => (prev.includes(kind) ? prev.filter(k => k !== kind) : [...prev, kind]));
+  };
+
+  // 비교 모드: 추가된 엣지는 표시만 바꾸고, 삭제된 엣지는 현재 그래프에 덧그린다
+  const diffKey = (dep) => `${dep.from}->${dep.to}:${getEdgeKind(dep)}`;
+  const addedEdgeKeys = new Set((edgeDiff?.added || []).map(diffKey));
+  const drawnEdges = [
+    ...dependencies.map(dep => (addedEdgeKeys.has(diffKey(dep))
+      ? { ...dep, diffStatus: 'added' }
+      : dep)),
+    ...(edgeDiff?.removed || []).map(dep => ({ ...dep, diffStatus: 'removed' })),
+  ];
+  // 노드 배치는 모든 엣지 기준으로 고정하고, 꺼 둔 종류의 엣지만 그리지 않음
+  const visibleEdges = drawnEdges.filter(dep => !hiddenKinds.includes(getEdgeKind(dep)));
+  const kindCounts = Object.fromEntries(Object.keys(EDGE_KIND_STYLES).map(kind => [
+    kind, dependencies.filter(dep => getEdgeKind(dep) === kind).length,
+  ]));
   
   // 모든 함수 수집 (의존성에서 참조되는 것 포함)
   const allNodes = new Set(allFunctions || []);
-  dependencies.forEach(dep => {
+  drawnEdges.forEach(dep => {
     allNodes.add(dep.from);
     allNodes.add(dep.to);
   });
   
   const nodeList = Array.from(allNodes);
+
+  // 이전 버전 리포트에는 cycles가 없으므로 여기서 계산
+  const cycles = dependencyAnalysis.cycles ?? findCycles(nodeList, dependencies);
+  const cycleOf = new Map();
+  cycles.forEach((cycle, index) => cycle.members.forEach(member => cycleOf.set(member, index)));
+  const isCycleEdge = (dep) => dep.diffStatus !== 'removed'
+    && cycleOf.has(dep.from) && cycleOf.get(dep.from) === cycleOf.get(dep.to);
+  // 순환 목록에 마우스를 올리면 그 순환만, 노드에 마우스를 올리면 그 노드와 바로 이어진 노드·엣지만 진하게 표시
+  const neighbors = new Set(hoveredNode ? [hoveredNode] : []);
+  if (hoveredNode) {
+    visibleEdges.forEach(dep => {
+      if (dep.from === hoveredNode) neighbors.add(dep.to);
+      if (dep.to === hoveredNode) neighbors.add(dep.from);
+    });
+  }
+  const isOutsideCycle = (node) => hoveredCycle != null && cycleOf.get(node) !== hoveredCycle;
+  const isNodeDimmed = (node) => isOutsideCycle(node) || (hoveredNode != null && !neighbors.has(node));
+  const isEdgeDimmed = (dep) => isOutsideCycle(dep.from) || isOutsideCycle(dep.to)
+    || (hoveredNode != null && dep.from !== hoveredNode && dep.to !== hoveredNode);
+
+  const changeLayout = (mode) => {
+    setLayoutMode(mode);
+    setZoom(null);
+    setHoveredNode(null);
+    setHoveredEdge(null);
+  };
   
   if (nodeList.length === 0) {
     return (
@@ -618,48 +455,53 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
     }
   });
 
-  // 노드 위치 계산
-  const svgWidth = 850;
-  const svgHeight = Math.max(500, nodeList.length * 70);
-  const centerX = svgWidth / 2;
-  const centerY = svgHeight / 2;
-  
-  // 연결이 많은 노드를 중앙에 배치
+  const compact = nodeList.length > COMPACT_NODE_LIMIT;
+  const activeLayout = layoutMode ?? (nodeList.length > LARGE_GRAPH_NODE_LIMIT ? 'cluster-file' : 'force');
+
+  // 노드 크기 (연결 수에 따라)
+  const getNodeSize = (node) => {
+    if (compact) return { width: 112, height: 26 };
+    const connections = nodeConnections[node]?.total || 0;
+    const baseWidth = 130;
+    const baseHeight = 44;
+    const scale = Math.min(1.4, 1 + connections * 0.08);
+    return { width: baseWidth * scale, height: baseHeight * scale };
+  };
+
+  // 이전 버전 리포트의 id에는 파일이 없음
+  const getNodeCluster = (node) => {
+    const { file } = parseFunctionId(node);
+    if (!file) return '(파일 정보 없음)';
+    return activeLayout === 'cluster-directory' ? getDirectory(file) : file;
+  };
+
+  // 노드 배치는 모든 엣지 기준 (꺼 둔 종류를 바꿔도 노드가 움직이지 않음)
+  let layout;
+  if (activeLayout === 'layered') {
+    layout = layeredLayout(nodeList, drawnEdges, { sizeOf: getNodeSize, groups: cycles.map(cycle => cycle.members) });
+  } else if (activeLayout === 'force') {
+    layout = forceLayout(nodeList, drawnEdges, { sizeOf: getNodeSize });
+  } else {
+    layout = clusteredLayout(nodeList, drawnEdges, { sizeOf: getNodeSize, clusterOf: getNodeCluster });
+  }
+  const nodePositions = layout.positions;
+  const fitScale = Math.min(1, DIAGRAM_VIEW_WIDTH / layout.width);
+  const viewScale = zoom ?? fitScale;
+  const zoomIn = () => setZoom(ZOOM_STEPS.find(step => step > viewScale + 0.001) ?? viewScale);
+  const zoomOut = () => setZoom([...ZOOM_STEPS].reverse().find(step => step < viewScale - 0.001) ?? viewScale);
+
+  // 연결이 많은 순 (중심 함수 표시용)
   const sortedNodes = [...nodeList].sort((a, b) => 
     nodeConnections[b].total - nodeConnections[a].total
   );
-  
-  const nodePositions = {};
-  const nodeWidth = 130;
-  const nodeHeight = 44;
-  
-  // 원형 레이아웃 + 중심성 기반 배치
-  sortedNodes.forEach((node, index) => {
-    if (index === 0 && sortedNodes.length > 1) {
-      // 가장 연결이 많은 노드는 중앙에
-      nodePositions[node] = { x: centerX, y: centerY };
-    } else if (sortedNodes.length === 1) {
-      // 노드가 1개면 중앙에
-      nodePositions[node] = { x: centerX, y: centerY };
-    } else {
-      // 나머지는 원형으로 배치
-      const adjustedIndex = index - 1;
-      const layer = Math.floor(adjustedIndex / 6) + 1;
-      const posInLayer = adjustedIndex % 6;
-      const nodesInThisLayer = Math.min(6, sortedNodes.length - 1 - (layer - 1) * 6);
-      const angle = (posInLayer / nodesInThisLayer) * 2 * Math.PI - Math.PI / 2;
-      const radius = 140 + layer * 110;
-      
-      nodePositions[node] = {
-        x: centerX + radius * Math.cos(angle),
-        y: centerY + radius * Math.sin(angle)
-      };
-    }
-  });
+
+  // 노드 id는 '파일#이름' (이전 버전 리포트는 이름만)
+  const getNodeLabel = (node) => parseFunctionId(node).name;
+  const getNodeType = (node) => functionTypes?.[node] || (/^[A-Z]/.test(getNodeLabel(node)) ? 'component' : 'helper');
 
   // 함수 타입에 따른 노드 스타일
   const getNodeStyle = (node) => {
-    const type = functionTypes?.[node] || (/^[A-Z]/.test(node) ? 'component' : 'helper');
+    const type = getNodeType(node);
     
     switch(type) {
       case 'component':
@@ -697,17 +539,8 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
     }
   };
 
-  // 노드 크기 (연결 수에 따라)
-  const getNodeSize = (node) => {
-    const connections = nodeConnections[node]?.total || 0;
-    const baseWidth = 130;
-    const baseHeight = 44;
-    const scale = Math.min(1.4, 1 + connections * 0.08);
-    return { width: baseWidth * scale, height: baseHeight * scale };
-  };
-
-  // 화살표 경로 계산
-  const getEdgePath = (from, to) => {
+  // 화살표 경로 계산 (curve: 직선에서 휘는 정도, 부호는 방향)
+  const getEdgePath = (from, to, curve = 30) => {
     const fromPos = nodePositions[from];
     const toPos = nodePositions[to];
     
@@ -726,19 +559,25 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
     const nx = dx / dist;
     const ny = dy / dist;
     
-    // 시작점과 끝점 (노드 테두리)
-    const startX = fromPos.x + nx * (fromSize.width / 2 + 5);
-    const startY = fromPos.y + ny * (fromSize.height / 2 + 5);
-    const endX = toPos.x - nx * (toSize.width / 2 + 15);
-    const endY = toPos.y - ny * (toSize.height / 2 + 15);
+    // 시작점과 끝점 (노드 테두리). 중심에서 방향 벡터를 따라 상자 테두리까지의 거리
+    const toBorder = (size) => Math.min(
+      nx === 0 ? Infinity : size.width / 2 / Math.abs(nx),
+      ny === 0 ? Infinity : size.height / 2 / Math.abs(ny),
+    );
+    const startOffset = toBorder(fromSize) + 5;
+    const endOffset = toBorder(toSize) + 10;
+    const startX = fromPos.x + nx * startOffset;
+    const startY = fromPos.y + ny * startOffset;
+    const endX = toPos.x - nx * endOffset;
+    const endY = toPos.y - ny * endOffset;
     
     // 곡선 제어점
     const midX = (startX + endX) / 2;
     const midY = (startY + endY) / 2;
     
     // 약간의 곡선 추가
-    const perpX = -ny * 30;
-    const perpY = nx * 30;
+    const perpX = -ny * curve;
+    const perpY = nx * curve;
     
     return {
       path: `M ${startX} ${startY} Q ${midX + perpX} ${midY + perpY} ${endX} ${endY}`,
@@ -766,15 +605,20 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
   };
 
   const renderEdge = (dep, idx) => {
+    const kind = getEdgeKind(dep);
+    const kindStyle = EDGE_KIND_STYLES[kind];
     const isSelfLoop = dep.from === dep.to;
     const edgeData = isSelfLoop 
       ? getSelfLoopPath(dep.from)
-      : getEdgePath(dep.from, dep.to);
+      : getEdgePath(dep.from, dep.to, compact ? kindStyle.curve * 0.3 : kindStyle.curve);
     
     if (!edgeData) return null;
     
     const isHovered = hoveredEdge === idx;
-    const strokeWidth = Math.min(4, 1.5 + dep.count * 0.5);
+    const strokeWidth = compact ? Math.min(2.5, 1 + dep.count * 0.25) : Math.min(4, 1.5 + dep.count * 0.5);
+    const diffColor = DIFF_EDGE_COLORS[dep.diffStatus];
+    const inCycle = isCycleEdge(dep);
+    const edgeColor = diffColor || (inCycle ? CYCLE_COLOR : kindStyle.color);
     
     return (
       <g 
@@ -782,47 +626,57 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
         onMouseEnter={() => setHoveredEdge(idx)}
         onMouseLeave={() => setHoveredEdge(null)}
         style={{ cursor: 'pointer' }}
+        opacity={isEdgeDimmed(dep) ? 0.1 : 1}
       >
         <path
           d={edgeData.path}
           fill="none"
-          stroke={isHovered ? '#6366f1' : '#94a3b8'}
+          stroke={isHovered ? '#6366f1' : edgeColor}
+          strokeOpacity={compact && !isHovered && hoveredNode == null ? 0.6 : 1}
           strokeWidth={isHovered ? strokeWidth + 1.5 : strokeWidth}
-          markerEnd="url(#dependency-arrow)"
-          style={{ transition: 'all 0.2s ease' }}
+          strokeDasharray={dep.diffStatus === 'removed' ? '6 4' : kindStyle.dash}
+          markerEnd={`url(#dependency-arrow-${dep.diffStatus || (inCycle ? 'cycle' : kind)})`}
+          style={compact ? undefined : { transition: 'all 0.2s ease' }}
         />
-        {/* 의존 횟수 표시 */}
-        <g transform={`translate(${edgeData.labelX}, ${edgeData.labelY})`}>
-          <circle
-            r="14"
-            fill={isHovered ? '#6366f1' : '#ffffff'}
-            stroke={isHovered ? '#4f46e5' : '#94a3b8'}
-            strokeWidth="2"
-          />
-          <text
-            textAnchor="middle"
-            dominantBaseline="middle"
-            fontSize="11"
-            fontWeight="700"
-            fill={isHovered ? '#ffffff' : '#475569'}
-          >
-            {dep.count}
-          </text>
-        </g>
-        {/* 호버 툴팁 */}
+        {/* 의존 횟수 표시 (간단히 표시할 때는 툴팁에만) */}
+        {!compact && (
+          <g transform={`translate(${edgeData.labelX}, ${edgeData.labelY})`}>
+            <circle
+              r="14"
+              fill={isHovered ? '#6366f1' : '#ffffff'}
+              stroke={isHovered ? '#4f46e5' : '#94a3b8'}
+              strokeWidth="2"
+            />
+            <text
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fontSize="11"
+              fontWeight="700"
+              fill={isHovered ? '#ffffff' : '#475569'}
+            >
+              {dep.count}
+            </text>
+          </g>
+        )}
+        {/* 호버 툴팁 (축소해 볼 때도 글자 크기가 그대로이도록 배율을 되돌림) */}
         {isHovered && (
-          <foreignObject 
-            x={edgeData.labelX + 25} 
-            y={edgeData.labelY - 20} 
-            width="200" 
-            height="60"
-          >
-            <div style={styles.diagramTooltip}>
-              <strong>{dep.from}</strong> → <strong>{dep.to}</strong>
-              <br />
-              호출 횟수: {dep.count}회
-            </div>
-          </foreignObject>
+          <g transform={`translate(${edgeData.labelX}, ${edgeData.labelY}) scale(${1 / viewScale})`}>
+            <foreignObject 
+              x={25} 
+              y={-20} 
+              width="200" 
+              height="60"
+            >
+              <div style={styles.diagramTooltip}>
+                <strong>{getNodeLabel(dep.from)}</strong> → <strong>{getNodeLabel(dep.to)}</strong>
+                <br />
+                {kindStyle.label}: {dep.count}회
+                {inCycle && <><br />🔁 순환 의존의 일부</>}
+                {dep.diffStatus === 'added' && <><br />🆕 이전 리포트 대비 추가됨</>}
+                {dep.diffStatus === 'removed' && <><br />🗑 이전 리포트 대비 삭제됨</>}
+              </div>
+            </foreignObject>
+          </g>
         )}
       </g>
     );
@@ -834,6 +688,9 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
     const style = getNodeStyle(node);
     const conn = nodeConnections[node];
     const isHovered = hoveredNode === node;
+    const label = getNodeLabel(node);
+    const file = parseFunctionId(node).file;
+    const inCycle = cycleOf.has(node);
     
     if (!pos) return null;
     
@@ -844,92 +701,139 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
         onMouseLeave={() => setHoveredNode(null)}
         style={{ cursor: 'pointer' }}
         transform={`translate(${pos.x}, ${pos.y})`}
+        opacity={isNodeDimmed(node) ? 0.2 : 1}
       >
-        {/* 노드 그림자 */}
-        <rect
-          x={-size.width / 2 + 3}
-          y={-size.height / 2 + 3}
-          width={size.width}
-          height={size.height}
-          rx="10"
-          fill="rgba(0,0,0,0.1)"
-        />
-        {/* 노드 배경 */}
-        <rect
-          x={-size.width / 2}
-          y={-size.height / 2}
-          width={size.width}
-          height={size.height}
-          rx="10"
-          fill={isHovered ? style.stroke : style.fill}
-          stroke={style.stroke}
-          strokeWidth={isHovered ? 3 : 2}
-          style={{ transition: 'all 0.2s ease' }}
-        />
-        {/* 아이콘 */}
-        <text
-          x={-size.width / 2 + 12}
-          y={2}
-          fontSize="14"
-          dominantBaseline="middle"
-        >
-          {style.icon}
-        </text>
-        {/* 함수 이름 */}
-        <text
-          x={5}
-          y={0}
-          textAnchor="middle"
-          dominantBaseline="middle"
-          fontSize="12"
-          fontWeight="600"
-          fill={isHovered ? '#ffffff' : style.text}
-        >
-          {node.length > 14 ? node.slice(0, 12) + '...' : node}
-        </text>
-        {/* 타입 라벨 */}
-        <text
-          x={5}
-          y={size.height / 2 - 10}
-          textAnchor="middle"
-          fontSize="9"
-          fill={isHovered ? 'rgba(255,255,255,0.8)' : style.stroke}
-        >
-          {style.label}
-        </text>
-        {/* 연결 수 뱃지 */}
-        {conn && conn.total > 0 && (
-          <g transform={`translate(${size.width / 2 - 8}, ${-size.height / 2 - 8})`}>
-            <circle r="12" fill="#ef4444" stroke="#ffffff" strokeWidth="2" />
+        {/* 노드가 많을 때: 이름만 있는 작은 상자 (순환이면 빨간 테두리) */}
+        {compact && (
+          <>
+            <rect
+              x={-size.width / 2}
+              y={-size.height / 2}
+              width={size.width}
+              height={size.height}
+              rx="6"
+              fill={isHovered ? style.stroke : style.fill}
+              stroke={inCycle ? CYCLE_COLOR : style.stroke}
+              strokeWidth={isHovered || inCycle ? 2.5 : 1.5}
+            />
             <text
               textAnchor="middle"
               dominantBaseline="middle"
-              fontSize="10"
-              fontWeight="bold"
-              fill="#ffffff"
+              fontSize="11"
+              fontWeight="600"
+              fill={isHovered ? '#ffffff' : style.text}
             >
-              {conn.total}
+              {label.length > 15 ? label.slice(0, 13) + '...' : label}
             </text>
-          </g>
+          </>
+        )}
+        {!compact && (
+          <>
+            {/* 순환 의존 표시 (점선 테두리) */}
+            {inCycle && (
+              <rect
+                x={-size.width / 2 - 6}
+                y={-size.height / 2 - 6}
+                width={size.width + 12}
+                height={size.height + 12}
+                rx="14"
+                fill="none"
+                stroke={CYCLE_COLOR}
+                strokeWidth="2"
+                strokeDasharray="6 3"
+              />
+            )}
+            {/* 노드 그림자 */}
+            <rect
+              x={-size.width / 2 + 3}
+              y={-size.height / 2 + 3}
+              width={size.width}
+              height={size.height}
+              rx="10"
+              fill="rgba(0,0,0,0.1)"
+            />
+            {/* 노드 배경 */}
+            <rect
+              x={-size.width / 2}
+              y={-size.height / 2}
+              width={size.width}
+              height={size.height}
+              rx="10"
+              fill={isHovered ? style.stroke : style.fill}
+              stroke={inCycle ? CYCLE_COLOR : style.stroke}
+              strokeWidth={isHovered || inCycle ? 3 : 2}
+              style={{ transition: 'all 0.2s ease' }}
+            />
+            {/* 아이콘 */}
+            <text
+              x={-size.width / 2 + 12}
+              y={2}
+              fontSize="14"
+              dominantBaseline="middle"
+            >
+              {style.icon}
+            </text>
+            {/* 함수 이름 */}
+            <text
+              x={5}
+              y={0}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fontSize="12"
+              fontWeight="600"
+              fill={isHovered ? '#ffffff' : style.text}
+            >
+              {label.length > 14 ? label.slice(0, 12) + '...' : label}
+            </text>
+            {/* 타입 라벨 */}
+            <text
+              x={5}
+              y={size.height / 2 - 10}
+              textAnchor="middle"
+              fontSize="9"
+              fill={isHovered ? 'rgba(255,255,255,0.8)' : style.stroke}
+            >
+              {style.label}
+            </text>
+            {/* 연결 수 뱃지 */}
+            {conn && conn.total > 0 && (
+              <g transform={`translate(${size.width / 2 - 8}, ${-size.height / 2 - 8})`}>
+                <circle r="12" fill="#ef4444" stroke="#ffffff" strokeWidth="2" />
+                <text
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fontSize="10"
+                  fontWeight="bold"
+                  fill="#ffffff"
+                >
+                  {conn.total}
+                </text>
+              </g>
+            )}
+          </>
         )}
-        {/* 호버 툴팁 */}
+        {/* 호버 툴팁 (축소해 볼 때도 글자 크기가 그대로이도록 배율을 되돌림) */}
         {isHovered && (
-          <foreignObject 
-            x={size.width / 2 + 15} 
-            y={-40} 
-            width="180" 
-            height="100"
-          >
-            <div style={styles.diagramTooltip}>
-              <strong>{node}</strong>
-              <br />
-              타입: {style.label}
-              <br />
-              호출됨 (In): {conn?.in || 0}회
-              <br />
-              호출함 (Out): {conn?.out || 0}회
-            </div>
-          </foreignObject>
+          <g transform={`translate(${size.width / 2}, 0) scale(${1 / viewScale})`}>
+            <foreignObject 
+              x={15} 
+              y={-40} 
+              width="220" 
+              height={(file ? 130 : 100) + (inCycle ? 20 : 0)}
+            >
+              <div style={styles.diagramTooltip}>
+                <strong>{label}</strong>
+                {file && <><br /><span style={{ wordBreak: 'break-all', opacity: 0.8 }}>{file}</span></>}
+                <br />
+                타입: {style.label}
+                <br />
+                호출됨 (In): {conn?.in || 0}회
+                <br />
+                호출함 (Out): {conn?.out || 0}회
+                {inCycle && <><br />🔁 순환 의존에 포함됨</>}
+              </div>
+            </foreignObject>
+          </g>
         )}
       </g>
     );
@@ -937,26 +841,116 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
 
   return (
     <div style={styles.diagramContainer}>
-      <svg width={svgWidth} height={svgHeight} style={{ overflow: 'visible' }}>
-        <defs>
-          <marker
-            id="dependency-arrow"
-            markerWidth="10"
-            markerHeight="7"
-            refX="9"
-            refY="3.5"
-            orient="auto"
-          >
-            <polygon points="0 0, 10 3.5, 0 7" fill="#94a3b8" />
-          </marker>
-        </defs>
-        
-        {/* 엣지 먼저 렌더링 */}
-        {dependencies.map(renderEdge)}
-        
-        {/* 노드 렌더링 */}
-        {nodeList.map(renderNode)}
-      </svg>
+      {/* 엣지 종류 필터 (범례 겸용) */}
+      <div style={styles.edgeKindFilters}>
+        {Object.entries(EDGE_KIND_STYLES).map(([kind, kindStyle]) => {
+          const visible = !hiddenKinds.includes(kind);
+          return (
+            <button
+              key={kind}
+              type="button"
+              aria-pressed={visible}
+              onClick={() => toggleKind(kind)}
+              style={{
+                ...styles.edgeKindToggle,
+                ...(visible ? { borderColor: kindStyle.color } : styles.edgeKindToggleOff),
+              }}
+            >
+              <span style={{ ...styles.edgeKindSwatch, borderTop: `3px ${kindStyle.dash ? 'dashed' : 'solid'} ${kindStyle.color}` }}></span>
+              {kindStyle.label} ({kindCounts[kind]})
+            </button>
+          );
+        })}
+      </div>
+
+      {/* 레이아웃과 배율 */}
+      <div style={styles.diagramToolbar}>
+        <div style={styles.layoutButtons} role="group" aria-label="레이아웃">
+          {DIAGRAM_LAYOUTS.map(({ id, label }) => (
+            <button
+              key={id}
+              type="button"
+              aria-pressed={activeLayout === id}
+              onClick={() => changeLayout(id)}
+              style={{ ...styles.layoutButton, ...(activeLayout === id ? styles.layoutButtonActive : {}) }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div style={styles.zoomControls}>
+          <button type="button" style={styles.zoomButton} onClick={zoomOut} aria-label="축소">−</button>
+          <span style={styles.zoomValue}>{Math.round(viewScale * 100)}%</span>
+          <button type="button" style={styles.zoomButton} onClick={zoomIn} aria-label="확대">+</button>
+          <button type="button" style={styles.zoomButton} onClick={() => setZoom(null)}>맞춤</button>
+        </div>
+      </div>
+      {compact && (
+        <p style={styles.diagramNote}>
+          함수가 {nodeList.length}개라 노드를 간단히 표시합니다. 노드에 마우스를 올리면 바로 이어진 함수만 강조되며,
+          확대하거나 파일·폴더별 묶음으로 바꿔 보세요.
+        </p>
+      )}
+
+      <div style={styles.diagramViewport}>
+        <svg
+          width={layout.width * viewScale}
+          height={layout.height * viewScale}
+          viewBox={`0 0 ${layout.width} ${layout.height}`}
+          style={{ display: 'block' }}
+        >
+          <defs>
+            {[
+              ...Object.entries(EDGE_KIND_STYLES).map(([kind, { color }]) => [kind, color]),
+              ...Object.entries(DIFF_EDGE_COLORS),
+              ['cycle', CYCLE_COLOR],
+            ].map(([status, color]) => (
+              <marker
+                key={status}
+                id={`dependency-arrow-${status}`}
+                markerWidth="10"
+                markerHeight="7"
+                refX="9"
+                refY="3.5"
+                orient="auto"
+              >
+                <polygon points="0 0, 10 3.5, 0 7" fill={color} />
+              </marker>
+            ))}
+          </defs>
+
+          {/* 파일·폴더 묶음 상자 */}
+          {layout.clusters.map(cluster => {
+            const maxChars = Math.floor((cluster.width - 24) / 7);
+            const name = cluster.id.length > maxChars ? '…' + cluster.id.slice(-(maxChars - 1)) : cluster.id;
+            return (
+              <g key={cluster.id}>
+                <title>{`${cluster.id} (함수 ${cluster.count}개)`}</title>
+                <rect
+                  x={cluster.x}
+                  y={cluster.y}
+                  width={cluster.width}
+                  height={cluster.height}
+                  rx="10"
+                  fill="#f8fafc"
+                  stroke="#cbd5e1"
+                  strokeDasharray="4 3"
+                />
+                <text x={cluster.x + 12} y={cluster.y + 18} fontSize="11" fontWeight="600" fill="#475569">
+                  {name}
+                </text>
+              </g>
+            );
+          })}
+          
+          {/* 엣지 먼저 렌더링 */}
+          {visibleEdges.map(renderEdge)}
+          
+          {/* 노드 렌더링 (툴팁이 가려지지 않도록 마우스를 올린 노드를 마지막에) */}
+          {nodeList.filter(node => node !== hoveredNode).map(renderNode)}
+          {hoveredNode && renderNode(hoveredNode)}
+        </svg>
+      </div>
       
       {/* 범례 */}
       <div style={styles.diagramLegend}>
@@ -976,6 +970,24 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
           <div style={{ ...styles.legendCircle, background: '#ef4444' }}></div>
           <span>총 연결 수</span>
         </div>
+        {cycles.length > 0 && (
+          <div style={styles.legendItem}>
+            <div style={{ ...styles.legendBox, border: `2px dashed ${CYCLE_COLOR}` }}></div>
+            <span>🔁 순환 의존</span>
+          </div>
+        )}
+        {edgeDiff && (
+          <>
+            <div style={styles.legendItem}>
+              <div style={{ ...styles.legendLine, background: DIFF_EDGE_COLORS.added }}></div>
+              <span>추가된 의존 관계 ({edgeDiff.added.length})</span>
+            </div>
+            <div style={styles.legendItem}>
+              <div style={{ ...styles.legendLine, borderTop: `3px dashed ${DIFF_EDGE_COLORS.removed}` }}></div>
+              <span>삭제된 의존 관계 ({edgeDiff.removed.length})</span>
+            </div>
+          </>
+        )}
       </div>
       
       {/* 통계 요약 */}
@@ -986,7 +998,7 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
         </div>
         <div style={styles.statItem}>
           <span style={styles.statValue}>
-            {nodeList.filter(n => (functionTypes?.[n] || (/^[A-Z]/.test(n) ? 'component' : '')) === 'component').length}
+            {nodeList.filter(n => getNodeType(n) === 'component').length}
           </span>
           <span style={styles.statLabel}>컴포넌트</span>
         </div>
@@ -998,15 +1010,51 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
           <span style={styles.statValue}>
             {dependencies.reduce((sum, d) => sum + d.count, 0)}
           </span>
-          <span style={styles.statLabel}>총 호출 횟수</span>
+          <span style={styles.statLabel}>총 사용 횟수</span>
+        </div>
+        <div
+          style={styles.statItem}
+          title={unresolvedCalls.slice(0, 20).map(call => `${getNodeLabel(call.from)} → ${call.callee}()`).join('\n')}
+        >
+          <span style={styles.statValue}>{unresolvedCalls.length}</span>
+          <span style={styles.statLabel}>해석 못한 메서드 호출</span>
+        </div>
+        <div style={styles.statItem}>
+          <span style={{ ...styles.statValue, ...(cycles.length > 0 ? { color: CYCLE_COLOR } : {}) }}>
+            {cycles.length}
+          </span>
+          <span style={styles.statLabel}>순환 의존</span>
         </div>
         <div style={styles.statItem}>
           <span style={{...styles.statValue, fontSize: '16px'}}>
-            {sortedNodes[0] || '-'}
+            {sortedNodes[0] ? getNodeLabel(sortedNodes[0]) : '-'}
           </span>
           <span style={styles.statLabel}>중심 함수</span>
         </div>
       </div>
+
+      {/* 순환 의존 목록 (마우스를 올리면 다이어그램에서 해당 순환만 강조) */}
+      {cycles.length > 0 && (
+        <div style={styles.cycleSection}>
+          <h4 style={styles.cycleSectionTitle}>🔁 순환 의존 ({cycles.length})</h4>
+          {cycles.map((cycle, index) => (
+            <div
+              key={cycle.members[0]}
+              style={{ ...styles.cycleItem, ...(hoveredCycle === index ? styles.cycleItemActive : {}) }}
+              onMouseEnter={() => setHoveredCycle(index)}
+              onMouseLeave={() => setHoveredCycle(null)}
+              title={cycle.path.join('\n→ ')}
+            >
+              <div style={styles.cyclePath}>{cycle.path.map(getNodeLabel).join(' → ')}</div>
+              {cycle.members.length > cycle.path.length - 1 && (
+                <div style={styles.cycleMembers}>
+                  순환에 얽힌 함수 {cycle.members.length}개: {cycle.members.map(getNodeLabel).join(', ')}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
@@ -1014,146 +1062,149 @@ const DependencyDiagram = ({ dependencyAnalysis }) => {
 const App = () => {
   const [screen, setScreen] = useState('upload');
   const [results, setResults] = useState(null);
-  const [progress, setProgress] = useState(0);
+  const [analysisProgress, setAnalysisProgress] = useState(createAnalysisProgress);
   const [dragActive, setDragActive] = useState(false);
-  const [currentStep, setCurrentStep] = useState('');
   const [showQualityInfo, setShowQualityInfo] = useState(false);
+  const [baseline, setBaseline] = useState(null);
+  const [importError, setImportError] = useState(null);
+  // 분석 도중 실패한 경우 업로드 화면에 표시
+  const [analysisError, setAnalysisError] = useState(null);
+  // 소스 뷰어용 원본 코드 (filename → content). 기록/리포트에서 연 결과에는 없음
+  const [sources, setSources] = useState(null);
+  const [viewerFile, setViewerFile] = useState(null);
+  const [scoringProfile, setScoringProfile] = useState(DEFAULT_PROFILE);
+  const [entryPoints, setEntryPoints] = useState(DEFAULT_ENTRY_POINTS);
+  const abortControllerRef = useRef(null);
+  const gaugeRef = useRef(null);
+  const radarRef = useRef(null);
+  const diagramRef = useRef(null);
+  const moduleGraphRef = useRef(null);
+
+  const processFiles = useCallback((uploadedFiles) => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    const { signal } = abortController;
+
+    const updateProgress = (patch) => setAnalysisProgress(prev => ({
+      ...prev,
+      ...(typeof patch === 'function' ? patch(prev) : patch),
+    }));
+    const enterStage = (stage) => updateProgress({ stage, stageStartedAt: Date.now(), currentFile: null });
 
-  const processFiles = useCallback(async (uploadedFiles) => {
     setScreen('analyzing');
-    setProgress(0);
-    setCurrentStep('파일 읽는 중...');
+    setAnalysisProgress(createAnalysisProgress());
+    setAnalysisError(null);
 
-    const fileList = [];
-    
-    for (const file of uploadedFiles) {
-      if (file.name.endsWith('.zip')) {
-        const zip = new JSZip();
-        const contents = await zip.loadAsync(file);
-        
-        const allPaths = Object.keys(contents.files);
-        const validPaths = allPaths.filter(path => {
-          if (contents.files[path].dir) return false;
-          if (path.includes('node_modules/')) return false;
-          if (path.includes('/.')) return false;
-          if (path.startsWith('.')) return false;
-          if (path.includes('/build/')) return false;
-          if (path.includes('/dist/')) return false;
-          if (!path.match(/\.(js|jsx|ts|tsx)$/)) return false;
-          return true;
-        });
-        
-        setProgress(10);
-        
-        for (let i = 0; i < validPaths.length; i++) {
-          const path = validPaths[i];
-          const zipEntry = contents.files[path];
-          const content = await zipEntry.async('string');
-          fileList.push({ name: path, content });
-          setProgress(10 + Math.round((i / validPaths.length) * 15));
+    const runAnalysis = async () => {
+      // 1단계: 분석 대상 파일 목록 수집 (ZIP은 목록만 먼저 읽음)
+      const entries = [];
+      const configEntries = [];
+      
+      for (const file of uploadedFiles) {
+        if (file.name.endsWith('.zip')) {
+          const zip = new JSZip();
+          const contents = await zip.loadAsync(file);
+          
+          const allPaths = Object.keys(contents.files);
+          const validPaths = allPaths.filter(path => {
+            if (contents.files[path].dir) return false;
+            return shouldAnalyzePath(path);
+          });
+          
+          validPaths.forEach(path => entries.push({
+            name: path,
+            read: () => contents.files[path].async('uint8array'),
+          }));
+
+          // tsconfig/jsconfig는 분석 대상이 아니지만 모듈 그래프의 import 경로 별칭에 필요
+          allPaths
+            .filter(path => !contents.files[path].dir && isPathConfigFile(path))
+            .forEach(path => configEntries.push({
+              name: path,
+              read: () => contents.files[path].async('string'),
+            }));
+        } else if (SOURCE_FILE_PATTERN.test(file.name)) {
+          entries.push({
+            name: file.name,
+            read: async () => new Uint8Array(await file.arrayBuffer()),
+          });
         }
-      } else if (file.name.match(/\.(js|jsx|tsx|ts)$/)) {
-        const content = await file.text();
-        fileList.push({ name: file.name, content });
+        if (signal.aborted) return;
       }
-    }
 
-    setProgress(25);
-    setCurrentStep('AST 변환 중...');
-    
-    await new Promise(r => setTimeout(r, 300));
-    setProgress(40);
-    await new Promise(r => setTimeout(r, 300));
-    setProgress(50);
-
-    setCurrentStep('메트릭 계산 중...');
-    const analysisResults = [];
-    for (let i = 0; i < fileList.length; i++) {
-      const result = analyzeCode(fileList[i].content, fileList[i].name);
-      result.qualityScore = calculateQualityScore(result);
-      analysisResults.push(result);
-      setProgress(50 + Math.round((i / fileList.length) * 25));
-      await new Promise(r => setTimeout(r, 100));
-    }
+      updateProgress({ filesFound: entries.length });
+
+      // 2단계: 파일 내용 추출
+      const fileList = [];
+      const decoder = new TextDecoder();
+
+      for (const entry of entries) {
+        if (signal.aborted) return;
+        updateProgress({ currentFile: entry.name });
+        const data = await entry.read();
+        fileList.push({ name: entry.name, content: decoder.decode(data) });
+        updateProgress(prev => ({
+          filesExtracted: prev.filesExtracted + 1,
+          bytesRead: prev.bytesRead + data.byteLength,
+        }));
+      }
+
+      const configFiles = await Promise.all(configEntries.map(async entry => ({
+        name: entry.name,
+        content: await entry.read(),
+      })));
+
+      if (signal.aborted) return;
+
+      // 3단계: 워커 풀에서 파싱/순회 (메인 스레드를 막지 않음)
+      // 풀은 pool.run이 끝나거나 취소될 때 스스로 워커를 정리한다
+      enterStage('analyzing');
+      const pool = createWorkerPool();
+      const projectResults = await analyzeProject(fileList, {
+          executor: pool.run,
+          profile: scoringProfile,
+          configFiles,
+          entryPoints,
+          signal,
+          onFileStart: ({ filename }) => updateProgress({ currentFile: filename }),
+          onProgress: ({ completed, total, result }) => {
+            updateProgress(prev => (result.error
+              ? { filesFailed: prev.filesFailed + 1 }
+              : { filesParsed: prev.filesParsed + 1 }));
+            // 마지막 파일이 끝나면 엔진이 요약 통합을 시작한다
+            if (completed === total) enterStage('summarizing');
+          },
+        });
 
-    setCurrentStep('결과 생성 중...');
-    setProgress(80);
-    await new Promise(r => setTimeout(r, 300));
-    setProgress(90);
-    await new Promise(r => setTimeout(r, 300));
-    setProgress(100);
+      if (signal.aborted) return;
 
-    const validResults = analysisResults.filter(r => !r.error);
-    
-    // 의존성 분석 결과 통합
-    const combinedDependencyAnalysis = {
-      allFunctions: [],
-      components: [],
-      dependencies: [],
-      functionTypes: {},
+      // 완료된 분석은 기록에 저장 (저장 실패가 결과 표시를 막지는 않음)
+      saveRun(deriveProjectName(uploadedFiles), projectResults)
+        .catch(error => console.warn('분석 기록 저장 실패:', error));
+
+      setResults(projectResults);
+      setSources(Object.fromEntries(fileList.map(f => [f.name, f.content])));
+      enterStage('done');
+      abortControllerRef.current = null;
+      setScreen('results');
     };
-    
-    const allFunctionsSet = new Set();
-    const dependencyMap = {};
-    const mergedFunctionTypes = {};
-    
-    validResults.forEach(r => {
-      if (r.dependencyAnalysis) {
-        (r.dependencyAnalysis.allFunctions || []).forEach(f => allFunctionsSet.add(f));
-        (r.dependencyAnalysis.components || []).forEach(c => combinedDependencyAnalysis.components.push(c));
-        
-        // 함수 타입 병합
-        if (r.dependencyAnalysis.functionTypes) {
-          Object.assign(mergedFunctionTypes, r.dependencyAnalysis.functionTypes);
-        }
-        
-        r.dependencyAnalysis.dependencies.forEach(dep => {
-          const key = `${dep.from}->${dep.to}`;
-          if (dependencyMap[key]) {
-            dependencyMap[key].count += dep.count;
-          } else {
-            dependencyMap[key] = { ...dep };
-          }
-        });
-      }
+
+    // 손상된 ZIP이나 엔진 오류는 업로드 화면으로 돌아가 알림 (취소는 조용히 무시)
+    runAnalysis().catch(error => {
+      if (error.name === 'AbortError' || signal.aborted) return;
+      console.error('분석 실패:', error);
+      abortControllerRef.current = null;
+      setAnalysisError(error.message || String(error));
+      setAnalysisProgress(createAnalysisProgress());
+      setScreen('upload');
     });
-    
-    combinedDependencyAnalysis.allFunctions = Array.from(allFunctionsSet);
-    combinedDependencyAnalysis.dependencies = Object.values(dependencyMap);
-    combinedDependencyAnalysis.functionTypes = mergedFunctionTypes;
-    combinedDependencyAnalysis.components = [...new Set(combinedDependencyAnalysis.components)];
-    
-    const summary = {
-      totalFiles: analysisResults.length,
-      totalLOC: analysisResults.reduce((sum, r) => sum + (r.loc || 0), 0),
-      totalFunctions: validResults.reduce((sum, r) => sum + (r.functions?.length || 0), 0),
-      totalVariables: validResults.reduce((sum, r) => sum + (r.variables?.length || 0), 0),
-      totalEventHandlers: validResults.reduce((sum, r) => sum + (r.eventHandlers?.length || 0), 0),
-      totalComponents: validResults.reduce((sum, r) => sum + (r.components?.length || 0), 0),
-      totalHooks: [...new Set(validResults.flatMap(r => r.hooks || []))],
-      totalImports: [...new Set(validResults.flatMap(r => r.imports?.map(i => i.source) || []))],
-      totalIssues: validResults.reduce((sum, r) => sum + (r.issues?.length || 0), 0),
-      avgQualityScore: validResults.length > 0 ? Math.round(
-        validResults.reduce((sum, r) => sum + r.qualityScore, 0) / validResults.length
-      ) : 0,
-      avgCyclomaticComplexity: validResults.length > 0 ? Math.round(
-        validResults.reduce((sum, r) => sum + (r.metrics?.cyclomaticComplexity || 0), 0) / validResults.length
-      ) : 0,
-      avgMaintainabilityIndex: validResults.length > 0 ? Math.round(
-        validResults.reduce((sum, r) => sum + (r.metrics?.maintainabilityIndex || 0), 0) / validResults.length
-      ) : 0,
-      totalCBO: validResults.reduce((sum, r) => sum + (r.metrics?.cbo || 0), 0),
-      totalWMC: validResults.reduce((sum, r) => sum + (r.metrics?.wmc || 0), 0),
-      totalAnalysisTime: validResults.reduce((sum, r) => sum + parseFloat(r.analysisTime || 0), 0).toFixed(2),
-      dependencyAnalysis: combinedDependencyAnalysis,
-    };
+  }, [scoringProfile, entryPoints]);
 
-    setResults({ files: analysisResults, summary });
-    setCurrentStep('완료!');
-    
-    setTimeout(() => {
-      setScreen('results');
-    }, 500);
+  const cancelAnalysis = useCallback(() => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    setScreen('upload');
+    setAnalysisProgress(createAnalysisProgress());
   }, []);
 
   const handleDrag = useCallback((e) => {
@@ -1182,11 +1233,67 @@ const App = () => {
     }
   }, [processFiles]);
 
+  const handleExport = (format) => {
+    exportResults(format, results, {
+      gauge: captureSvg(gaugeRef.current),
+      radar: captureSvg(radarRef.current),
+      diagram: captureSvg(diagramRef.current),
+      modules: captureSvg(moduleGraphRef.current),
+    });
+  };
+
+  const handleReportImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    // try 블록 안에는 조건식을 두지 않음 (React Compiler가 컴포넌트 전체를 건너뜀)
+    let report;
+    try {
+      report = parseJsonReport(await file.text());
+    } catch (error) {
+      setImportError(`리포트를 불러올 수 없습니다: ${error.message}`);
+      return;
+    }
+    // 다른 프로필로 저장한 리포트와도 같은 기준으로 비교하도록 선택한 프로필로 점수를 다시 계산
+    setBaseline({ results: rescoreProject(report, scoringProfile), label: `${file.name}${report.exportedAt ? ` (${new Date(report.exportedAt).toLocaleString('ko-KR')})` : ''}` });
+    setImportError(null);
+  };
+
+  const closeViewer = useCallback(() => setViewerFile(null), []);
+
+  // 프로필을 바꾸면 다시 파싱하지 않고 점수만 새로 계산
+  const changeScoringProfile = (profile) => {
+    setScoringProfile(profile);
+    if (results) setResults(rescoreProject(results, profile));
+    if (baseline) setBaseline({ ...baseline, results: rescoreProject(baseline.results, profile) });
+  };
+
+  // 진입점을 바꾸면 다시 파싱하지 않고 미사용 코드만 새로 계산
+  const changeEntryPoints = (patterns) => {
+    setEntryPoints(patterns);
+    if (results) setResults({ ...results, deadCode: findDeadCode(results.files, results.moduleGraph, { entryPoints: patterns }) });
+  };
+
+  // 저장된 요약에는 프로필 id/이름만 있으므로 선택한 프로필로 점수를 다시 계산해 화면의 프로필과 맞춤
+  const openHistoryRun = (savedResults) => {
+    setResults(rescoreProject(savedResults, scoringProfile));
+    setSources(null);
+    setViewerFile(null);
+    setBaseline(null);
+    setImportError(null);
+    setScreen('results');
+  };
+
   const resetApp = () => {
     setScreen('upload');
     setResults(null);
-    setProgress(0);
-    setCurrentStep('');
+    setSources(null);
+    setViewerFile(null);
+    setBaseline(null);
+    setImportError(null);
+    setAnalysisError(null);
+    setAnalysisProgress(createAnalysisProgress());
   };
 
   if (screen === 'upload') {
@@ -1243,11 +1350,38 @@ const App = () => {
             <span style={styles.badge}>📄 JS/TS</span>
           </div>
         </div>
+
+        {analysisError && (
+          <div style={styles.analysisError} role="alert">
+            ⚠️ 분석에 실패했습니다: {analysisError}
+          </div>
+        )}
+
+        <button style={styles.historyLink} onClick={() => setScreen('history')}>
+          📈 분석 기록 보기
+        </button>
       </div>
     );
   }
 
+  if (screen === 'history') {
+    return (
+      <HistoryView
+        onOpen={openHistoryRun}
+        onBack={() => setScreen(results ? 'results' : 'upload')}
+      />
+    );
+  }
+
   if (screen === 'analyzing') {
+    const progress = getProgressPercent(analysisProgress);
+    const stageIndex = STAGE_ORDER.indexOf(analysisProgress.stage);
+    const steps = [
+      { stage: 'reading', label: '파일 읽기' },
+      { stage: 'analyzing', label: 'AST 파싱 · 메트릭 계산' },
+      { stage: 'summarizing', label: '결과 생성' },
+    ];
+
     return (
       <div style={styles.containerUpload}>
         <div style={styles.analyzingBox}>
@@ -1257,7 +1391,7 @@ const App = () => {
           </div>
           
           <h2 style={styles.analyzingTitle}>코드 분석 중...</h2>
-          <p style={styles.analyzingDesc}>{currentStep}</p>
+          <p style={styles.analyzingDesc}>{STAGE_LABELS[analysisProgress.stage]}</p>
           
           <div style={styles.progressContainer}>
             <div style={styles.progressBar}>
@@ -1266,24 +1400,54 @@ const App = () => {
             <span style={styles.progressText}>{progress}%</span>
           </div>
 
-          <div style={styles.analyzingSteps}>
-            <div style={{...styles.step, opacity: progress > 0 ? 1 : 0.3}}>
-              <span style={styles.stepCheck}>{progress > 25 ? '✓' : '○'}</span>
-              <span>파일 읽기</span>
+          <div style={styles.progressStats}>
+            <div style={styles.progressStat}>
+              <span style={styles.progressStatValue}>
+                {analysisProgress.filesExtracted} / {analysisProgress.filesFound}
+              </span>
+              <span style={styles.progressStatLabel}>추출된 파일</span>
             </div>
-            <div style={{...styles.step, opacity: progress > 25 ? 1 : 0.3}}>
-              <span style={styles.stepCheck}>{progress > 50 ? '✓' : '○'}</span>
-              <span>AST 변환</span>
+            <div style={styles.progressStat}>
+              <span style={styles.progressStatValue}>{formatBytes(analysisProgress.bytesRead)}</span>
+              <span style={styles.progressStatLabel}>읽은 용량</span>
             </div>
-            <div style={{...styles.step, opacity: progress > 50 ? 1 : 0.3}}>
-              <span style={styles.stepCheck}>{progress > 75 ? '✓' : '○'}</span>
-              <span>메트릭 계산</span>
+            <div style={styles.progressStat}>
+              <span style={styles.progressStatValue}>{analysisProgress.filesParsed}</span>
+              <span style={styles.progressStatLabel}>분석 완료</span>
             </div>
-            <div style={{...styles.step, opacity: progress > 75 ? 1 : 0.3}}>
-              <span style={styles.stepCheck}>{progress >= 100 ? '✓' : '○'}</span>
-              <span>결과 생성</span>
+            <div style={styles.progressStat}>
+              <span style={{
+                ...styles.progressStatValue,
+                color: analysisProgress.filesFailed > 0 ? '#dc2626' : styles.progressStatValue.color,
+              }}>
+                {analysisProgress.filesFailed}
+              </span>
+              <span style={styles.progressStatLabel}>실패</span>
             </div>
           </div>
+
+          <div style={styles.progressMeta}>
+            <div style={styles.progressCurrentFile} title={analysisProgress.currentFile || ''}>
+              📄 {analysisProgress.currentFile || '-'}
+            </div>
+            <div>⏱ 남은 시간: {formatDuration(estimateRemainingMs(analysisProgress))}</div>
+          </div>
+
+          <div style={styles.analyzingSteps}>
+            {steps.map(({ stage, label }) => {
+              const index = STAGE_ORDER.indexOf(stage);
+              return (
+                <div key={stage} style={{...styles.step, opacity: stageIndex >= index ? 1 : 0.3}}>
+                  <span style={styles.stepCheck}>{stageIndex > index ? '✓' : '○'}</span>
+                  <span>{label}</span>
+                </div>
+              );
+            })}
+          </div>
+
+          <button style={styles.cancelButton} onClick={cancelAnalysis}>
+            분석 취소
+          </button>
         </div>
 
         <style>{`
@@ -1296,31 +1460,85 @@ const App = () => {
   }
 
   if (screen === 'results' && results) {
+    const comparison = baseline ? compareResults(baseline.results, results) : null;
+
     const qualityBarData = [
       { name: '함수 복잡도', value: Math.min(100, results.summary.avgCyclomaticComplexity * 10), color: '#ec4899' },
       { name: '변수 관리', value: Math.min(100, 100 - results.summary.totalVariables / results.summary.totalFiles * 2), color: '#f59e0b' },
       { name: '이벤트 핸들러', value: Math.min(100, results.summary.totalEventHandlers * 15), color: '#8b5cf6' },
       { name: '유지보수 지수', value: results.summary.avgMaintainabilityIndex, color: '#3b82f6' },
+      { name: '주석 밀도', value: Math.min(100, results.summary.commentDensity ?? 0), label: `${results.summary.commentDensity ?? 0}%`, color: '#14b8a6' },
     ];
 
     const radarData = [
-      { subject: 'LOC', A: Math.min(100, results.summary.totalLOC / 10), fullMark: 100 },
+      { subject: 'LOC', A: Math.min(100, (results.summary.totalSLOC ?? results.summary.totalLOC) / 10), fullMark: 100 },
       { subject: 'Cyclomatic', A: Math.min(100, results.summary.avgCyclomaticComplexity * 10), fullMark: 100 },
+      { subject: 'Cognitive', A: Math.min(100, results.summary.avgCognitiveComplexity * 4), raw: results.summary.avgCognitiveComplexity, fullMark: 100 },
       { subject: 'CBO', A: Math.min(100, results.summary.totalCBO * 5), fullMark: 100 },
       { subject: 'WMC', A: Math.min(100, results.summary.totalWMC * 5), fullMark: 100 },
       { subject: 'MI', A: results.summary.avgMaintainabilityIndex, fullMark: 100 },
+      { subject: 'Volume', A: Math.min(100, results.summary.avgHalsteadVolume / 50), raw: results.summary.avgHalsteadVolume, fullMark: 100 },
+      { subject: 'Difficulty', A: Math.min(100, results.summary.avgHalsteadDifficulty * 2), raw: results.summary.avgHalsteadDifficulty, fullMark: 100 },
+      { subject: 'Bugs', A: Math.min(100, results.summary.totalEstimatedBugs * 20), raw: results.summary.totalEstimatedBugs, fullMark: 100 },
     ];
 
     return (
       <div style={styles.container}>
-        <QualityInfoModal isOpen={showQualityInfo} onClose={() => setShowQualityInfo(false)} />
+        <QualityInfoModal
+          isOpen={showQualityInfo}
+          onClose={() => setShowQualityInfo(false)}
+          profile={scoringProfile}
+        />
+        {viewerFile && sources?.[viewerFile] != null && (
+          <SourceViewer
+            file={results.files.find(f => f.filename === viewerFile)}
+            source={sources[viewerFile]}
+            onClose={closeViewer}
+          />
+        )}
         
         <div style={styles.resultsHeader}>
-          <button style={styles.backButton} onClick={resetApp}>
-            ← 새로운 분석
-          </button>
+          <div style={styles.headerButtons}>
+            <button style={styles.backButton} onClick={resetApp}>
+              ← 새로운 분석
+            </button>
+            <button style={styles.historyButton} onClick={() => setScreen('history')}>
+              📈 분석 기록
+            </button>
+          </div>
+          <div style={styles.exportButtons}>
+            <span style={styles.exportLabel}>내보내기</span>
+            <button style={styles.exportButton} onClick={() => handleExport('json')}>JSON</button>
+            <button style={styles.exportButton} onClick={() => handleExport('csv')}>CSV</button>
+            <button style={styles.exportButton} onClick={() => handleExport('html')}>HTML 리포트</button>
+            <button
+              style={styles.compareButton}
+              onClick={() => document.getElementById('reportInput').click()}
+            >
+              🔀 이전 리포트와 비교
+            </button>
+            <input
+              id="reportInput"
+              type="file"
+              accept=".json,application/json"
+              onChange={handleReportImport}
+              style={{ display: 'none' }}
+            />
+          </div>
         </div>
 
+        {importError && (
+          <div style={styles.importError}>⚠️ {importError}</div>
+        )}
+
+        {comparison && (
+          <ComparisonPanel
+            comparison={comparison}
+            baselineLabel={baseline.label}
+            onClose={() => setBaseline(null)}
+          />
+        )}
+
         <div style={styles.summaryCard}>
           <h2 style={styles.cardTitle}>
             <span style={styles.cardIcon}>📊</span> AST 요약 분석 결과
@@ -1346,7 +1564,10 @@ const App = () => {
                 ❓ 계산 방법
               </button>
             </div>
-            <CircularGauge score={results.summary.avgQualityScore} />
+            <div ref={gaugeRef}>
+              <CircularGauge score={results.summary.avgQualityScore} />
+            </div>
+            <ProfileSelector profile={scoringProfile} onChange={changeScoringProfile} />
           </div>
 
           <div style={styles.chartCardBar}>
@@ -1371,7 +1592,7 @@ const App = () => {
             <span style={styles.chartIcon}>📡</span> 확장 메트릭 레이더
           </h3>
           <p style={styles.chartHint}>* 각 축 이름에 마우스를 올려 설명을 확인하세요</p>
-          <div style={styles.radarChartWrapper}>
+          <div style={styles.radarChartWrapper} ref={radarRef}>
             <ResponsiveContainer width="100%" height={320}>
               <RadarChart data={radarData} cx="50%" cy="50%" outerRadius="65%">
                 <PolarGrid stroke="#e5e7eb" />
@@ -1406,18 +1627,72 @@ const App = () => {
           </h3>
           <p style={styles.chartHint}>
             * 각 노드와 화살표에 마우스를 올려 상세 정보를 확인하세요. 
-            화살표는 A → B (A가 B를 호출)를 의미하며, 숫자는 호출 횟수입니다.
+            화살표는 A → B (A가 B를 호출, 렌더링, prop으로 전달, 또는 값으로 참조)를 의미하며, 숫자는 횟수입니다.
+            위의 버튼으로 종류별 화살표를 켜고 끄거나, 레이아웃(힘 기반, 계층, 파일·폴더별 묶음)과 배율을 바꿀 수 있습니다.
           </p>
-          <DependencyDiagram 
-            dependencyAnalysis={results.summary.dependencyAnalysis} 
-          />
+          <div ref={diagramRef}>
+            <DependencyDiagram 
+              dependencyAnalysis={results.summary.dependencyAnalysis} 
+              edgeDiff={comparison?.dependencies}
+            />
+          </div>
         </div>
 
+        {/* 모듈 의존성 그래프 (모듈 그래프가 없던 이전 버전 리포트에는 표시하지 않음) */}
+        {results.moduleGraph && (
+          <div style={styles.stateDiagramCard}>
+            <h3 style={styles.chartTitle}>
+              <span style={styles.chartIcon}>📦</span> 모듈 의존성 그래프
+            </h3>
+            <p style={styles.chartHint}>
+              * 화살표는 A → B (A가 B를 import)를 의미합니다. 상대 경로, index 파일, 확장자 생략,
+              tsconfig/jsconfig의 paths 별칭을 해석하며, 순환 import는 빨간색으로 표시됩니다.
+            </p>
+            <div ref={moduleGraphRef}>
+              <ModuleGraphDiagram
+                moduleGraph={results.moduleGraph}
+                onOpenFile={sources ? setViewerFile : null}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* 미사용 코드 (탐지 결과가 없던 이전 버전 리포트에는 표시하지 않음) */}
+        {results.deadCode && (
+          <DeadCodePanel
+            key={results.deadCode.entryPoints.join('\n')}
+            deadCode={results.deadCode}
+            onChangeEntryPoints={changeEntryPoints}
+            onOpenFile={sources ? setViewerFile : null}
+          />
+        )}
+
+        <WorstFunctionsTable
+          files={results.files}
+          onOpenFile={sources ? setViewerFile : null}
+        />
+
+        <AccessibilityPanel
+          files={results.files}
+          summary={results.summary}
+          onOpenFile={sources ? setViewerFile : null}
+        />
+
         <div style={styles.filesSection}>
           <h3 style={styles.sectionTitle}>📁 파일별 분석 결과</h3>
+          {sources && (
+            <p style={styles.sectionHint}>* 파일 카드를 클릭하면 이슈와 함수별 복잡도가 표시된 소스 코드를 볼 수 있습니다</p>
+          )}
           <div style={styles.fileList}>
             {results.files.map((file, index) => (
-              <div key={index} style={styles.fileCard}>
+              <div
+                key={index}
+                style={{
+                  ...styles.fileCard,
+                  ...(sources?.[file.filename] != null ? styles.fileCardClickable : {}),
+                }}
+                onClick={sources?.[file.filename] != null ? () => setViewerFile(file.filename) : undefined}
+              >
                 <div style={styles.fileHeader}>
                   <span style={styles.fileName}>📄 {file.filename}</span>
                   <div style={{
@@ -1434,21 +1709,68 @@ const App = () => {
                 </div>
                 
                 {file.error ? (
-                  <div style={styles.fileError}>⚠️ 파싱 에러: {file.error}</div>
+                  <div style={styles.fileError}>
+                    ⚠️ 파싱 에러: {file.error}
+                    {file.errorLoc && (
+                      <span style={styles.locationLabel}>L{file.errorLoc.line}:{file.errorLoc.column}</span>
+                    )}
+                  </div>
                 ) : (
                   <div style={styles.fileDetails}>
                     <div style={styles.fileMetrics}>
-                      <span style={styles.metricItem}>📝 {file.loc} lines</span>
+                      <span
+                        style={styles.metricItem}
+                        title={file.lines ? `소스 ${file.lines.source}줄 / 주석 ${file.lines.comment}줄 / 빈 줄 ${file.lines.blank}줄` : undefined}
+                      >
+                        📝 {file.loc} lines{file.lines && ` (SLOC ${file.lines.source})`}
+                      </span>
+                      {file.lines && (
+                        <span style={styles.metricItem}>💬 주석 {file.lines.comment}줄 ({file.lines.commentDensity}%)</span>
+                      )}
                       <span style={styles.metricItem}>🔧 함수 {file.functions?.length || 0}</span>
                       <span style={styles.metricItem}>📦 변수 {file.variables?.length || 0}</span>
                       <span style={styles.metricItem}>🔄 CC: {file.metrics?.cyclomaticComplexity || 0}</span>
+                      <span style={styles.metricItem}>🧠 인지 복잡도: {file.metrics?.cognitiveComplexity ?? 0}</span>
+                      <span style={styles.metricItem}>🛠 MI: {file.metrics?.maintainabilityIndex ?? 0}</span>
                     </div>
+
+                    {file.metrics?.halstead && (
+                      <div
+                        style={styles.fileMetrics}
+                        title={`연산자 ${file.metrics.halstead.distinctOperators}종 / ${file.metrics.halstead.totalOperators}개, 피연산자 ${file.metrics.halstead.distinctOperands}종 / ${file.metrics.halstead.totalOperands}개`}
+                      >
+                        <span style={styles.metricItem}>📐 어휘 {file.metrics.halstead.vocabulary}</span>
+                        <span style={styles.metricItem}>길이 {file.metrics.halstead.length}</span>
+                        <span style={styles.metricItem}>볼륨 {Math.round(file.metrics.halstead.volume)}</span>
+                        <span style={styles.metricItem}>난이도 {file.metrics.halstead.difficulty}</span>
+                        <span style={styles.metricItem}>노력 {Math.round(file.metrics.halstead.effort)}</span>
+                        <span style={styles.metricItem}>🐞 예상 버그 {file.metrics.halstead.bugs}</span>
+                      </div>
+                    )}
                     
                     {file.components?.length > 0 && (
                       <div style={styles.tagRow}>
                         <span style={styles.tagLabel}>컴포넌트:</span>
                         {file.components.map((comp, i) => (
-                          <span key={i} style={styles.componentTag}>{comp}</span>
+                          <span key={i} style={styles.componentTag}>
+                            {comp}
+                            <LocationLabel
+                              loc={file.functionDetails?.find(f => f.name === comp)?.loc}
+                              lineOnly
+                            />
+                          </span>
+                        ))}
+                      </div>
+                    )}
+
+                    {file.functionDetails?.some(f => f.type !== 'component') && (
+                      <div style={styles.tagRow}>
+                        <span style={styles.tagLabel}>함수:</span>
+                        {file.functionDetails.filter(f => f.type !== 'component').map((fn, i) => (
+                          <span key={i} style={styles.functionTag}>
+                            {fn.name}
+                            <LocationLabel loc={fn.loc} lineOnly />
+                          </span>
                         ))}
                       </div>
                     )}
@@ -1456,17 +1778,32 @@ const App = () => {
                     {file.hooks?.length > 0 && (
                       <div style={styles.tagRow}>
                         <span style={styles.tagLabel}>Hooks:</span>
-                        {file.hooks.map((hook, i) => (
-                          <span key={i} style={styles.hookTag}>{hook}</span>
-                        ))}
+                        {file.hooks.map((hook, i) => {
+                          const calls = (file.hookCalls || []).filter(h => h.name === hook);
+                          return (
+                            <span
+                              key={i}
+                              style={styles.hookTag}
+                              title={calls.map(h => formatLocation(h.loc)).join('\n')}
+                            >
+                              {hook}
+                              {calls.length > 0 && (
+                                <span style={styles.locationLabel}>
+                                  L{calls.map(h => h.loc?.start.line).join(', ')}
+                                </span>
+                              )}
+                            </span>
+                          );
+                        })}
                       </div>
                     )}
                     
-                    {file.issues?.length > 0 && (
+                    {file.issues?.some(issue => issue.type !== ACCESSIBILITY_CATEGORY) && (
                       <div style={styles.issuesList}>
-                        {file.issues.map((issue, i) => (
-                          <div key={i} style={styles.issueItem}>
+                        {file.issues.filter(issue => issue.type !== ACCESSIBILITY_CATEGORY).map((issue, i) => (
+                          <div key={i} style={styles.issueItem} title={issue.ruleId}>
                             🚨 {issue.message}
+                            <LocationLabel loc={issue.loc} />
                           </div>
                         ))}
                       </div>
@@ -1653,6 +1990,44 @@ const styles = {
     color: '#6366f1',
     minWidth: '40px',
   },
+  progressStats: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(4, 1fr)',
+    gap: '8px',
+    marginBottom: '16px',
+  },
+  progressStat: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '2px',
+    padding: '8px 4px',
+    background: '#f9fafb',
+    borderRadius: '8px',
+  },
+  progressStatValue: {
+    fontSize: '14px',
+    fontWeight: '700',
+    color: '#1f2937',
+  },
+  progressStatLabel: {
+    fontSize: '11px',
+    color: '#9ca3af',
+  },
+  progressMeta: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#6b7280',
+    marginBottom: '24px',
+  },
+  progressCurrentFile: {
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+    fontFamily: "'JetBrains Mono', monospace",
+  },
   analyzingSteps: {
     display: 'flex',
     justifyContent: 'center',
@@ -1671,9 +2046,104 @@ const styles = {
     color: '#6366f1',
     fontWeight: '600',
   },
+  cancelButton: {
+    marginTop: '28px',
+    padding: '8px 20px',
+    background: '#ffffff',
+    color: '#6b7280',
+    border: '1px solid #d1d5db',
+    borderRadius: '10px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s ease',
+  },
   resultsHeader: {
     maxWidth: '1200px',
     margin: '0 auto 24px',
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '12px',
+  },
+  headerButtons: {
+    display: 'flex',
+    gap: '8px',
+  },
+  historyButton: {
+    padding: '10px 20px',
+    background: '#f3f4f6',
+    color: '#4b5563',
+    border: 'none',
+    borderRadius: '10px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s ease',
+  },
+  historyLink: {
+    marginTop: '20px',
+    padding: '8px 16px',
+    background: 'none',
+    color: '#6366f1',
+    border: 'none',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  exportButtons: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  exportLabel: {
+    fontSize: '13px',
+    color: '#6b7280',
+    marginRight: '4px',
+  },
+  compareButton: {
+    padding: '8px 14px',
+    background: '#ede9fe',
+    color: '#6366f1',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    marginLeft: '8px',
+    transition: 'all 0.2s ease',
+  },
+  analysisError: {
+    maxWidth: '600px',
+    margin: '24px auto 0',
+    padding: '12px 16px',
+    background: '#fef2f2',
+    color: '#dc2626',
+    borderRadius: '10px',
+    fontSize: '13px',
+    textAlign: 'center',
+    wordBreak: 'break-word',
+  },
+  importError: {
+    maxWidth: '1200px',
+    margin: '0 auto 24px',
+    padding: '12px 16px',
+    background: '#fef2f2',
+    color: '#dc2626',
+    borderRadius: '10px',
+    fontSize: '13px',
+  },
+  exportButton: {
+    padding: '8px 14px',
+    background: '#f3f4f6',
+    color: '#4b5563',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    transition: 'all 0.2s ease',
   },
   backButton: {
     padding: '10px 20px',
@@ -1933,6 +2403,132 @@ const styles = {
     height: '14px',
     borderRadius: '4px',
   },
+  legendLine: {
+    width: '24px',
+    height: '3px',
+  },
+  diagramToolbar: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    flexWrap: 'wrap',
+    marginBottom: '12px',
+  },
+  layoutButtons: {
+    display: 'flex',
+    gap: '6px',
+    flexWrap: 'wrap',
+  },
+  layoutButton: {
+    padding: '6px 12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#4b5563',
+    background: '#f3f4f6',
+    border: '1px solid transparent',
+    borderRadius: '8px',
+    cursor: 'pointer',
+  },
+  layoutButtonActive: {
+    color: '#4338ca',
+    background: '#eef2ff',
+    borderColor: '#c7d2fe',
+  },
+  zoomControls: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+  },
+  zoomButton: {
+    minWidth: '32px',
+    padding: '6px 10px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#4b5563',
+    background: '#ffffff',
+    border: '1px solid #e5e7eb',
+    borderRadius: '8px',
+    cursor: 'pointer',
+  },
+  zoomValue: {
+    minWidth: '44px',
+    textAlign: 'center',
+    fontSize: '12px',
+    color: '#6b7280',
+    fontVariantNumeric: 'tabular-nums',
+  },
+  diagramNote: {
+    fontSize: '12px',
+    color: '#6b7280',
+    margin: '0 0 12px 0',
+  },
+  diagramViewport: {
+    maxHeight: '760px',
+    overflow: 'auto',
+    border: '1px solid #f3f4f6',
+    borderRadius: '12px',
+  },
+  edgeKindFilters: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    marginBottom: '16px',
+  },
+  edgeKindToggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '6px 12px',
+    fontSize: '12px',
+    fontWeight: '500',
+    color: '#1f2937',
+    background: '#ffffff',
+    border: '2px solid',
+    borderRadius: '999px',
+    cursor: 'pointer',
+  },
+  edgeKindToggleOff: {
+    borderColor: '#e5e7eb',
+    color: '#9ca3af',
+    background: '#f9fafb',
+  },
+  edgeKindSwatch: {
+    width: '20px',
+    height: 0,
+  },
+  cycleSection: {
+    marginTop: '20px',
+  },
+  cycleSectionTitle: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: '0 0 8px 0',
+  },
+  cycleItem: {
+    padding: '8px 12px',
+    marginBottom: '6px',
+    background: '#fef2f2',
+    border: '1px solid #fecaca',
+    borderRadius: '8px',
+    cursor: 'default',
+  },
+  cycleItemActive: {
+    borderColor: CYCLE_COLOR,
+  },
+  cyclePath: {
+    fontSize: '12px',
+    fontFamily: "'JetBrains Mono', monospace",
+    color: '#991b1b',
+    wordBreak: 'break-all',
+  },
+  cycleMembers: {
+    marginTop: '4px',
+    fontSize: '11px',
+    color: '#b91c1c',
+    wordBreak: 'break-all',
+  },
   legendCircle: {
     width: '14px',
     height: '14px',
@@ -1999,6 +2595,14 @@ const styles = {
     boxShadow: '0 2px 8px rgba(0, 0, 0, 0.06)',
     border: '1px solid #f3f4f6',
   },
+  fileCardClickable: {
+    cursor: 'pointer',
+  },
+  sectionHint: {
+    fontSize: '11px',
+    color: '#9ca3af',
+    margin: '-8px 0 16px 0',
+  },
   fileHeader: {
     display: 'flex',
     justifyContent: 'space-between',
@@ -2056,6 +2660,19 @@ const styles = {
     borderRadius: '12px',
     fontSize: '12px',
   },
+  functionTag: {
+    padding: '4px 10px',
+    background: '#dcfce7',
+    color: '#166534',
+    borderRadius: '12px',
+    fontSize: '12px',
+  },
+  locationLabel: {
+    marginLeft: '6px',
+    fontSize: '11px',
+    fontFamily: "'JetBrains Mono', monospace",
+    opacity: 0.7,
+  },
   hookTag: {
     padding: '4px 10px',
     background: '#dbeafe',
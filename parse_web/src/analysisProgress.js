@@ -0,0 +1,79 @@
+// ============================================
+// 분석 진행 상태 모델
+// ============================================
+
+// 단계별로 진행률 막대에서 차지하는 구간 (%)
+const STAGE_RANGES = {
+  reading: [0, 30],
+  analyzing: [30, 95],
+  summarizing: [95, 100],
+  done: [100, 100],
+};
+
+export const STAGE_ORDER = ['reading', 'analyzing', 'summarizing', 'done'];
+
+export const STAGE_LABELS = {
+  reading: '파일 읽는 중...',
+  analyzing: 'AST 파싱 및 메트릭 계산 중...',
+  summarizing: '결과 생성 중...',
+  done: '완료!',
+};
+
+export const createAnalysisProgress = () => ({
+  stage: 'reading',
+  filesFound: 0,
+  filesExtracted: 0,
+  bytesRead: 0,
+  filesParsed: 0,
+  filesFailed: 0,
+  currentFile: null,
+  startedAt: Date.now(),
+  stageStartedAt: Date.now(),
+});
+
+// 현재 단계 내에서의 완료 비율 (0 ~ 1)
+const getStageFraction = (progress) => {
+  switch (progress.stage) {
+    case 'reading':
+      return progress.filesFound > 0 ? progress.filesExtracted / progress.filesFound : 0;
+    case 'analyzing': {
+      const total = progress.filesExtracted;
+      return total > 0 ? (progress.filesParsed + progress.filesFailed) / total : 0;
+    }
+    default:
+      return 1;
+  }
+};
+
+export const getProgressPercent = (progress) => {
+  const [start, end] = STAGE_RANGES[progress.stage];
+  return Math.round(start + (end - start) * getStageFraction(progress));
+};
+
+// 현재 단계의 처리 속도를 기준으로 남은 시간(ms)을 추정
+// 아직 추정할 근거가 없으면 null
+export const estimateRemainingMs = (progress, now = Date.now()) => {
+  const fraction = getStageFraction(progress);
+  const elapsed = now - progress.stageStartedAt;
+  if (progress.stage === 'done' || fraction <= 0 || elapsed < 500) return null;
+
+  const stageRemaining = elapsed * (1 - fraction) / fraction;
+  // 파일 읽기 중에는 뒤따르는 분석 단계도 대략 같은 시간이 걸린다고 가정
+  if (progress.stage === 'reading') {
+    return stageRemaining + elapsed / fraction;
+  }
+  return stageRemaining;
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const formatDuration = (ms) => {
+  if (ms == null) return '계산 중...';
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `약 ${seconds}초`;
+  return `약 ${Math.floor(seconds / 60)}분 ${seconds % 60}초`;
+};
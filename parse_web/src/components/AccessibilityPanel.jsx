@@ -0,0 +1,183 @@
+import { ACCESSIBILITY_CATEGORY, formatLocation } from '../engine/index.js';
+
+const SEVERITY_STYLES = {
+  high: { text: '높음', color: '#dc2626', background: '#fee2e2' },
+  medium: { text: '중간', color: '#ca8a04', background: '#fef3c7' },
+  low: { text: '낮음', color: '#6b7280', background: '#f3f4f6' },
+};
+
+const getScoreColor = (score) => {
+  if (score >= 80) return '#22c55e';
+  if (score >= 60) return '#eab308';
+  if (score >= 40) return '#f97316';
+  return '#ef4444';
+};
+
+// 접근성 점수와 접근성 이슈 목록 (품질 점수·파일별 이슈 목록과 분리해서 보여줌)
+// onOpenFile: 원본 소스가 있을 때 해당 파일을 소스 뷰어로 연다
+const AccessibilityPanel = ({ files, summary, onOpenFile }) => {
+  const filesWithIssues = files
+    .filter(f => !f.error)
+    .map(f => ({ ...f, a11yIssues: (f.issues || []).filter(issue => issue.type === ACCESSIBILITY_CATEGORY) }))
+    .filter(f => f.a11yIssues.length > 0)
+    .sort((a, b) => (a.accessibilityScore ?? 100) - (b.accessibilityScore ?? 100));
+
+  const score = summary.avgAccessibilityScore;
+
+  return (
+    <div style={styles.card}>
+      <h3 style={styles.title}>
+        <span style={styles.icon}>♿</span> 접근성
+      </h3>
+      <p style={styles.hint}>
+        * JSX가 있는 파일만 평가합니다. 접근성 이슈는 코드 품질 점수가 아닌 이 점수에만 반영됩니다.
+      </p>
+
+      {score == null ? (
+        <p style={styles.empty}>JSX가 있는 파일이 없어 접근성을 평가하지 않았습니다.</p>
+      ) : (
+        <>
+          <div style={styles.scoreRow}>
+            <span style={{ ...styles.score, color: getScoreColor(score) }}>{score}</span>
+            <span style={styles.scoreMax}>/ 100</span>
+            <span style={styles.issueCount}>이슈 {summary.totalAccessibilityIssues}건</span>
+          </div>
+
+          {filesWithIssues.length === 0 ? (
+            <p style={styles.empty}>발견된 접근성 이슈가 없습니다.</p>
+          ) : (
+            filesWithIssues.map(file => (
+              <div key={file.filename} style={styles.fileBlock}>
+                <div
+                  style={{ ...styles.fileHeader, ...(onOpenFile ? styles.clickable : {}) }}
+                  onClick={onOpenFile ? () => onOpenFile(file.filename) : undefined}
+                >
+                  <span style={styles.fileName}>📄 {file.filename}</span>
+                  <span style={{ ...styles.fileScore, color: getScoreColor(file.accessibilityScore) }}>
+                    {file.accessibilityScore}점
+                  </span>
+                </div>
+                {file.a11yIssues.map((issue, i) => {
+                  const severity = SEVERITY_STYLES[issue.severity] || SEVERITY_STYLES.high;
+                  return (
+                    <div key={i} style={styles.issue} title={issue.ruleId}>
+                      <span style={{ ...styles.severity, color: severity.color, background: severity.background }}>
+                        {severity.text}
+                      </span>
+                      <span>{issue.message}</span>
+                      {issue.loc && <span style={styles.location}>{formatLocation(issue.loc)}</span>}
+                    </div>
+                  );
+                })}
+              </div>
+            ))
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  card: {
+    maxWidth: '1200px',
+    margin: '0 auto 24px',
+    padding: '24px',
+    background: '#ffffff',
+    borderRadius: '16px',
+    boxShadow: '0 2px 12px rgba(0, 0, 0, 0.06)',
+    border: '1px solid #f3f4f6',
+  },
+  title: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  icon: {
+    fontSize: '18px',
+  },
+  hint: {
+    fontSize: '11px',
+    color: '#9ca3af',
+    margin: '8px 0 16px 0',
+  },
+  empty: {
+    fontSize: '13px',
+    color: '#6b7280',
+    margin: 0,
+  },
+  scoreRow: {
+    display: 'flex',
+    alignItems: 'baseline',
+    gap: '6px',
+    marginBottom: '16px',
+  },
+  score: {
+    fontSize: '36px',
+    fontWeight: '700',
+  },
+  scoreMax: {
+    fontSize: '14px',
+    color: '#9ca3af',
+  },
+  issueCount: {
+    marginLeft: '12px',
+    fontSize: '13px',
+    color: '#6b7280',
+  },
+  fileBlock: {
+    marginBottom: '12px',
+    border: '1px solid #f3f4f6',
+    borderRadius: '10px',
+    overflow: 'hidden',
+  },
+  fileHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '8px 12px',
+    background: '#f9fafb',
+  },
+  clickable: {
+    cursor: 'pointer',
+  },
+  fileName: {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#1f2937',
+    wordBreak: 'break-all',
+  },
+  fileScore: {
+    fontSize: '13px',
+    fontWeight: '700',
+  },
+  issue: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '6px 12px',
+    fontSize: '12px',
+    color: '#374151',
+    borderTop: '1px solid #f3f4f6',
+  },
+  severity: {
+    flexShrink: 0,
+    padding: '2px 6px',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontWeight: '600',
+  },
+  location: {
+    marginLeft: 'auto',
+    flexShrink: 0,
+    fontSize: '11px',
+    fontFamily: "'JetBrains Mono', monospace",
+    color: '#9ca3af',
+  },
+};
+
+export default AccessibilityPanel;
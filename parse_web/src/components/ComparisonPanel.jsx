@@ -0,0 +1,327 @@
+import { useState } from 'react';
+
+// 지표별로 값이 커지는 것이 좋은지 여부
+const HIGHER_IS_BETTER = {
+  qualityScore: true,
+  avgQualityScore: true,
+  accessibilityScore: true,
+  avgAccessibilityScore: true,
+  maintainabilityIndex: true,
+  avgMaintainabilityIndex: true,
+  cyclomaticComplexity: false,
+  avgCyclomaticComplexity: false,
+  cognitiveComplexity: false,
+  avgCognitiveComplexity: false,
+  totalIssues: false,
+};
+
+const STATUS_LABELS = {
+  added: { text: '추가', color: '#16a34a', background: '#dcfce7' },
+  removed: { text: '삭제', color: '#dc2626', background: '#fee2e2' },
+  changed: { text: '변경', color: '#ca8a04', background: '#fef3c7' },
+  unchanged: { text: '동일', color: '#6b7280', background: '#f3f4f6' },
+};
+
+const DeltaValue = ({ metric, value }) => {
+  if (value.delta == null) {
+    return <span style={styles.deltaNeutral}>{value.after ?? value.before ?? '-'}</span>;
+  }
+  const improved = HIGHER_IS_BETTER[metric] ? value.delta > 0 : value.delta < 0;
+  const color = value.delta === 0 ? '#6b7280' : improved ? '#16a34a' : '#dc2626';
+
+  return (
+    <span>
+      {value.before} → <strong>{value.after}</strong>{' '}
+      <span style={{ color, fontWeight: 600 }}>
+        ({value.delta > 0 ? '+' : ''}{value.delta})
+      </span>
+    </span>
+  );
+};
+
+const ComparisonPanel = ({ comparison, baselineLabel, onClose }) => {
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const summaryItems = [
+    { key: 'avgQualityScore', label: '평균 품질 점수' },
+    { key: 'avgAccessibilityScore', label: '평균 접근성 점수' },
+    { key: 'avgCyclomaticComplexity', label: '평균 순환 복잡도' },
+    { key: 'avgCognitiveComplexity', label: '평균 인지 복잡도' },
+    { key: 'avgMaintainabilityIndex', label: '평균 유지보수 지수' },
+    { key: 'totalIssues', label: '이슈 수' },
+  ];
+
+  // 점수가 가장 많이 떨어진 파일부터
+  const files = comparison.files
+    .filter(f => showUnchanged || f.status !== 'unchanged')
+    .sort((a, b) => (a.metrics.qualityScore.delta ?? 0) - (b.metrics.qualityScore.delta ?? 0));
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <h2 style={styles.title}>
+          <span style={styles.icon}>🔀</span> 이전 리포트와 비교
+        </h2>
+        <button style={styles.closeButton} onClick={onClose}>비교 닫기</button>
+      </div>
+      <p style={styles.hint}>기준 리포트: {baselineLabel}</p>
+      {!comparison.dependencies.comparable && (
+        <p style={styles.warning}>
+          ⚠️ 함수 이름만 기록하던 이전 버전 결과에 여러 파일이 같은 이름으로 정의한 함수가 있어
+          함수 의존 관계는 비교하지 않았습니다. 현재 버전으로 다시 분석한 결과끼리 비교하세요.
+        </p>
+      )}
+
+      <div style={styles.summaryGrid}>
+        {summaryItems.map(({ key, label }) => (
+          <div key={key} style={styles.summaryItem}>
+            <span style={styles.summaryLabel}>{label}</span>
+            <DeltaValue metric={key} value={comparison.summary[key]} />
+          </div>
+        ))}
+      </div>
+
+      <div style={styles.sectionHeader}>
+        <h4 style={styles.subtitle}>📁 파일별 변화</h4>
+        <label style={styles.toggle}>
+          <input
+            type="checkbox"
+            checked={showUnchanged}
+            onChange={(e) => setShowUnchanged(e.target.checked)}
+          />
+          변경 없는 파일 보기
+        </label>
+      </div>
+      {files.length === 0 ? (
+        <p style={styles.empty}>변경된 파일이 없습니다.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>파일</th>
+              <th style={styles.th}>상태</th>
+              <th style={styles.th}>품질 점수</th>
+              <th style={styles.th}>CC</th>
+              <th style={styles.th}>MI</th>
+              <th style={styles.th}>이슈</th>
+            </tr>
+          </thead>
+          <tbody>
+            {files.map(file => {
+              const status = STATUS_LABELS[file.status];
+              return (
+                <tr key={file.filename}>
+                  <td style={styles.tdFile}>{file.filename}</td>
+                  <td style={styles.td}>
+                    <span style={{ ...styles.statusBadge, color: status.color, background: status.background }}>
+                      {status.text}
+                    </span>
+                  </td>
+                  <td style={styles.td}><DeltaValue metric="qualityScore" value={file.metrics.qualityScore} /></td>
+                  <td style={styles.td}><DeltaValue metric="cyclomaticComplexity" value={file.metrics.cyclomaticComplexity} /></td>
+                  <td style={styles.td}><DeltaValue metric="maintainabilityIndex" value={file.metrics.maintainabilityIndex} /></td>
+                  <td style={styles.td}>
+                    {file.newIssues.length > 0 && <span style={styles.issueNew}>+{file.newIssues.length}</span>}
+                    {file.resolvedIssues.length > 0 && <span style={styles.issueResolved}>−{file.resolvedIssues.length}</span>}
+                    {file.newIssues.length === 0 && file.resolvedIssues.length === 0 && '-'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div style={styles.issueColumns}>
+        <div style={styles.issueColumn}>
+          <h4 style={styles.subtitle}>🚨 새로 생긴 이슈 ({comparison.newIssues.length})</h4>
+          {comparison.newIssues.length === 0 ? (
+            <p style={styles.empty}>없음</p>
+          ) : comparison.newIssues.map((issue, i) => (
+            <div key={i} style={styles.newIssueItem}>
+              <strong>{issue.filename}</strong> — {issue.message}
+            </div>
+          ))}
+        </div>
+        <div style={styles.issueColumn}>
+          <h4 style={styles.subtitle}>✅ 해결된 이슈 ({comparison.resolvedIssues.length})</h4>
+          {comparison.resolvedIssues.length === 0 ? (
+            <p style={styles.empty}>없음</p>
+          ) : comparison.resolvedIssues.map((issue, i) => (
+            <div key={i} style={styles.resolvedIssueItem}>
+              <strong>{issue.filename}</strong> — {issue.message}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  card: {
+    maxWidth: '1200px',
+    margin: '0 auto 24px',
+    padding: '24px',
+    background: '#ffffff',
+    borderRadius: '16px',
+    boxShadow: '0 2px 12px rgba(0, 0, 0, 0.06)',
+    border: '1px solid #f3f4f6',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  icon: {
+    fontSize: '20px',
+  },
+  closeButton: {
+    padding: '6px 12px',
+    background: '#f3f4f6',
+    color: '#6b7280',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  hint: {
+    fontSize: '12px',
+    color: '#9ca3af',
+    margin: '8px 0 20px 0',
+  },
+  warning: {
+    fontSize: '12px',
+    color: '#b45309',
+    background: '#fffbeb',
+    border: '1px solid #fde68a',
+    borderRadius: '8px',
+    padding: '8px 12px',
+    margin: '-8px 0 20px 0',
+  },
+  summaryGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+    gap: '12px',
+    marginBottom: '24px',
+  },
+  summaryItem: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    padding: '12px 16px',
+    background: '#f9fafb',
+    borderRadius: '10px',
+    fontSize: '14px',
+    color: '#1f2937',
+  },
+  summaryLabel: {
+    fontSize: '12px',
+    color: '#6b7280',
+  },
+  deltaNeutral: {
+    color: '#6b7280',
+  },
+  sectionHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  subtitle: {
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: '0 0 12px 0',
+  },
+  toggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '12px',
+    color: '#6b7280',
+    cursor: 'pointer',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '13px',
+    marginBottom: '24px',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '8px 10px',
+    color: '#6b7280',
+    fontWeight: '600',
+    borderBottom: '1px solid #e5e7eb',
+  },
+  td: {
+    padding: '8px 10px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#4b5563',
+    whiteSpace: 'nowrap',
+  },
+  tdFile: {
+    padding: '8px 10px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#1f2937',
+    fontWeight: '500',
+    wordBreak: 'break-all',
+  },
+  statusBadge: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    fontSize: '11px',
+    fontWeight: '600',
+  },
+  issueNew: {
+    color: '#dc2626',
+    fontWeight: '600',
+    marginRight: '8px',
+  },
+  issueResolved: {
+    color: '#16a34a',
+    fontWeight: '600',
+  },
+  issueColumns: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+    gap: '16px',
+  },
+  issueColumn: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+  },
+  newIssueItem: {
+    fontSize: '13px',
+    color: '#dc2626',
+    padding: '8px 10px',
+    background: '#fef2f2',
+    borderRadius: '8px',
+  },
+  resolvedIssueItem: {
+    fontSize: '13px',
+    color: '#16a34a',
+    padding: '8px 10px',
+    background: '#f0fdf4',
+    borderRadius: '8px',
+  },
+  empty: {
+    fontSize: '13px',
+    color: '#9ca3af',
+    margin: 0,
+  },
+};
+
+export default ComparisonPanel;
@@ -0,0 +1,298 @@
+import { useState } from 'react';
+import { DEFAULT_ENTRY_POINTS, formatLineRange } from '../engine/index.js';
+
+const SECTIONS = [
+  { key: 'unusedExports', label: '미사용 export', description: '어떤 파일도 import하지 않는 export입니다. 진입점 파일의 export는 제외됩니다.' },
+  { key: 'unusedFunctions', label: '미사용 함수', description: '어디서도 호출하거나 prop·콜백으로 넘기거나 참조하지 않는 함수입니다.' },
+  { key: 'unrenderedComponents', label: '렌더링 안 된 컴포넌트', description: 'JSX로 렌더링되지도, 값으로 전달(memo, 라우트 등)되지도 않는 컴포넌트입니다.' },
+  { key: 'unusedImports', label: '미사용 import', description: '파일 안에서 한 번도 쓰이지 않는 import입니다. JSX가 있는 파일의 React import는 제외됩니다.' },
+  { key: 'unusedVariables', label: '미사용 변수', description: '선언만 하고 읽지 않는 지역 변수입니다. _로 시작하는 이름은 제외됩니다.' },
+];
+
+const KIND_LABELS = {
+  component: '컴포넌트',
+  function: '함수',
+  variable: '변수',
+  class: '클래스',
+  type: '타입',
+  enum: 'enum',
+  're-export': '다시 내보내기',
+};
+
+const PAGE_SIZE = 30;
+
+const parseEntryPoints = (text) => text.split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+
+const getItemName = (item) => {
+  if (item.local) return item.imported && item.imported !== item.local ? `${item.imported} as ${item.local}` : item.local;
+  return item.name === 'default' ? 'default' : item.name;
+};
+
+// 미사용 export, 함수, 컴포넌트, import, 변수 목록과 진입점 설정
+// onChangeEntryPoints: 진입점 패턴을 바꾸면 다시 파싱하지 않고 미사용 코드만 다시 계산
+// onOpenFile: 원본 소스가 있을 때 해당 파일을 소스 뷰어로 연다
+const DeadCodePanel = ({ deadCode, onChangeEntryPoints, onOpenFile }) => {
+  const [activeKey, setActiveKey] = useState(() => SECTIONS.find(s => deadCode[s.key].length > 0)?.key ?? SECTIONS[0].key);
+  const [draft, setDraft] = useState(deadCode.entryPoints.join(', '));
+  const [limit, setLimit] = useState(PAGE_SIZE);
+
+  const section = SECTIONS.find(s => s.key === activeKey);
+  const items = deadCode[activeKey];
+  const total = SECTIONS.reduce((sum, s) => sum + deadCode[s.key].length, 0);
+
+  const applyEntryPoints = (e) => {
+    e.preventDefault();
+    const patterns = parseEntryPoints(draft);
+    onChangeEntryPoints(patterns.length > 0 ? patterns : DEFAULT_ENTRY_POINTS);
+  };
+
+  const selectSection = (key) => {
+    setActiveKey(key);
+    setLimit(PAGE_SIZE);
+  };
+
+  return (
+    <div style={styles.card}>
+      <h3 style={styles.title}>
+        <span style={styles.icon}>🧹</span> 미사용 코드
+        <span style={styles.totalCount}>{total}건</span>
+      </h3>
+      <p style={styles.hint}>
+        * import를 파일 사이로 따라가 프로젝트 전체에서 쓰이지 않는 코드를 찾습니다.
+        진입점 파일과 import()·require()로 불러오는 파일의 export는 모두 쓰이는 것으로 봅니다.
+      </p>
+
+      <form style={styles.entryRow} onSubmit={applyEntryPoints}>
+        <label style={styles.entryLabel} htmlFor="entryPointsInput">진입점</label>
+        <input
+          id="entryPointsInput"
+          style={styles.entryInput}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={DEFAULT_ENTRY_POINTS.join(', ')}
+          spellCheck={false}
+        />
+        <button type="submit" style={styles.entryButton}>적용</button>
+      </form>
+      <p style={styles.entryFiles}>
+        {deadCode.entryFiles.length > 0
+          ? `진입점 파일: ${deadCode.entryFiles.join(', ')}`
+          : '⚠️ 패턴과 맞는 파일이 없습니다. 모든 export가 import되는지로만 판단합니다.'}
+        <span style={styles.entryHelp}> (쉼표로 구분, * 는 폴더 안 아무 이름, **/ 는 여러 폴더)</span>
+      </p>
+
+      <div style={styles.tabs}>
+        {SECTIONS.map(s => (
+          <button
+            key={s.key}
+            style={{ ...styles.tab, ...(s.key === activeKey ? styles.tabActive : {}) }}
+            onClick={() => selectSection(s.key)}
+          >
+            {s.label}
+            <span style={styles.tabCount}>{deadCode[s.key].length}</span>
+          </button>
+        ))}
+      </div>
+      <p style={styles.sectionDescription}>{section.description}</p>
+
+      {items.length === 0 ? (
+        <p style={styles.empty}>발견된 항목이 없습니다.</p>
+      ) : (
+        <div style={styles.list}>
+          {items.slice(0, limit).map((item, i) => (
+            <div
+              key={`${item.file}:${getItemName(item)}:${i}`}
+              style={{ ...styles.row, ...(onOpenFile ? styles.clickable : {}) }}
+              onClick={onOpenFile ? () => onOpenFile(item.file) : undefined}
+            >
+              <span style={styles.name}>{getItemName(item)}</span>
+              {item.kind && <span style={styles.kind}>{KIND_LABELS[item.kind] ?? item.kind}</span>}
+              {item.source && <span style={styles.source}>from '{item.source}'</span>}
+              {item.calls > 0 && <span style={styles.kind} title="JSX 대신 함수로 직접 호출됨">호출 {item.calls}회</span>}
+              <span style={styles.file}>{item.file}</span>
+              {item.loc && <span style={styles.location}>{formatLineRange(item.loc)}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+      {items.length > limit && (
+        <button style={styles.moreButton} onClick={() => setLimit(limit + PAGE_SIZE)}>
+          더 보기 ({items.length - limit}개 남음)
+        </button>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  card: {
+    maxWidth: '1200px',
+    margin: '0 auto 24px',
+    padding: '24px',
+    background: '#ffffff',
+    borderRadius: '16px',
+    boxShadow: '0 2px 12px rgba(0, 0, 0, 0.06)',
+    border: '1px solid #f3f4f6',
+  },
+  title: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  icon: {
+    fontSize: '18px',
+  },
+  totalCount: {
+    marginLeft: '4px',
+    fontSize: '13px',
+    fontWeight: '500',
+    color: '#6b7280',
+  },
+  hint: {
+    fontSize: '11px',
+    color: '#9ca3af',
+    margin: '8px 0 16px 0',
+  },
+  entryRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  entryLabel: {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#4b5563',
+    flexShrink: 0,
+  },
+  entryInput: {
+    flex: 1,
+    minWidth: 0,
+    padding: '6px 10px',
+    border: '1px solid #e5e7eb',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontFamily: "'JetBrains Mono', monospace",
+    color: '#1f2937',
+  },
+  entryButton: {
+    padding: '6px 14px',
+    background: '#6366f1',
+    color: '#ffffff',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  entryFiles: {
+    fontSize: '12px',
+    color: '#6b7280',
+    margin: '6px 0 16px 0',
+    wordBreak: 'break-all',
+  },
+  entryHelp: {
+    color: '#9ca3af',
+  },
+  tabs: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+  },
+  tab: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    background: '#f3f4f6',
+    color: '#4b5563',
+    border: '1px solid transparent',
+    borderRadius: '999px',
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  tabActive: {
+    background: '#eef2ff',
+    color: '#4338ca',
+    borderColor: '#c7d2fe',
+  },
+  tabCount: {
+    fontVariantNumeric: 'tabular-nums',
+    opacity: 0.8,
+  },
+  sectionDescription: {
+    fontSize: '12px',
+    color: '#6b7280',
+    margin: '12px 0',
+  },
+  empty: {
+    fontSize: '13px',
+    color: '#6b7280',
+    margin: 0,
+  },
+  list: {
+    border: '1px solid #f3f4f6',
+    borderRadius: '10px',
+    overflow: 'hidden',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '6px 12px',
+    fontSize: '12px',
+    color: '#374151',
+    borderTop: '1px solid #f3f4f6',
+  },
+  clickable: {
+    cursor: 'pointer',
+  },
+  name: {
+    fontWeight: '600',
+    color: '#1f2937',
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  kind: {
+    flexShrink: 0,
+    padding: '2px 6px',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontWeight: '600',
+    color: '#6b7280',
+    background: '#f3f4f6',
+  },
+  source: {
+    fontSize: '11px',
+    color: '#9ca3af',
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  file: {
+    marginLeft: 'auto',
+    color: '#6b7280',
+    wordBreak: 'break-all',
+    textAlign: 'right',
+  },
+  location: {
+    flexShrink: 0,
+    fontSize: '11px',
+    fontFamily: "'JetBrains Mono', monospace",
+    color: '#9ca3af',
+  },
+  moreButton: {
+    marginTop: '12px',
+    padding: '8px 16px',
+    background: '#f3f4f6',
+    color: '#4b5563',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+};
+
+export default DeadCodePanel;
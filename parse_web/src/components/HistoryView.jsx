@@ -0,0 +1,270 @@
+import { useEffect, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { listRuns, loadRunResults, deleteRun } from '../history/historyStore.js';
+
+const TREND_LINES = [
+  { key: 'avgQualityScore', name: '평균 품질 점수', color: '#6366f1', axis: 'score' },
+  { key: 'avgAccessibilityScore', name: '평균 접근성 점수', color: '#10b981', axis: 'score' },
+  { key: 'avgMaintainabilityIndex', name: '평균 유지보수 지수', color: '#3b82f6', axis: 'score' },
+  { key: 'avgCyclomaticComplexity', name: '평균 순환 복잡도', color: '#ec4899', axis: 'count' },
+  { key: 'totalIssues', name: '이슈 수', color: '#ef4444', axis: 'count' },
+];
+
+const formatDate = (time) => new Date(time).toLocaleString('ko-KR', {
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const HistoryView = ({ onOpen, onBack }) => {
+  const [runs, setRuns] = useState(null);
+  const [error, setError] = useState(null);
+  const [selectedProject, setSelectedProject] = useState(null);
+
+  useEffect(() => {
+    listRuns()
+      .then(setRuns)
+      .catch(e => setError(e.message));
+  }, []);
+
+  const projectNames = runs ? [...new Set(runs.map(r => r.projectName))] : [];
+  // 선택 전에는 가장 최근에 분석한 프로젝트를 보여줌
+  const project = selectedProject ?? runs?.[runs.length - 1]?.projectName ?? null;
+  const projectRuns = (runs || []).filter(r => r.projectName === project);
+  const chartData = projectRuns.map(r => ({ ...r.metrics, label: formatDate(r.createdAt) }));
+
+  const handleOpen = async (run) => {
+    let results;
+    try {
+      results = await loadRunResults(run.id);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+    if (!results) {
+      setError('저장된 결과를 찾을 수 없습니다.');
+      return;
+    }
+    onOpen(results, run);
+  };
+
+  const handleDelete = async (run) => {
+    if (!window.confirm(`${formatDate(run.createdAt)} 분석 기록을 삭제할까요?`)) return;
+    try {
+      await deleteRun(run.id);
+      setRuns(prev => prev.filter(r => r.id !== run.id));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <button style={styles.backButton} onClick={onBack}>← 돌아가기</button>
+        {projectNames.length > 0 && (
+          <select
+            style={styles.select}
+            value={project ?? ''}
+            onChange={(e) => setSelectedProject(e.target.value)}
+          >
+            {projectNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div style={styles.card}>
+        <h2 style={styles.title}>
+          <span style={styles.icon}>📈</span> 분석 기록 추세
+        </h2>
+        {error && <div style={styles.error}>⚠️ {error}</div>}
+        {!runs && !error && <p style={styles.empty}>기록을 불러오는 중...</p>}
+        {runs && runs.length === 0 && (
+          <p style={styles.empty}>저장된 분석 기록이 없습니다. 분석을 완료하면 자동으로 저장됩니다.</p>
+        )}
+        {projectRuns.length > 0 && (
+          <ResponsiveContainer width="100%" height={320}>
+            <LineChart data={chartData} margin={{ top: 20, right: 20, left: 0, bottom: 0 }}>
+              <CartesianGrid stroke="#f3f4f6" />
+              <XAxis dataKey="label" tick={{ fontSize: 11, fill: '#6b7280' }} />
+              <YAxis yAxisId="score" domain={[0, 100]} tick={{ fontSize: 11, fill: '#6b7280' }} />
+              <YAxis yAxisId="count" orientation="right" allowDecimals={false} tick={{ fontSize: 11, fill: '#6b7280' }} />
+              <Tooltip />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              {TREND_LINES.map(line => (
+                <Line
+                  key={line.key}
+                  yAxisId={line.axis}
+                  type="monotone"
+                  dataKey={line.key}
+                  name={line.name}
+                  stroke={line.color}
+                  strokeWidth={2}
+                  dot={{ r: 3 }}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      {projectRuns.length > 0 && (
+        <div style={styles.card}>
+          <h3 style={styles.subtitle}>🗂 {project} 기록 ({projectRuns.length})</h3>
+          <div style={styles.runList}>
+            {[...projectRuns].reverse().map(run => (
+              <div key={run.id} style={styles.runRow}>
+                <span style={styles.runDate}>{new Date(run.createdAt).toLocaleString('ko-KR')}</span>
+                <span style={styles.runMetric}>점수 <strong>{run.metrics.avgQualityScore}</strong></span>
+                <span style={styles.runMetric}>CC <strong>{run.metrics.avgCyclomaticComplexity}</strong></span>
+                <span style={styles.runMetric}>MI <strong>{run.metrics.avgMaintainabilityIndex}</strong></span>
+                <span style={styles.runMetric}>이슈 <strong>{run.metrics.totalIssues}</strong></span>
+                <span style={styles.runMetric}>파일 <strong>{run.metrics.totalFiles}</strong></span>
+                <div style={styles.runActions}>
+                  <button style={styles.openButton} onClick={() => handleOpen(run)}>열기</button>
+                  <button style={styles.deleteButton} onClick={() => handleDelete(run)}>삭제</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    background: 'linear-gradient(180deg, #ffffff 0%, #f8fafc 100%)',
+    padding: '40px 20px',
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+    color: '#1f2937',
+  },
+  header: {
+    maxWidth: '1200px',
+    margin: '0 auto 24px',
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  backButton: {
+    padding: '10px 20px',
+    background: '#ffffff',
+    color: '#6366f1',
+    border: '2px solid #6366f1',
+    borderRadius: '10px',
+    fontSize: '14px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  select: {
+    padding: '8px 12px',
+    border: '1px solid #d1d5db',
+    borderRadius: '8px',
+    fontSize: '13px',
+    color: '#1f2937',
+    background: '#ffffff',
+  },
+  card: {
+    maxWidth: '1200px',
+    margin: '0 auto 24px',
+    padding: '24px',
+    background: '#ffffff',
+    borderRadius: '16px',
+    boxShadow: '0 2px 12px rgba(0, 0, 0, 0.06)',
+    border: '1px solid #f3f4f6',
+  },
+  title: {
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: '0 0 16px 0',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  icon: {
+    fontSize: '20px',
+  },
+  subtitle: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: '0 0 16px 0',
+  },
+  error: {
+    padding: '12px 16px',
+    background: '#fef2f2',
+    color: '#dc2626',
+    borderRadius: '10px',
+    fontSize: '13px',
+    marginBottom: '16px',
+  },
+  empty: {
+    fontSize: '13px',
+    color: '#9ca3af',
+  },
+  runList: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  runRow: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '16px',
+    padding: '12px 16px',
+    background: '#f9fafb',
+    borderRadius: '10px',
+    fontSize: '13px',
+  },
+  runDate: {
+    fontWeight: '600',
+    color: '#1f2937',
+    minWidth: '180px',
+  },
+  runMetric: {
+    color: '#6b7280',
+  },
+  runActions: {
+    marginLeft: 'auto',
+    display: 'flex',
+    gap: '8px',
+  },
+  openButton: {
+    padding: '6px 14px',
+    background: '#6366f1',
+    color: '#ffffff',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  deleteButton: {
+    padding: '6px 14px',
+    background: '#ffffff',
+    color: '#dc2626',
+    border: '1px solid #fecaca',
+    borderRadius: '8px',
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+};
+
+export default HistoryView;
@@ -0,0 +1,414 @@
+import { useState } from 'react';
+
+const NODE_WIDTH = 168;
+const NODE_HEIGHT = 36;
+const NODE_GAP = 20;
+const ROW_GAP = 70;
+const PADDING = 24;
+// 한 층에 모듈이 많으면 여러 줄로 접어 다이어그램 폭을 제한
+const MAX_NODES_PER_ROW = 8;
+const MIN_WIDTH = 850;
+
+const NODE_STYLES = {
+  module: { fill: '#eef2ff', stroke: '#6366f1', text: '#3730a3', label: '모듈' },
+  entry: { fill: '#dbeafe', stroke: '#3b82f6', text: '#1e40af', label: '진입 모듈 (import하는 파일 없음)' },
+  cycle: { fill: '#fee2e2', stroke: '#ef4444', text: '#991b1b', label: '순환 import' },
+  error: { fill: '#f3f4f6', stroke: '#9ca3af', text: '#6b7280', label: '파싱 실패' },
+};
+
+const EDGE_COLOR = '#94a3b8';
+const CYCLE_EDGE_COLOR = '#ef4444';
+const HIGHLIGHT_COLOR = '#6366f1';
+
+const KIND_LABELS = { import: 'import', 're-export': '다시 내보내기', dynamic: '동적 import', require: 'require', type: '타입만' };
+
+const basename = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+const getNodeStyle = (node) => {
+  if (node.error) return NODE_STYLES.error;
+  if (node.inCycle) return NODE_STYLES.cycle;
+  if (node.importedBy === 0) return NODE_STYLES.entry;
+  return NODE_STYLES.module;
+};
+
+// 층 배치: import하는 쪽이 위, import되는 쪽이 아래.
+// 순환에 속한 모듈은 한 묶음으로 보고 같은 층에 두므로 묶음 사이 그래프는 항상 DAG이다
+const layoutLayers = ({ nodes, edges, cycles }) => {
+  const groupOf = new Map(nodes.map(node => [node.id, node.id]));
+  cycles.forEach(cycle => cycle.members.forEach(member => groupOf.set(member, cycle.members[0])));
+
+  const groups = [...new Set(groupOf.values())];
+  const successors = new Map(groups.map(group => [group, new Set()]));
+  const inDegree = new Map(groups.map(group => [group, 0]));
+  edges.forEach(({ from, to }) => {
+    const a = groupOf.get(from);
+    const b = groupOf.get(to);
+    if (a === undefined || b === undefined || a === b || successors.get(a).has(b)) return;
+    successors.get(a).add(b);
+    inDegree.set(b, inDegree.get(b) + 1);
+  });
+
+  // Kahn 위상 정렬로 가장 긴 경로 기준 층 번호 계산
+  const layerOf = new Map(groups.map(group => [group, 0]));
+  const queue = groups.filter(group => inDegree.get(group) === 0);
+  for (let i = 0; i < queue.length; i++) {
+    const group = queue[i];
+    successors.get(group).forEach(next => {
+      layerOf.set(next, Math.max(layerOf.get(next), layerOf.get(group) + 1));
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    });
+  }
+
+  const layers = [];
+  nodes.forEach(node => {
+    const layer = layerOf.get(groupOf.get(node.id));
+    (layers[layer] ||= []).push(node);
+  });
+
+  // 첫 층은 폴더/이름 순, 다음 층부터는 위층 부모 위치의 평균(barycenter) 순으로 정렬해 교차를 줄임
+  const predecessors = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(({ from, to }) => predecessors.get(to)?.push(from));
+  const order = new Map();
+  const positions = {};
+  let y = PADDING;
+  let width = MIN_WIDTH;
+
+  layers.filter(Boolean).forEach(layer => {
+    const sorted = [...layer].sort((a, b) => a.id.localeCompare(b.id));
+    const barycenter = (node) => {
+      const placed = predecessors.get(node.id).filter(id => order.has(id));
+      return placed.length > 0
+        ? placed.reduce((sum, id) => sum + order.get(id), 0) / placed.length
+        : Number.MAX_SAFE_INTEGER;
+    };
+    sorted.sort((a, b) => barycenter(a) - barycenter(b));
+
+    for (let start = 0; start < sorted.length; start += MAX_NODES_PER_ROW) {
+      const row = sorted.slice(start, start + MAX_NODES_PER_ROW);
+      const rowWidth = row.length * NODE_WIDTH + (row.length - 1) * NODE_GAP;
+      width = Math.max(width, rowWidth + PADDING * 2);
+      row.forEach((node, index) => {
+        order.set(node.id, (start + index) / sorted.length);
+        positions[node.id] = { row: index, rowWidth, y };
+      });
+      y += NODE_HEIGHT + ROW_GAP;
+    }
+  });
+
+  // 폭이 정해진 뒤 각 줄을 가운데 정렬
+  Object.values(positions).forEach(position => {
+    position.x = (width - position.rowWidth) / 2 + position.row * (NODE_WIDTH + NODE_GAP) + NODE_WIDTH / 2;
+  });
+
+  return { positions, width, height: y - ROW_GAP + PADDING };
+};
+
+const getEdgePath = (from, to) => {
+  // 아래쪽 모듈로: 아랫변 중앙 → 윗변 중앙
+  if (to.y > from.y) {
+    const startY = from.y + NODE_HEIGHT;
+    const midY = (startY + to.y) / 2;
+    return `M ${from.x} ${startY} C ${from.x} ${midY} ${to.x} ${midY} ${to.x} ${to.y - 4}`;
+  }
+  // 같은 줄: 위로 휘는 호
+  if (to.y === from.y) {
+    const lift = Math.min(80, 24 + Math.abs(to.x - from.x) / 6);
+    return `M ${from.x} ${from.y} Q ${(from.x + to.x) / 2} ${from.y - lift} ${to.x} ${to.y - 4}`;
+  }
+  // 위쪽 모듈로 (순환 안에서만 생김): 오른쪽으로 돌아 올라감
+  const startX = from.x + NODE_WIDTH / 2;
+  const endX = to.x + NODE_WIDTH / 2 + 4;
+  const bulge = Math.max(startX, endX) + 60;
+  return `M ${startX} ${from.y + NODE_HEIGHT / 2} C ${bulge} ${from.y} ${bulge} ${to.y + NODE_HEIGHT} ${endX} ${to.y + NODE_HEIGHT / 2}`;
+};
+
+// 파일 단위 import 그래프 (buildModuleGraph 결과). 순환 import는 빨간색으로 강조
+// onOpenFile: 원본 소스가 있을 때 노드를 클릭하면 해당 파일을 소스 뷰어로 연다
+const ModuleGraphDiagram = ({ moduleGraph, onOpenFile }) => {
+  const [hoveredNode, setHoveredNode] = useState(null);
+
+  const { nodes, edges, cycles, unresolved, externalPackages, configFiles, configErrors } = moduleGraph;
+
+  if (nodes.length === 0) {
+    return <p style={styles.empty}>📭 분석된 파일이 없습니다.</p>;
+  }
+
+  const { positions, width, height } = layoutLayers(moduleGraph);
+
+  const cycleOf = new Map();
+  cycles.forEach((cycle, index) => cycle.members.forEach(member => cycleOf.set(member, index)));
+  const isCycleEdge = (edge) => cycleOf.has(edge.from) && cycleOf.get(edge.from) === cycleOf.get(edge.to);
+
+  const isConnected = (edge) => edge.from === hoveredNode || edge.to === hoveredNode;
+  const connectedNodes = new Set(hoveredNode ? edges.filter(isConnected).flatMap(edge => [edge.from, edge.to]) : []);
+
+  const renderEdge = (edge) => {
+    const from = positions[edge.from];
+    const to = positions[edge.to];
+    if (!from || !to) return null;
+
+    const highlighted = hoveredNode && isConnected(edge);
+    const color = highlighted ? HIGHLIGHT_COLOR : (isCycleEdge(edge) ? CYCLE_EDGE_COLOR : EDGE_COLOR);
+    const markerId = highlighted ? 'highlight' : (isCycleEdge(edge) ? 'cycle' : 'default');
+    const path = edge.from === edge.to
+      ? `M ${from.x + NODE_WIDTH / 2} ${from.y + 8} c 40 -30 40 50 0 ${NODE_HEIGHT - 16}`
+      : getEdgePath(from, to);
+
+    return (
+      <path
+        key={`${edge.from}->${edge.to}`}
+        d={path}
+        fill="none"
+        stroke={color}
+        strokeWidth={highlighted || isCycleEdge(edge) ? 2.2 : 1.4}
+        strokeDasharray={edge.kinds.every(kind => kind === 'dynamic' || kind === 'type') ? '6 4' : undefined}
+        opacity={hoveredNode && !highlighted ? 0.2 : 1}
+        markerEnd={`url(#module-arrow-${markerId})`}
+      >
+        <title>
+          {`${edge.from} → ${edge.to}\n${edge.sources.join(', ')} (${edge.kinds.map(kind => KIND_LABELS[kind] || kind).join(', ')})`}
+        </title>
+      </path>
+    );
+  };
+
+  const renderNode = (node) => {
+    const position = positions[node.id];
+    const style = getNodeStyle(node);
+    const label = basename(node.id);
+    const dimmed = hoveredNode && hoveredNode !== node.id && !connectedNodes.has(node.id);
+
+    return (
+      <g
+        key={node.id}
+        transform={`translate(${position.x - NODE_WIDTH / 2}, ${position.y})`}
+        onMouseEnter={() => setHoveredNode(node.id)}
+        onMouseLeave={() => setHoveredNode(null)}
+        onClick={onOpenFile && !node.error ? () => onOpenFile(node.id) : undefined}
+        style={{ cursor: onOpenFile && !node.error ? 'pointer' : 'default' }}
+        opacity={dimmed ? 0.35 : 1}
+      >
+        <title>
+          {`${node.id}\nimport ${node.imports}개 파일 / ${node.importedBy}개 파일이 import${node.inCycle ? '\n순환 import에 포함됨' : ''}`}
+        </title>
+        <rect
+          width={NODE_WIDTH}
+          height={NODE_HEIGHT}
+          rx="8"
+          fill={hoveredNode === node.id ? style.stroke : style.fill}
+          stroke={style.stroke}
+          strokeWidth={node.inCycle ? 2.5 : 1.5}
+          strokeDasharray={node.error ? '4 3' : undefined}
+        />
+        <text
+          x={NODE_WIDTH / 2}
+          y={NODE_HEIGHT / 2}
+          textAnchor="middle"
+          dominantBaseline="middle"
+          fontSize="11"
+          fontWeight="600"
+          fill={hoveredNode === node.id ? '#ffffff' : style.text}
+        >
+          {label.length > 24 ? `${label.slice(0, 22)}…` : label}
+        </text>
+      </g>
+    );
+  };
+
+  return (
+    <div>
+      <div style={styles.scroll}>
+        <svg width={width} height={height}>
+          <defs>
+            {[['default', EDGE_COLOR], ['cycle', CYCLE_EDGE_COLOR], ['highlight', HIGHLIGHT_COLOR]].map(([id, color]) => (
+              <marker
+                key={id}
+                id={`module-arrow-${id}`}
+                markerWidth="8"
+                markerHeight="6"
+                refX="7"
+                refY="3"
+                orient="auto"
+              >
+                <polygon points="0 0, 8 3, 0 6" fill={color} />
+              </marker>
+            ))}
+          </defs>
+          {edges.map(renderEdge)}
+          {nodes.map(renderNode)}
+        </svg>
+      </div>
+
+      <div style={styles.legend}>
+        {Object.entries(NODE_STYLES).map(([key, style]) => (
+          <div key={key} style={styles.legendItem}>
+            <div style={{ ...styles.legendBox, background: style.fill, border: `2px solid ${style.stroke}` }}></div>
+            <span>{style.label}</span>
+          </div>
+        ))}
+        <div style={styles.legendItem}>
+          <div style={{ ...styles.legendLine, borderTop: `2px dashed ${EDGE_COLOR}` }}></div>
+          <span>동적 import · 타입만 import</span>
+        </div>
+      </div>
+
+      <div style={styles.stats}>
+        {[
+          [nodes.length, '모듈'],
+          [edges.length, 'import 관계'],
+          [externalPackages.length, '외부 패키지'],
+          [cycles.length, '순환 import'],
+          [unresolved.length, '해석 실패'],
+        ].map(([value, label]) => (
+          <div key={label} style={styles.statItem}>
+            <span style={styles.statValue}>{value}</span>
+            <span style={styles.statLabel}>{label}</span>
+          </div>
+        ))}
+      </div>
+
+      {cycles.length > 0 && (
+        <div style={styles.section}>
+          <h4 style={styles.sectionTitle}>🔁 순환 import</h4>
+          {cycles.map(cycle => (
+            <div key={cycle.members[0]} style={styles.cycle}>
+              <div style={styles.cyclePath}>{cycle.path.join(' → ')}</div>
+              {cycle.members.length > cycle.path.length - 1 && (
+                <div style={styles.cycleMembers}>순환에 얽힌 파일 {cycle.members.length}개: {cycle.members.join(', ')}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {unresolved.length > 0 && (
+        <div style={styles.section}>
+          <h4 style={styles.sectionTitle}>❓ 해석하지 못한 import</h4>
+          {unresolved.map(({ from, source }, i) => (
+            <div key={i} style={styles.unresolved}>
+              <span>{from}</span>
+              <code style={styles.code}>{source}</code>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p style={styles.note}>
+        {configFiles.length > 0
+          ? `경로 별칭: ${configFiles.join(', ')}`
+          : '경로 별칭: tsconfig.json / jsconfig.json 없음 (상대 경로만 해석)'}
+        {configErrors.length > 0 && ` · 읽지 못한 설정 파일: ${configErrors.map(error => error.file).join(', ')}`}
+        {externalPackages.length > 0 && ` · 외부 패키지: ${externalPackages.slice(0, 12).map(pkg => pkg.name).join(', ')}${externalPackages.length > 12 ? ' 외' : ''}`}
+      </p>
+    </div>
+  );
+};
+
+const styles = {
+  scroll: {
+    overflow: 'auto',
+    maxHeight: '720px',
+    border: '1px solid #f3f4f6',
+    borderRadius: '12px',
+  },
+  empty: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6b7280',
+  },
+  legend: {
+    display: 'flex',
+    gap: '20px',
+    marginTop: '16px',
+    flexWrap: 'wrap',
+    fontSize: '12px',
+    color: '#4b5563',
+  },
+  legendItem: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+  },
+  legendBox: {
+    width: '16px',
+    height: '12px',
+    borderRadius: '4px',
+  },
+  legendLine: {
+    width: '24px',
+    height: 0,
+  },
+  stats: {
+    display: 'flex',
+    gap: '32px',
+    marginTop: '16px',
+    paddingTop: '16px',
+    borderTop: '1px solid #e5e7eb',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+  },
+  statItem: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '4px',
+  },
+  statValue: {
+    fontSize: '22px',
+    fontWeight: '700',
+    color: '#1f2937',
+  },
+  statLabel: {
+    fontSize: '12px',
+    color: '#6b7280',
+  },
+  section: {
+    marginTop: '20px',
+  },
+  sectionTitle: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: '0 0 8px 0',
+  },
+  cycle: {
+    padding: '8px 12px',
+    marginBottom: '6px',
+    background: '#fef2f2',
+    border: '1px solid #fecaca',
+    borderRadius: '8px',
+  },
+  cyclePath: {
+    fontSize: '12px',
+    fontFamily: "'JetBrains Mono', monospace",
+    color: '#991b1b',
+    wordBreak: 'break-all',
+  },
+  cycleMembers: {
+    marginTop: '4px',
+    fontSize: '11px',
+    color: '#b91c1c',
+    wordBreak: 'break-all',
+  },
+  unresolved: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '12px',
+    padding: '6px 12px',
+    fontSize: '12px',
+    color: '#374151',
+    borderTop: '1px solid #f3f4f6',
+  },
+  code: {
+    fontFamily: "'JetBrains Mono', monospace",
+    color: '#b45309',
+  },
+  note: {
+    marginTop: '16px',
+    fontSize: '11px',
+    color: '#9ca3af',
+  },
+};
+
+export default ModuleGraphDiagram;
@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { PRESET_PROFILES, normalizeProfile } from '../engine/index.js';
+import { downloadFile } from '../export/reportExport.js';
+
+// 프리셋 또는 업로드한 JSON 프로필 중 하나를 고른다
+const ProfileSelector = ({ profile, onChange }) => {
+  const [customProfile, setCustomProfile] = useState(
+    PRESET_PROFILES.some(p => p.id === profile.id) ? null : profile
+  );
+  const [error, setError] = useState(null);
+
+  const options = customProfile ? [...PRESET_PROFILES, customProfile] : PRESET_PROFILES;
+
+  const handleSelect = (e) => {
+    const selected = options.find(p => p.id === e.target.value);
+    if (selected) onChange(selected);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    // try 블록 안에는 조건식을 두지 않음 (React Compiler가 컴포넌트 전체를 건너뜀)
+    let uploaded;
+    let parseError = null;
+    try {
+      uploaded = normalizeProfile(JSON.parse(await file.text()));
+    } catch (err) {
+      parseError = err;
+    }
+    if (parseError) {
+      setError(parseError instanceof SyntaxError ? 'JSON 형식이 아닙니다.' : parseError.message);
+      return;
+    }
+
+    // 프리셋과 id가 겹치면 구분되도록 바꿈
+    const custom = PRESET_PROFILES.some(p => p.id === uploaded.id)
+      ? { ...uploaded, id: `custom-${uploaded.id}` }
+      : uploaded;
+    setCustomProfile(custom);
+    setError(null);
+    onChange(custom);
+  };
+
+  const handleDownload = () => {
+    downloadFile(JSON.stringify(profile, null, 2), `scoring-profile-${profile.id}.json`, 'application/json');
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.row}>
+        <span style={styles.label}>점수 프로필</span>
+        <select style={styles.select} value={profile.id} onChange={handleSelect}>
+          {options.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <button
+          style={styles.button}
+          onClick={() => document.getElementById('profileInput').click()}
+        >
+          JSON 업로드
+        </button>
+        <button style={styles.button} onClick={handleDownload} title="현재 프로필을 JSON으로 저장해 수정용 템플릿으로 사용">
+          내려받기
+        </button>
+        <input
+          id="profileInput"
+          type="file"
+          accept=".json,application/json"
+          onChange={handleUpload}
+          style={{ display: 'none' }}
+        />
+      </div>
+      {error && <div style={styles.error}>⚠️ {error}</div>}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    marginTop: '16px',
+    paddingTop: '12px',
+    borderTop: '1px solid #f3f4f6',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    gap: '6px',
+  },
+  label: {
+    fontSize: '12px',
+    color: '#6b7280',
+  },
+  select: {
+    padding: '4px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '12px',
+    color: '#1f2937',
+    background: '#ffffff',
+  },
+  button: {
+    padding: '4px 10px',
+    background: '#f3f4f6',
+    color: '#6366f1',
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  error: {
+    marginTop: '8px',
+    fontSize: '12px',
+    color: '#dc2626',
+    textAlign: 'center',
+  },
+};
+
+export default ProfileSelector;
@@ -0,0 +1,258 @@
+import { useEffect } from 'react';
+import { formatLocation, formatLineRange } from '../engine/index.js';
+import { highlightLines, TOKEN_COLORS } from '../viewer/highlight.js';
+
+const getComplexityColor = (cc) => {
+  if (cc <= 5) return { color: '#166534', background: '#dcfce7' };
+  if (cc <= 10) return { color: '#92400e', background: '#fef3c7' };
+  return { color: '#991b1b', background: '#fee2e2' };
+};
+
+const scrollToLine = (line) => {
+  document.getElementById(`source-line-${line}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
+const SourceViewer = ({ file, source, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const lines = highlightLines(source);
+  const functions = file.functionDetails || [];
+  const issues = (file.issues || []).filter(issue => issue.loc);
+
+  // 줄 번호별로 함수 시작/끝, 이슈 범위/마커를 미리 모아 둠
+  const functionStarts = {};
+  const functionEnds = new Set();
+  functions.forEach(fn => {
+    if (!fn.loc) return;
+    (functionStarts[fn.loc.start.line] = functionStarts[fn.loc.start.line] || []).push(fn);
+    functionEnds.add(fn.loc.end.line);
+  });
+
+  const issueLines = new Set();
+  const issueMarkers = {};
+  issues.forEach(issue => {
+    for (let line = issue.loc.start.line; line <= issue.loc.end.line; line++) issueLines.add(line);
+    (issueMarkers[issue.loc.end.line] = issueMarkers[issue.loc.end.line] || []).push(issue);
+  });
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div style={styles.viewer} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.header}>
+          <div>
+            <h3 style={styles.title}>📄 {file.filename}</h3>
+            <div style={styles.meta}>
+              {lines.length} lines · 함수 {functions.length} · 이슈 {file.issues?.length || 0}
+            </div>
+          </div>
+          <button style={styles.closeButton} onClick={onClose}>✕</button>
+        </div>
+
+        {issues.length > 0 && (
+          <div style={styles.issueBar}>
+            {issues.map((issue, i) => (
+              <button key={i} style={styles.issueChip} onClick={() => scrollToLine(issue.loc.start.line)}>
+                🚨 {formatLocation(issue.loc)} {issue.message}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div style={styles.codeScroll}>
+          <table style={styles.codeTable}>
+            <tbody>
+              {lines.map((tokens, index) => {
+                const lineNumber = index + 1;
+                const starts = functionStarts[lineNumber] || [];
+                const markers = issueMarkers[lineNumber] || [];
+                const hasIssue = issueLines.has(lineNumber);
+
+                return [
+                  <tr
+                    key={lineNumber}
+                    id={`source-line-${lineNumber}`}
+                    style={{
+                      ...(hasIssue ? styles.issueLine : {}),
+                      ...(starts.length > 0 ? styles.functionStartLine : {}),
+                      ...(functionEnds.has(lineNumber) ? styles.functionEndLine : {}),
+                    }}
+                  >
+                    <td style={styles.gutter}>
+                      {starts.map((fn, index) => (
+                        <span
+                          key={`${fn.name}:${fn.loc?.start.column ?? index}`}
+                          style={{ ...styles.ccBadge, ...getComplexityColor(fn.cyclomaticComplexity) }}
+                          title={`${fn.name} (${formatLineRange(fn.loc)}) · 순환 복잡도 ${fn.cyclomaticComplexity} · 인지 복잡도 ${fn.cognitiveComplexity ?? '-'}`}
+                        >
+                          CC {fn.cyclomaticComplexity}
+                        </span>
+                      ))}
+                    </td>
+                    <td style={styles.lineNumber}>{lineNumber}</td>
+                    <td style={styles.code}>
+                      {tokens.map((token, i) => (
+                        <span key={i} style={{ color: TOKEN_COLORS[token.type] }}>{token.text}</span>
+                      ))}
+                    </td>
+                  </tr>,
+                  ...markers.map((issue, i) => (
+                    <tr key={`${lineNumber}-issue-${i}`}>
+                      <td style={styles.gutter}></td>
+                      <td style={styles.lineNumber}></td>
+                      <td style={styles.issueMarker}>
+                        ↑ 🚨 [{issue.severity}] {issue.message}
+                        <span style={styles.issueMarkerLoc}>{formatLocation(issue.loc)}</span>
+                      </td>
+                    </tr>
+                  )),
+                ];
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1000,
+    padding: '20px',
+  },
+  viewer: {
+    background: '#ffffff',
+    borderRadius: '16px',
+    width: '100%',
+    maxWidth: '1100px',
+    height: '90vh',
+    display: 'flex',
+    flexDirection: 'column',
+    overflow: 'hidden',
+    boxShadow: '0 20px 60px rgba(0, 0, 0, 0.2)',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '16px 24px',
+    borderBottom: '1px solid #f3f4f6',
+  },
+  title: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: 0,
+    wordBreak: 'break-all',
+  },
+  meta: {
+    fontSize: '12px',
+    color: '#9ca3af',
+    marginTop: '4px',
+  },
+  closeButton: {
+    background: 'none',
+    border: 'none',
+    fontSize: '20px',
+    color: '#9ca3af',
+    cursor: 'pointer',
+    padding: '4px',
+  },
+  issueBar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    padding: '10px 24px',
+    background: '#fef2f2',
+    borderBottom: '1px solid #fee2e2',
+    maxHeight: '90px',
+    overflow: 'auto',
+  },
+  issueChip: {
+    padding: '4px 10px',
+    background: '#ffffff',
+    color: '#dc2626',
+    border: '1px solid #fecaca',
+    borderRadius: '12px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  codeScroll: {
+    flex: 1,
+    overflow: 'auto',
+    background: '#fafafa',
+  },
+  codeTable: {
+    borderCollapse: 'collapse',
+    width: '100%',
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: '12px',
+    lineHeight: '1.6',
+  },
+  gutter: {
+    width: '64px',
+    padding: '0 6px',
+    textAlign: 'right',
+    verticalAlign: 'top',
+    whiteSpace: 'nowrap',
+    background: '#f3f4f6',
+  },
+  ccBadge: {
+    display: 'inline-block',
+    padding: '0 6px',
+    borderRadius: '8px',
+    fontSize: '10px',
+    fontWeight: '700',
+    cursor: 'default',
+  },
+  lineNumber: {
+    width: '1%',
+    padding: '0 12px',
+    textAlign: 'right',
+    color: '#9ca3af',
+    userSelect: 'none',
+    verticalAlign: 'top',
+    borderRight: '1px solid #e5e7eb',
+  },
+  code: {
+    padding: '0 16px',
+    whiteSpace: 'pre',
+    color: '#1f2937',
+  },
+  issueLine: {
+    background: '#fee2e2',
+  },
+  functionStartLine: {
+    borderTop: '1px solid #c7d2fe',
+  },
+  functionEndLine: {
+    borderBottom: '1px dashed #c7d2fe',
+  },
+  issueMarker: {
+    padding: '2px 16px 6px',
+    color: '#dc2626',
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+    fontSize: '12px',
+    background: '#fef2f2',
+  },
+  issueMarkerLoc: {
+    marginLeft: '8px',
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: '11px',
+    opacity: 0.7,
+  },
+};
+
+export default SourceViewer;
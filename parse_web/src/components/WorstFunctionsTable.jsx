@@ -0,0 +1,196 @@
+import { useState } from 'react';
+import { formatLineRange } from '../engine/index.js';
+
+const COLUMNS = [
+  { key: 'name', label: '함수', numeric: false },
+  { key: 'filename', label: '파일', numeric: false },
+  { key: 'cyclomaticComplexity', label: 'CC', numeric: true, warn: 10 },
+  { key: 'cognitiveComplexity', label: '인지 복잡도', numeric: true, warn: 15 },
+  { key: 'nestingDepth', label: '중첩 깊이', numeric: true, warn: 4 },
+  { key: 'lineCount', label: 'LOC', numeric: true, warn: 50 },
+  { key: 'parameterCount', label: '매개변수', numeric: true, warn: 4 },
+  { key: 'statementCount', label: '문장 수', numeric: true, warn: 30 },
+];
+
+const PAGE_SIZE = 20;
+
+// onOpenFile: 원본 소스가 있을 때 해당 파일을 소스 뷰어로 연다
+const WorstFunctionsTable = ({ files, onOpenFile }) => {
+  const [sortKey, setSortKey] = useState('cyclomaticComplexity');
+  const [sortDesc, setSortDesc] = useState(true);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+
+  const functions = files
+    .filter(f => !f.error)
+    .flatMap(f => (f.functionDetails || []).map(fn => ({ ...fn, filename: f.filename })));
+
+  if (functions.length === 0) return null;
+
+  const column = COLUMNS.find(c => c.key === sortKey);
+  const sorted = [...functions].sort((a, b) => {
+    const order = column.numeric
+      ? (a[sortKey] ?? 0) - (b[sortKey] ?? 0)
+      : String(a[sortKey]).localeCompare(String(b[sortKey]));
+    return sortDesc ? -order : order;
+  });
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setSortDesc(!sortDesc);
+    } else {
+      setSortKey(key);
+      setSortDesc(COLUMNS.find(c => c.key === key).numeric);
+    }
+  };
+
+  return (
+    <div style={styles.card}>
+      <h3 style={styles.title}>
+        <span style={styles.icon}>🔥</span> 복잡한 함수 순위
+      </h3>
+      <p style={styles.hint}>* 열 제목을 클릭하면 정렬 기준이 바뀝니다. 기준치를 넘는 값은 빨간색으로 표시됩니다.</p>
+      <div style={styles.tableWrapper}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              {COLUMNS.map(c => (
+                <th
+                  key={c.key}
+                  style={{ ...styles.th, textAlign: c.numeric ? 'right' : 'left' }}
+                  onClick={() => handleSort(c.key)}
+                >
+                  {c.label}
+                  {sortKey === c.key && (sortDesc ? ' ▼' : ' ▲')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.slice(0, limit).map((fn, i) => (
+              <tr
+                key={`${fn.filename}:${fn.name}:${i}`}
+                style={onOpenFile ? styles.clickableRow : undefined}
+                onClick={onOpenFile ? () => onOpenFile(fn.filename) : undefined}
+              >
+                <td style={styles.tdName}>
+                  {fn.name}
+                  <span style={styles.location}>{formatLineRange(fn.loc)}</span>
+                </td>
+                <td style={styles.tdFile}>{fn.filename}</td>
+                {COLUMNS.filter(c => c.numeric).map(c => (
+                  <td
+                    key={c.key}
+                    style={{
+                      ...styles.tdNumber,
+                      ...(fn[c.key] > c.warn ? styles.overLimit : {}),
+                    }}
+                  >
+                    {fn[c.key] ?? '-'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {sorted.length > limit && (
+        <button style={styles.moreButton} onClick={() => setLimit(limit + PAGE_SIZE)}>
+          더 보기 ({sorted.length - limit}개 남음)
+        </button>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  card: {
+    maxWidth: '1200px',
+    margin: '0 auto 24px',
+    padding: '24px',
+    background: '#ffffff',
+    borderRadius: '16px',
+    boxShadow: '0 2px 12px rgba(0, 0, 0, 0.06)',
+    border: '1px solid #f3f4f6',
+  },
+  title: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1f2937',
+    margin: 0,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  icon: {
+    fontSize: '18px',
+  },
+  hint: {
+    fontSize: '11px',
+    color: '#9ca3af',
+    margin: '8px 0 16px 0',
+  },
+  tableWrapper: {
+    overflowX: 'auto',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '13px',
+  },
+  th: {
+    padding: '8px 10px',
+    color: '#6b7280',
+    fontWeight: '600',
+    borderBottom: '1px solid #e5e7eb',
+    cursor: 'pointer',
+    userSelect: 'none',
+    whiteSpace: 'nowrap',
+  },
+  clickableRow: {
+    cursor: 'pointer',
+  },
+  tdName: {
+    padding: '8px 10px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#1f2937',
+    fontWeight: '600',
+    whiteSpace: 'nowrap',
+  },
+  location: {
+    marginLeft: '6px',
+    fontSize: '11px',
+    fontWeight: '400',
+    fontFamily: "'JetBrains Mono', monospace",
+    color: '#9ca3af',
+  },
+  tdFile: {
+    padding: '8px 10px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#6b7280',
+    wordBreak: 'break-all',
+  },
+  tdNumber: {
+    padding: '8px 10px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#4b5563',
+    textAlign: 'right',
+    fontVariantNumeric: 'tabular-nums',
+  },
+  overLimit: {
+    color: '#dc2626',
+    fontWeight: '700',
+  },
+  moreButton: {
+    marginTop: '12px',
+    padding: '8px 16px',
+    background: '#f3f4f6',
+    color: '#4b5563',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+};
+
+export default WorstFunctionsTable;
@@ -0,0 +1,422 @@
+// ============================================
+// 의존성 다이어그램 레이아웃
+// 모든 레이아웃은 { positions: { [id]: { x, y } }(노드 중심), width, height, clusters }를 반환한다.
+// 노드 수백 개에서도 메인 스레드에서 바로 돌 수 있도록 난수 없이 결정적으로 계산한다
+// ============================================
+
+const PADDING = 40;
+const MIN_WIDTH = 810;
+
+// 박스들을 줄 단위로 왼쪽부터 채워 넣는다 (shelf packing). 반환 위치는 각 박스의 왼쪽 위
+const packRows = (boxes, { gap, maxWidth }) => {
+  const offsets = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  let width = 0;
+
+  boxes.forEach(box => {
+    if (x > 0 && x + box.width > maxWidth) {
+      x = 0;
+      y += rowHeight + gap;
+      rowHeight = 0;
+    }
+    offsets.push({ x, y });
+    x += box.width + gap;
+    rowHeight = Math.max(rowHeight, box.height);
+    width = Math.max(width, x - gap);
+  });
+
+  return { offsets, width, height: y + rowHeight };
+};
+
+// 패킹 폭: 전체 면적의 제곱근에 비례하게 잡아 결과가 지나치게 길쭉해지지 않게 함
+const targetRowWidth = (boxes, gap) => {
+  const area = boxes.reduce((sum, box) => sum + (box.width + gap) * (box.height + gap), 0);
+  const widest = Math.max(0, ...boxes.map(box => box.width));
+  return Math.max(MIN_WIDTH - PADDING * 2, widest, Math.sqrt(area) * 1.4);
+};
+
+// 여백을 더해 전체 크기를 정하고, 다이어그램이 좁으면 가운데로 옮김
+const finishLayout = (positions, contentWidth, contentHeight, clusters = []) => {
+  const width = Math.max(MIN_WIDTH, contentWidth + PADDING * 2);
+  const shiftX = (width - contentWidth) / 2;
+  Object.values(positions).forEach(position => {
+    position.x += shiftX;
+    position.y += PADDING;
+  });
+  clusters.forEach(cluster => {
+    cluster.x += shiftX;
+    cluster.y += PADDING;
+  });
+  return { positions, width, height: contentHeight + PADDING * 2, clusters };
+};
+
+// 자기 참조와 중복을 뺀 무방향 연결 [i, j] 목록
+const uniqueLinks = (index, edges) => {
+  const seen = new Set();
+  const links = [];
+  edges.forEach(({ from, to }) => {
+    const a = index.get(from);
+    const b = index.get(to);
+    if (a === undefined || b === undefined || a === b) return;
+    const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    links.push([a, b]);
+  });
+  return links;
+};
+
+// 연결 요소별 노드 번호 목록 (union-find)
+const connectedComponents = (count, links) => {
+  const parent = Array.from({ length: count }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  links.forEach(([a, b]) => {
+    parent[find(a)] = find(b);
+  });
+
+  const components = new Map();
+  for (let i = 0; i < count; i++) {
+    const root = find(i);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(i);
+  }
+  return [...components.values()];
+};
+
+// Fruchterman-Reingold: 모든 쌍은 밀어내고 연결된 쌍은 당기며, 이동 폭(온도)을 점점 줄인다
+const runForceSimulation = (members, links, idealLength) => {
+  const count = members.length;
+  if (count === 1) return { xs: new Float64Array(1), ys: new Float64Array(1) };
+  const local = new Map(members.map((node, i) => [node, i]));
+  const localLinks = links
+    .filter(([a]) => local.has(a))
+    .map(([a, b]) => [local.get(a), local.get(b)]);
+
+  // 연결이 많은 노드부터 해바라기 씨 배열(황금각 나선)로 시작 위치를 잡음
+  const degree = new Array(count).fill(0);
+  localLinks.forEach(([a, b]) => {
+    degree[a]++;
+    degree[b]++;
+  });
+  const rank = [...degree.keys()].sort((a, b) => degree[b] - degree[a]);
+  const xs = new Float64Array(count);
+  const ys = new Float64Array(count);
+  rank.forEach((node, i) => {
+    const radius = idealLength * 0.6 * Math.sqrt(i);
+    xs[node] = radius * Math.cos(i * 2.399963);
+    ys[node] = radius * Math.sin(i * 2.399963);
+  });
+
+  // 쌍 계산이 O(n²)이므로 큰 요소일수록 반복 횟수를 줄임
+  const iterations = Math.round(Math.min(300, Math.max(60, 40000 / count)));
+  const k2 = idealLength * idealLength;
+  const cutoff2 = k2 * 9;
+  const dx = new Float64Array(count);
+  const dy = new Float64Array(count);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    dx.fill(0);
+    dy.fill(0);
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        let ox = xs[i] - xs[j];
+        let oy = ys[i] - ys[j];
+        let d2 = ox * ox + oy * oy;
+        if (d2 < 0.01) {
+          // 같은 자리에 겹친 노드는 번호로 방향을 정해 떼어 냄
+          ox = i % 2 === 0 ? 0.1 : -0.1;
+          oy = 0.1;
+          d2 = 0.02;
+        }
+        // 멀리 떨어진 쌍은 무시해 큰 요소가 끝없이 부풀지 않게 함 (원 논문의 격자 변형과 같은 효과)
+        if (d2 > cutoff2) continue;
+        const force = k2 / d2;
+        dx[i] += ox * force;
+        dy[i] += oy * force;
+        dx[j] -= ox * force;
+        dy[j] -= oy * force;
+      }
+    }
+
+    localLinks.forEach(([a, b]) => {
+      const ox = xs[a] - xs[b];
+      const oy = ys[a] - ys[b];
+      const d = Math.sqrt(ox * ox + oy * oy) || 0.1;
+      const force = d / idealLength;
+      dx[a] -= ox * force;
+      dy[a] -= oy * force;
+      dx[b] += ox * force;
+      dy[b] += oy * force;
+    });
+
+    const temperature = idealLength * 2 * (1 - iteration / iterations) + 1;
+    for (let i = 0; i < count; i++) {
+      // 약한 중력으로 요소가 한쪽으로 흘러가지 않게 함
+      dx[i] -= xs[i] * 0.02;
+      dy[i] -= ys[i] * 0.02;
+      const length = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]);
+      if (length === 0) continue;
+      const step = Math.min(length, temperature);
+      xs[i] += (dx[i] / length) * step;
+      ys[i] += (dy[i] / length) * step;
+    }
+  }
+
+  return { xs, ys };
+};
+
+// 시뮬레이션 결과를 노드 상자 크기의 격자에 맞춘다. 중심에 가까운 노드부터 가장 가까운 빈 칸을 차지하므로
+// 모양은 유지하면서 상자가 겹치지 않는다
+const snapToGrid = (xs, ys, sizes, gap) => {
+  const cellWidth = Math.max(...sizes.map(size => size.width)) + gap;
+  const cellHeight = Math.max(...sizes.map(size => size.height)) + gap;
+  const count = xs.length;
+  const centerX = xs.reduce((sum, x) => sum + x, 0) / count;
+  const centerY = ys.reduce((sum, y) => sum + y, 0) / count;
+  const distance = (i) => Math.hypot(xs[i] - centerX, ys[i] - centerY);
+  const order = [...xs.keys()].sort((a, b) => distance(a) - distance(b));
+  const taken = new Set();
+
+  order.forEach(i => {
+    const column = Math.round(xs[i] / cellWidth);
+    const row = Math.round(ys[i] / cellHeight);
+    // column, row를 둘러싼 r번째 고리에서 원래 위치와 가장 가까운 빈 칸
+    for (let r = 0; ; r++) {
+      let best = null;
+      for (let c = column - r; c <= column + r; c++) {
+        for (let w = row - r; w <= row + r; w++) {
+          if (Math.max(Math.abs(c - column), Math.abs(w - row)) !== r || taken.has(`${c},${w}`)) continue;
+          const d = (c * cellWidth - xs[i]) ** 2 + (w * cellHeight - ys[i]) ** 2;
+          if (!best || d < best.d) best = { c, w, d };
+        }
+      }
+      if (best) {
+        taken.add(`${best.c},${best.w}`);
+        xs[i] = best.c * cellWidth;
+        ys[i] = best.w * cellHeight;
+        return;
+      }
+    }
+  });
+};
+
+/**
+ * 힘 기반 배치. 연결 요소마다 따로 시뮬레이션한 뒤 큰 요소부터 줄 단위로 채워 넣으므로
+ * 어디에도 연결되지 않은 함수가 많아도 연결된 묶음이 흩어지지 않는다.
+ *
+ * @param {string[]} nodeIds
+ * @param {Array<{ from: string, to: string }>} edges
+ * @param {{ sizeOf: (id: string) => { width: number, height: number }, gap?: number }} options
+ */
+export const forceLayout = (nodeIds, edges, { sizeOf, gap = 24 }) => {
+  const sizes = nodeIds.map(sizeOf);
+  const index = new Map(nodeIds.map((id, i) => [id, i]));
+  const links = uniqueLinks(index, edges);
+  const averageWidth = sizes.reduce((sum, size) => sum + size.width, 0) / Math.max(1, sizes.length);
+  const idealLength = averageWidth;
+
+  const boxes = connectedComponents(nodeIds.length, links)
+    .map(members => {
+      const { xs, ys } = runForceSimulation(members, links, idealLength);
+      const memberSizes = members.map(i => sizes[i]);
+      snapToGrid(xs, ys, memberSizes, gap / 2);
+
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      members.forEach((_, i) => {
+        minX = Math.min(minX, xs[i] - memberSizes[i].width / 2);
+        maxX = Math.max(maxX, xs[i] + memberSizes[i].width / 2);
+        minY = Math.min(minY, ys[i] - memberSizes[i].height / 2);
+        maxY = Math.max(maxY, ys[i] + memberSizes[i].height / 2);
+      });
+      return {
+        members,
+        points: members.map((_, i) => ({ x: xs[i] - minX, y: ys[i] - minY })),
+        width: maxX - minX,
+        height: maxY - minY,
+      };
+    })
+    .sort((a, b) => b.members.length - a.members.length || b.height - a.height);
+
+  const packed = packRows(boxes, { gap: gap * 2, maxWidth: targetRowWidth(boxes, gap * 2) });
+  const positions = {};
+  boxes.forEach((box, b) => {
+    box.members.forEach((node, i) => {
+      positions[nodeIds[node]] = { x: packed.offsets[b].x + box.points[i].x, y: packed.offsets[b].y + box.points[i].y };
+    });
+  });
+
+  return finishLayout(positions, packed.width, packed.height);
+};
+
+/**
+ * 계층 배치: 호출하는 쪽이 위, 호출되는 쪽이 아래.
+ * 순환(groups)에 속한 노드는 한 묶음으로 보고 같은 층에 두므로 묶음 사이 그래프는 항상 DAG이다.
+ * 한 층이 maxPerRow보다 넓으면 여러 줄로 접고, 연결이 없는 노드는 맨 아래에 모은다.
+ *
+ * @param {string[]} nodeIds
+ * @param {Array<{ from: string, to: string }>} edges
+ * @param {{ sizeOf: Function, groups?: string[][], gap?: number, layerGap?: number }} options
+ *   groups: 같은 층에 둘 노드 묶음 (findCycles 결과의 members)
+ */
+export const layeredLayout = (nodeIds, edges, { sizeOf, groups = [], gap = 20, layerGap = 70 }) => {
+  const nodeSet = new Set(nodeIds);
+  const validEdges = edges.filter(({ from, to }) => from !== to && nodeSet.has(from) && nodeSet.has(to));
+
+  const groupOf = new Map(nodeIds.map(id => [id, id]));
+  groups.forEach(members => members.forEach(member => {
+    if (nodeSet.has(member)) groupOf.set(member, members[0]);
+  }));
+
+  const groupIds = [...new Set(groupOf.values())];
+  const successors = new Map(groupIds.map(group => [group, new Set()]));
+  const inDegree = new Map(groupIds.map(group => [group, 0]));
+  validEdges.forEach(({ from, to }) => {
+    const a = groupOf.get(from);
+    const b = groupOf.get(to);
+    if (a === b || successors.get(a).has(b)) return;
+    successors.get(a).add(b);
+    inDegree.set(b, inDegree.get(b) + 1);
+  });
+
+  // Kahn 위상 정렬로 가장 긴 경로 기준 층 번호 계산
+  const layerOf = new Map(groupIds.map(group => [group, 0]));
+  const queue = groupIds.filter(group => inDegree.get(group) === 0);
+  for (let i = 0; i < queue.length; i++) {
+    const group = queue[i];
+    successors.get(group).forEach(next => {
+      layerOf.set(next, Math.max(layerOf.get(next), layerOf.get(group) + 1));
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    });
+  }
+
+  const connected = new Set(validEdges.flatMap(({ from, to }) => [from, to]));
+  const layers = [];
+  nodeIds.filter(id => connected.has(id)).forEach(id => {
+    (layers[layerOf.get(groupOf.get(id))] ||= []).push(id);
+  });
+  const isolated = nodeIds.filter(id => !connected.has(id));
+  const orderedLayers = [...layers.filter(Boolean), ...(isolated.length > 0 ? [isolated] : [])];
+
+  // 첫 층은 id 순, 다음 층부터는 위층 부모 위치의 평균(barycenter) 순으로 정렬해 교차를 줄임
+  const predecessors = new Map(nodeIds.map(id => [id, []]));
+  validEdges.forEach(({ from, to }) => predecessors.get(to).push(from));
+  const maxPerRow = Math.max(8, Math.ceil(Math.sqrt(nodeIds.length) * 1.5));
+  const order = new Map();
+  const rows = [];
+
+  orderedLayers.forEach(layer => {
+    const barycenter = (id) => {
+      const placed = predecessors.get(id).filter(p => order.has(p));
+      return placed.length > 0
+        ? placed.reduce((sum, p) => sum + order.get(p), 0) / placed.length
+        : Number.MAX_SAFE_INTEGER;
+    };
+    const sorted = [...layer]
+      .sort((a, b) => a.localeCompare(b))
+      .map(id => ({ id, weight: barycenter(id) }))
+      .sort((a, b) => a.weight - b.weight)
+      .map(({ id }) => id);
+
+    for (let start = 0; start < sorted.length; start += maxPerRow) {
+      const row = sorted.slice(start, start + maxPerRow);
+      row.forEach((id, i) => order.set(id, (start + i) / sorted.length));
+      rows.push(row);
+    }
+  });
+
+  const positions = {};
+  let y = 0;
+  let width = 0;
+  const rowWidths = rows.map(row => row.reduce((sum, id) => sum + sizeOf(id).width, 0) + (row.length - 1) * gap);
+  const contentWidth = Math.max(0, ...rowWidths);
+
+  rows.forEach((row, r) => {
+    const rowHeight = Math.max(...row.map(id => sizeOf(id).height));
+    // 각 줄을 가운데 정렬
+    let x = (contentWidth - rowWidths[r]) / 2;
+    row.forEach(id => {
+      const size = sizeOf(id);
+      positions[id] = { x: x + size.width / 2, y: y + rowHeight / 2 };
+      x += size.width + gap;
+    });
+    width = Math.max(width, rowWidths[r]);
+    y += rowHeight + layerGap;
+  });
+
+  return finishLayout(positions, width, Math.max(0, y - layerGap));
+};
+
+/**
+ * 묶음 배치: clusterOf가 같은 노드(같은 파일 또는 폴더)를 상자 하나에 격자로 모은다.
+ * 상자 안은 연결이 많은 노드부터, 상자는 이름 순으로 놓아 같은 폴더의 파일이 이웃하게 한다.
+ *
+ * @param {string[]} nodeIds
+ * @param {Array<{ from: string, to: string }>} edges
+ * @param {{ sizeOf: Function, clusterOf: (id: string) => string, gap?: number }} options
+ * @returns clusters: [{ id, x, y, width, height, count }] — 상자의 왼쪽 위와 크기
+ */
+export const clusteredLayout = (nodeIds, edges, { sizeOf, clusterOf, gap = 16 }) => {
+  const degree = new Map(nodeIds.map(id => [id, 0]));
+  edges.forEach(({ from, to }) => {
+    if (from === to) return;
+    if (degree.has(from)) degree.set(from, degree.get(from) + 1);
+    if (degree.has(to)) degree.set(to, degree.get(to) + 1);
+  });
+
+  const members = new Map();
+  nodeIds.forEach(id => {
+    const cluster = clusterOf(id);
+    if (!members.has(cluster)) members.set(cluster, []);
+    members.get(cluster).push(id);
+  });
+
+  const headerHeight = 28;
+  const inset = 12;
+  const boxes = [...members.keys()].sort((a, b) => a.localeCompare(b)).map(cluster => {
+    const ids = members.get(cluster).sort((a, b) => degree.get(b) - degree.get(a) || a.localeCompare(b));
+    const cellWidth = Math.max(...ids.map(id => sizeOf(id).width)) + gap;
+    const cellHeight = Math.max(...ids.map(id => sizeOf(id).height)) + gap;
+    // 상자가 정사각형에 가깝도록 열 수를 정함
+    const columns = Math.max(1, Math.round(Math.sqrt(ids.length * cellHeight / cellWidth)));
+    const rowCount = Math.ceil(ids.length / columns);
+    return {
+      id: cluster,
+      ids,
+      columns,
+      cellWidth,
+      cellHeight,
+      width: Math.min(columns, ids.length) * cellWidth - gap + inset * 2,
+      height: headerHeight + rowCount * cellHeight - gap + inset,
+    };
+  });
+
+  const packed = packRows(boxes, { gap: gap * 2, maxWidth: targetRowWidth(boxes, gap * 2) });
+  const positions = {};
+  const clusters = boxes.map((box, b) => {
+    const { x, y } = packed.offsets[b];
+    box.ids.forEach((id, i) => {
+      const column = i % box.columns;
+      const row = Math.floor(i / box.columns);
+      positions[id] = {
+        x: x + inset + column * box.cellWidth + (box.cellWidth - gap) / 2,
+        y: y + headerHeight + row * box.cellHeight + (box.cellHeight - gap) / 2,
+      };
+    });
+    return { id: box.id, x, y, width: box.width, height: box.height, count: box.ids.length };
+  });
+
+  return finishLayout(positions, packed.width, packed.height, clusters);
+};
@@ -0,0 +1,390 @@
+import * as parser from '@babel/parser';
+import { getLocation } from './location.js';
+import { resolveRules, runRules } from './rules/index.js';
+import { calculateHalstead, calculateMaintainabilityIndex } from './halstead.js';
+import { calculateCognitiveComplexity } from './cognitiveComplexity.js';
+import { countLines } from './lineCounts.js';
+import { collectCallGraph } from './callGraph.js';
+import { collectUsage } from './deadCode.js';
+import { unwrapComponentWrapper } from './rules/reactUtils.js';
+
+const DEFAULT_RULES = resolveRules();
+
+// 함수 내 중첩 깊이를 늘리는 제어 구조 (else if는 같은 깊이로 취급)
+const NESTING_TYPES = [
+  'IfStatement', 'SwitchStatement', 'TryStatement', 'WithStatement',
+  'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement',
+];
+
+// 문장 수에서 제외할 노드 (블록 자체와 빈 문장)
+const isCountedStatement = (node) =>
+  (node.type.endsWith('Statement') && node.type !== 'BlockStatement' && node.type !== 'EmptyStatement')
+  || node.type === 'VariableDeclaration';
+
+const createFunctionDetail = (name, type, declarationNode, functionNode) => {
+  const loc = getLocation(declarationNode);
+  return {
+    name,
+    type,
+    loc,
+    cyclomaticComplexity: 1,
+    cognitiveComplexity: 0,
+    nestingDepth: 0,
+    lineCount: loc ? loc.end.line - loc.start.line + 1 : 0,
+    parameterCount: functionNode.params?.length || 0,
+    statementCount: 0,
+  };
+};
+
+// errorRecovery로 파싱한 AST에 중복 선언(let a; let a;) 같은 오류가 있으면 Babel 스코프 분석이 예외를 던진다.
+// 이때는 파일 전체를 실패로 만들지 않고 함수 그래프를 비우고, 사용 정보는 incomplete로 표시한다
+// (findDeadCode는 이 파일이 import한 파일의 export를 모두 쓰인 것으로 봄)
+const collectScopeInfo = (ast, filename, hasJsx) => {
+  try {
+    return { callGraph: collectCallGraph(ast, filename), usage: collectUsage(ast) };
+  } catch (error) {
+    if (!ast.errors?.length) throw error;
+    return {
+      callGraph: { functions: [], calls: [], importedCalls: [], exports: {}, exportAll: [], unresolvedCalls: [] },
+      usage: { imports: [], exports: [], exportAll: [], unusedVariables: [], hasJsx, incomplete: true },
+    };
+  }
+};
+
+/**
+ * 파일 하나를 파싱해 구조, 메트릭, 의존 관계, 이슈를 수집한다.
+ *
+ * @param {string} code
+ * @param {string} filename
+ * @param {object} [options]
+ * @param {object[]} [options.rules] 실행할 린트 규칙 (resolveRules 결과, 기본값: 내장 규칙 전체)
+ */
+export const analyzeCode = (code, filename, { rules = DEFAULT_RULES } = {}) => {
+  const startTime = performance.now();
+  
+  try {
+    const ast = parser.parse(code, {
+      sourceType: 'module',
+      plugins: ['jsx', 'typescript', 'decorators-legacy', 'classProperties'],
+      errorRecovery: true,
+      tokens: true,
+    });
+
+    const analysis = {
+      filename,
+      functions: [],
+      variables: [],
+      eventHandlers: [],
+      components: [],
+      hooks: [],
+      imports: [],
+      exports: [],
+      complexity: { depth: 0, branches: 0, loops: 0 },
+      issues: [],
+      // 함수/컴포넌트/Hook 호출의 소스 위치
+      functionDetails: [],
+      hookCalls: [],
+      jsxElementCount: 0,
+      loc: code.split('\n').length,
+      // 물리적 줄 / 소스(SLOC) / 주석 / 빈 줄
+      lines: countLines(code, ast),
+      metrics: {
+        cyclomaticComplexity: 1,
+        cognitiveComplexity: 0,
+        commentDensity: 0,
+        cbo: 0,
+        wmc: 0,
+        maintainabilityIndex: 100,
+      },
+      // 함수 의존성 분석 (노드 id는 '파일#이름', callGraph.js 참고)
+      dependencyAnalysis: {
+        components: [],
+        allFunctions: [],
+        functions: [],
+        dependencies: [],
+        importedCalls: [],
+        exports: {},
+        exportAll: [],
+        importedModules: [],
+      },
+      // import/export/지역 변수 사용 정보 (미사용 코드 탐지용, deadCode.js 참고)
+      usage: null,
+    };
+
+    let currentFunctionDetail = null; // 함수별 메트릭을 누적할 functionDetails 항목
+    let nestingLevel = 0; // currentFunctionDetail 안에서의 현재 제어 구조 중첩 수준
+    const functionTypes = {}; // 함수 타입 저장 (component, handler, helper)
+    const functionNodes = new Map(); // functionDetails 항목 → 함수 AST 노드 (인지 복잡도 연결용)
+
+    const traverse = (node, depth = 0, isElseIf = false) => {
+      if (!node || typeof node !== 'object') return;
+      
+      analysis.complexity.depth = Math.max(analysis.complexity.depth, depth);
+
+      if (currentFunctionDetail && node.type && isCountedStatement(node)) {
+        currentFunctionDetail.statementCount++;
+      }
+
+      // 함수 선언 감지
+      if (node.type === 'FunctionDeclaration' && node.id?.name) {
+        const funcName = node.id.name;
+        analysis.functions.push(funcName);
+        analysis.metrics.wmc++;
+        
+        // 함수 타입 분류
+        if (/^[A-Z]/.test(funcName)) {
+          analysis.components.push(funcName);
+          analysis.dependencyAnalysis.components.push(funcName);
+          functionTypes[funcName] = 'component';
+        } else if (/^(handle|on)[A-Z]/.test(funcName)) {
+          analysis.eventHandlers.push(funcName);
+          functionTypes[funcName] = 'handler';
+        } else {
+          functionTypes[funcName] = 'helper';
+        }
+        
+        const detail = createFunctionDetail(funcName, functionTypes[funcName], node, node);
+        functionNodes.set(detail, node);
+        analysis.functionDetails.push(detail);
+        analysis.dependencyAnalysis.allFunctions.push(funcName);
+        
+        // 이 함수 내부를 순회할 때 현재 함수 컨텍스트 설정
+        const previousDetail = currentFunctionDetail;
+        const previousNesting = nestingLevel;
+        currentFunctionDetail = detail;
+        nestingLevel = 0;
+        
+        for (const key in node) {
+          if (key === 'loc' || key === 'range' || key === 'start' || key === 'end' || key === 'id') continue;
+          const child = node[key];
+          if (Array.isArray(child)) {
+            child.forEach(c => traverse(c, depth + 1));
+          } else if (child && typeof child === 'object') {
+            traverse(child, depth + 1);
+          }
+        }
+        
+        currentFunctionDetail = previousDetail;
+        nestingLevel = previousNesting;
+        return;
+      }
+
+      // 변수 선언자 (화살표 함수, 함수 표현식, memo()/forwardRef()로 감싼 함수)
+      if (node.type === 'VariableDeclarator') {
+        const functionNode = unwrapComponentWrapper(node.init);
+        if (functionNode?.type === 'ArrowFunctionExpression' || 
+            functionNode?.type === 'FunctionExpression') {
+          if (node.id?.name) {
+            const funcName = node.id.name;
+            analysis.functions.push(funcName);
+            analysis.metrics.wmc++;
+            
+            // 함수 타입 분류
+            if (/^[A-Z]/.test(funcName)) {
+              analysis.components.push(funcName);
+              analysis.dependencyAnalysis.components.push(funcName);
+              functionTypes[funcName] = 'component';
+            } else if (/^(handle|on)[A-Z]/.test(funcName)) {
+              analysis.eventHandlers.push(funcName);
+              functionTypes[funcName] = 'handler';
+            } else {
+              functionTypes[funcName] = 'helper';
+            }
+            
+            const detail = createFunctionDetail(funcName, functionTypes[funcName], node, functionNode);
+            functionNodes.set(detail, functionNode);
+            analysis.functionDetails.push(detail);
+            analysis.dependencyAnalysis.allFunctions.push(funcName);
+            
+            // 이 함수 내부를 순회할 때 현재 함수 컨텍스트 설정
+            const previousDetail = currentFunctionDetail;
+            const previousNesting = nestingLevel;
+            currentFunctionDetail = detail;
+            nestingLevel = 0;
+            
+            for (const key in functionNode) {
+              if (key === 'loc' || key === 'range' || key === 'start' || key === 'end') continue;
+              const child = functionNode[key];
+              if (Array.isArray(child)) {
+                child.forEach(c => traverse(c, depth + 1));
+              } else if (child && typeof child === 'object') {
+                traverse(child, depth + 1);
+              }
+            }
+            
+            currentFunctionDetail = previousDetail;
+            nestingLevel = previousNesting;
+            return;
+          }
+        } else {
+          if (node.id?.name) {
+            analysis.variables.push(node.id.name);
+          }
+        }
+      }
+
+      if (node.type === 'JSXElement') analysis.jsxElementCount++;
+
+      // 함수 호출 감지 (함수 사이 의존 관계는 callGraph.js에서 스코프 기반으로 수집)
+      if (node.type === 'CallExpression') {
+        const calleeName = node.callee?.type === 'Identifier' ? node.callee.name : null;
+
+        // 동적 import('./Page')와 require('./util')도 모듈 의존 관계로 기록
+        if ((node.callee?.type === 'Import' || calleeName === 'require')
+            && node.arguments?.[0]?.type === 'StringLiteral') {
+          analysis.imports.push({
+            source: node.arguments[0].value,
+            specifiers: [],
+            kind: node.callee.type === 'Import' ? 'dynamic' : 'require',
+            loc: getLocation(node),
+          });
+        }
+
+        // Hooks 추적
+        if (calleeName?.startsWith('use')) {
+          analysis.hooks.push(calleeName);
+          analysis.hookCalls.push({ name: calleeName, loc: getLocation(node) });
+        }
+      }
+
+      // Import 문 분석
+      if (node.type === 'ImportDeclaration') {
+        const importSource = node.source?.value;
+        const importedItems = node.specifiers?.map(s => ({
+          name: s.local?.name,
+          imported: s.imported?.name || s.local?.name,
+          type: s.type
+        })).filter(i => i.name) || [];
+        
+        analysis.imports.push({
+          source: importSource,
+          specifiers: importedItems.map(i => i.name),
+          kind: 'import',
+          // import type { A } from './a'는 컴파일 후 사라지므로 런타임 의존 관계가 아님 (moduleGraph.js 참고)
+          importKind: node.importKind === 'type' ? 'type' : 'value',
+          loc: getLocation(node),
+        });
+        
+        analysis.dependencyAnalysis.importedModules.push({
+          source: importSource,
+          items: importedItems
+        });
+        
+        analysis.metrics.cbo++;
+      }
+
+      // 다시 내보내기 (export { a } from './a', export * from './b')도 모듈 의존 관계
+      if ((node.type === 'ExportNamedDeclaration' || node.type === 'ExportAllDeclaration') && node.source?.value) {
+        analysis.imports.push({
+          source: node.source.value,
+          specifiers: (node.specifiers || []).map(s => s.exported?.name ?? s.exported?.value).filter(Boolean),
+          kind: 're-export',
+          exportKind: node.exportKind === 'type' ? 'type' : 'value',
+          loc: getLocation(node),
+        });
+      }
+
+      // Export 분석
+      if (node.type === 'ExportDefaultDeclaration' || 
+          node.type === 'ExportNamedDeclaration') {
+        if (node.declaration?.id?.name) {
+          analysis.exports.push(node.declaration.id.name);
+        }
+      }
+
+      // 복잡도 계산 (파일 전체 + 가장 안쪽 함수)
+      if (['IfStatement', 'ConditionalExpression', 'SwitchCase', 'CatchClause'].includes(node.type)) {
+        analysis.complexity.branches++;
+        analysis.metrics.cyclomaticComplexity++;
+        if (currentFunctionDetail) currentFunctionDetail.cyclomaticComplexity++;
+      }
+
+      if (['ForStatement', 'WhileStatement', 'DoWhileStatement', 'ForInStatement', 'ForOfStatement'].includes(node.type)) {
+        analysis.complexity.loops++;
+        analysis.metrics.cyclomaticComplexity++;
+        if (currentFunctionDetail) currentFunctionDetail.cyclomaticComplexity++;
+      }
+
+      if (node.type === 'LogicalExpression' && (node.operator === '&&' || node.operator === '||')) {
+        analysis.metrics.cyclomaticComplexity++;
+        if (currentFunctionDetail) currentFunctionDetail.cyclomaticComplexity++;
+      }
+
+      // 자식 노드 순회 (제어 구조 안으로 들어가면 함수 내 중첩 수준 증가)
+      const nests = currentFunctionDetail && NESTING_TYPES.includes(node.type) && !isElseIf;
+      if (nests) {
+        nestingLevel++;
+        currentFunctionDetail.nestingDepth = Math.max(currentFunctionDetail.nestingDepth, nestingLevel);
+      }
+      for (const key in node) {
+        if (key === 'loc' || key === 'range' || key === 'start' || key === 'end') continue;
+        const child = node[key];
+        if (Array.isArray(child)) {
+          child.forEach(c => traverse(c, depth + 1));
+        } else if (child && typeof child === 'object') {
+          traverse(child, depth + 1, node.type === 'IfStatement' && key === 'alternate');
+        }
+      }
+      if (nests) nestingLevel--;
+    };
+
+    traverse(ast.program);
+
+    // 린트 규칙 (rules/ 레지스트리)
+    analysis.issues = runRules(ast, rules, { filename, code });
+
+    // 중복 제거
+    analysis.hooks = [...new Set(analysis.hooks)];
+    analysis.components = [...new Set(analysis.components)];
+    analysis.dependencyAnalysis.components = [...new Set(analysis.dependencyAnalysis.components)];
+    analysis.dependencyAnalysis.allFunctions = [...new Set(analysis.dependencyAnalysis.allFunctions)];
+    analysis.functions = [...new Set(analysis.functions)];
+    analysis.variables = [...new Set(analysis.variables)];
+
+    // 함수 의존 관계: 호출·JSX 사용을 실제 바인딩으로 해석 (import한 함수는 프로젝트 요약에서 다른 파일로 연결)
+    const { callGraph, usage } = collectScopeInfo(ast, filename, analysis.jsxElementCount > 0);
+    const nameById = new Map(callGraph.functions.map(fn => [fn.id, fn.name]));
+    const typeOf = (id) => functionTypes[nameById.get(id)] || 'helper';
+    Object.assign(analysis.dependencyAnalysis, {
+      functions: callGraph.functions.map(fn => ({ ...fn, type: typeOf(fn.id) })),
+      dependencies: callGraph.calls.map(call => ({ ...call, fromType: typeOf(call.from), toType: typeOf(call.to) })),
+      importedCalls: callGraph.importedCalls,
+      exports: callGraph.exports,
+      exportAll: callGraph.exportAll,
+      unresolvedCalls: callGraph.unresolvedCalls,
+      functionTypes,
+    });
+
+    analysis.usage = usage;
+
+    // 인지 복잡도 (파일 전체 + 함수별)
+    const cognitive = calculateCognitiveComplexity(ast.program);
+    analysis.metrics.cognitiveComplexity = cognitive.total;
+    analysis.functionDetails.forEach(detail => {
+      detail.cognitiveComplexity = cognitive.byFunction.get(functionNodes.get(detail)) ?? 0;
+    });
+
+    analysis.metrics.commentDensity = analysis.lines.commentDensity;
+
+    // Halstead 메트릭과 유지보수 지수 (V는 Halstead 볼륨, LOC는 SLOC)
+    analysis.metrics.halstead = calculateHalstead(ast.program);
+    analysis.metrics.maintainabilityIndex = calculateMaintainabilityIndex({
+      volume: analysis.metrics.halstead.volume,
+      cyclomaticComplexity: analysis.metrics.cyclomaticComplexity,
+      loc: analysis.lines.source,
+    });
+
+    analysis.analysisTime = ((performance.now() - startTime) / 1000).toFixed(2);
+
+    return analysis;
+  } catch (error) {
+    return {
+      filename,
+      error: error.message,
+      // Babel SyntaxError는 loc에 { line, column(0부터) }를 담고 있음
+      errorLoc: error.loc ? { line: error.loc.line, column: error.loc.column + 1 } : null,
+      loc: code.split('\n').length,
+      analysisTime: ((performance.now() - startTime) / 1000).toFixed(2),
+    };
+  }
+};
@@ -0,0 +1,470 @@
+// ============================================
+// 스코프 기반 함수 호출 그래프
+// 호출과 JSX 사용을 이름이 아니라 실제 바인딩으로 해석하고, import한 함수는 모듈 그래프를 따라 다른 파일로 연결
+// ============================================
+
+import babelTraverseModule from '@babel/traverse';
+import { getLocation } from './location.js';
+import { getHookName, isHookName, unwrapComponentWrapper } from './rules/reactUtils.js';
+import { findCycles } from './stronglyConnected.js';
+
+// Node ESM에서는 CommonJS 모듈 객체가, 번들러에서는 함수가 default로 들어옴
+const babelTraverse = babelTraverseModule.default ?? babelTraverseModule;
+
+const isFunctionExpression = (node) =>
+  node?.type === 'ArrowFunctionExpression' || node?.type === 'FunctionExpression';
+
+// const Foo = () => {}, const Foo = memo(() => {}), const Foo = forwardRef(function Foo() {})처럼 함수를 대입한 선언인지
+const declaresFunction = (declarator) =>
+  declarator.id.type === 'Identifier' && isFunctionExpression(unwrapComponentWrapper(declarator.init));
+
+// const Foo = memo(() => {})의 memo() 호출은 Foo가 쓰는 함수가 아니라 정의의 일부
+const isDefinitionWrapper = (path) => {
+  if (unwrapComponentWrapper(path.node) === path.node) return false;
+  let current = path;
+  while (current.parentPath.isCallExpression() && current.parent.arguments[0] === current.node) current = current.parentPath;
+  return current.parentPath.isVariableDeclarator({ init: current.node }) && declaresFunction(current.parent);
+};
+
+// 배열·문자열·Map·Set·Promise 내장 메서드 (items.map() 같은 호출은 함수 사이 의존 관계가 아니므로 미해석 호출로 세지 않음)
+const BUILT_IN_METHODS = new Set([
+  'map', 'filter', 'forEach', 'reduce', 'reduceRight', 'find', 'findIndex', 'findLast', 'findLastIndex', 'some', 'every',
+  'includes', 'indexOf', 'lastIndexOf', 'join', 'push', 'pop', 'shift', 'unshift', 'slice', 'splice', 'concat', 'sort',
+  'reverse', 'flat', 'flatMap', 'fill', 'at', 'keys', 'values', 'entries', 'get', 'set', 'has', 'add', 'delete', 'clear',
+  'then', 'catch', 'finally', 'toString', 'toFixed', 'trim', 'split', 'replace', 'replaceAll', 'startsWith', 'endsWith',
+  'toLowerCase', 'toUpperCase', 'match', 'test', 'padStart', 'padEnd', 'repeat', 'localeCompare',
+]);
+
+/**
+ * 함수 그래프 엣지 종류
+ * - call: 직접 호출 fn(), 멤버 호출 utils.fn(), fn.call()/fn.apply()
+ * - render: JSX 요소로 렌더링 <Foo />
+ * - jsx-prop: JSX 속성으로 함수 전달 onClick={handleSubmit}
+ * - reference: 호출하지 않고 값으로 넘기거나 담음 items.map(renderRow), fn.bind(this)
+ */
+export const EDGE_KINDS = ['call', 'render', 'jsx-prop', 'reference'];
+
+/**
+ * 함수 그래프 노드 id. 파일 경로와 이름을 합쳐 다른 파일의 같은 이름 함수와 구분한다.
+ * 한 파일 안에서 이름이 겹치면 (다른 컴포넌트 안의 handleClick 등) 두 번째부터 `@L줄` 을 붙인다.
+ */
+export const functionId = (filename, name) => `${filename}#${name}`;
+
+// 'src/App.jsx#handleClick@L20' → { file: 'src/App.jsx', name: 'handleClick' }
+export const parseFunctionId = (id) => {
+  const index = id.lastIndexOf('#');
+  if (index === -1) return { file: null, name: id };
+  return { file: id.slice(0, index), name: id.slice(index + 1).replace(/@L\d+$/, '') };
+};
+
+// import 바인딩이면 { source, imported, local } (네임스페이스 import는 resolveMember에서 다룸)
+const getImportInfo = (binding) => {
+  if (binding?.kind !== 'module') return null;
+  const specifier = binding.path.node;
+  const source = binding.path.parent?.source?.value;
+  if (!source) return null;
+  const local = binding.identifier.name;
+  if (specifier.type === 'ImportDefaultSpecifier') return { source, imported: 'default', local };
+  if (specifier.type === 'ImportSpecifier') {
+    return { source, imported: specifier.imported.name ?? specifier.imported.value, local };
+  }
+  return null;
+};
+
+// JSX 속성 값으로 바로 쓰인 식인지 (onClick={handleSubmit})
+const isJsxAttributeValue = (path) =>
+  path.parentPath.isJSXExpressionContainer() && path.parentPath.parentPath.isJSXAttribute();
+
+// useEffect(fn, [load])의 의존성 배열 항목은 사용이 아니라 선언이므로 의존 관계로 보지 않음
+const isHookDependency = (path) => {
+  const array = path.parentPath;
+  if (!array.isArrayExpression()) return false;
+  const call = array.parentPath;
+  return call.isCallExpression() && call.node.arguments[1] === array.node && Boolean(getHookName(call.node.callee));
+};
+
+// 호출이 아닌 값 사용의 종류
+const getValueKind = (path) => (isJsxAttributeValue(path) ? 'jsx-prop' : 'reference');
+
+// export { App }, export default App, export default memo(App)의 App은 사용이 아니라 내보내기
+// (export const App = ...처럼 선언과 함께 내보내면 Babel은 export 문 자체를 참조로 기록함)
+const isExportPosition = (path) => {
+  if (path.isExportDeclaration()) return true;
+  const { parentPath } = path;
+  if (parentPath.isExportSpecifier() || parentPath.isExportDefaultDeclaration()) return true;
+  return parentPath.isCallExpression() && parentPath.parentPath.isExportDefaultDeclaration();
+};
+
+/**
+ * 바인딩이 쓰인 횟수를 종류별로 센다. 내보내기 위치와 ownNode(정의 자신) 안의 사용(재귀)은 세지 않는다.
+ * TypeScript 타입 위치의 사용은 Babel 스코프가 추적하지 않으므로 포함되지 않는다.
+ *
+ * @param {object} binding Babel 바인딩
+ * @param {object} [ownNode] 정의 노드
+ * @returns {{ call: number, render: number, value: number }} render는 JSX 요소 이름으로 쓰인 횟수
+ */
+export const countBindingUses = (binding, ownNode = null) => {
+  const uses = { call: 0, render: 0, value: 0 };
+  (binding?.referencePaths || []).forEach(ref => {
+    if (isExportPosition(ref) || ref.parentPath.isJSXClosingElement()) return;
+    if (ownNode && ref.findParent(p => p.node === ownNode)) return;
+    if (ref.parentPath.isJSXOpeningElement()) uses.render++;
+    else if (ref.parentPath.isCallExpression({ callee: ref.node })) uses.call++;
+    else uses.value++;
+  });
+  return uses;
+};
+
+/**
+ * 파일 하나의 함수 정의, 함수 사이 의존 관계(EDGE_KINDS), import한 함수 사용, export 표를 모은다.
+ * 함수 정의는 analyzeCode의 함수 목록과 같은 기준(함수 선언, 함수를 대입한 변수, memo()/forwardRef()로 감싼 함수)이고,
+ * 익명 콜백 안의 사용은 감싸는 함수의 사용으로 센다. const MemoRow = memo(Row)처럼 이미 있는 함수를 감싼 변수는
+ * 안쪽 함수로 해석하고, 어느 함수인지 알 수 없는 메서드 호출(this.save(), props.onSave(), api.get())은
+ * unresolvedCalls에 모은다.
+ *
+ * @param {object} ast Babel File 노드
+ * @param {string} filename
+ * @returns {{
+ *   functions: Array<{ id: string, name: string, loc: object, uses: object }>,
+ *   calls: Array<{ from: string, to: string, kind: string, count: number }>,
+ *   importedCalls: Array<{ from: string, source: string, imported: string, local: string, kind: string, count: number }>,
+ *   exports: Object<string, { id: string } | { source: string, imported: string }>,
+ *   exportAll: string[],
+ *   unresolvedCalls: Array<{ from: string, callee: string, count: number }>,
+ * }}
+ */
+export const collectCallGraph = (ast, filename) => {
+  const functions = [];
+  const definitions = []; // [함수 항목, 바인딩, 정의 노드] (파일 안 사용 횟수 계산용)
+  const idByBinding = new Map(); // 바인딩 식별자 노드 → 함수 id
+  const references = []; // { from, kind, binding } 또는 네임스페이스 import 멤버면 { from, kind, imported }
+  const stack = []; // 현재 순회 중인 함수 정의 id
+  const exportEntries = []; // [exportedName, { local } | { source, imported }]
+  const exportAll = [];
+  const aliases = []; // [감싼 변수 식별자 노드, 안쪽 함수 이름, 스코프] (const MemoRow = memo(Row))
+  const unresolved = new Map(); // 'from->callee' → { from, callee, count }
+  let programScope = null;
+
+  const define = (name, idNode, node, binding) => {
+    let id = functionId(filename, name);
+    if (functions.some(fn => fn.id === id)) id = `${id}@L${node.loc?.start.line}`;
+    const fn = { id, name, loc: getLocation(node) };
+    functions.push(fn);
+    definitions.push([fn, binding, node]);
+    idByBinding.set(idNode, id);
+    return id;
+  };
+
+  const reference = (path, name, kind) => {
+    const from = stack[stack.length - 1];
+    if (!from || isHookName(name)) return;
+    const binding = path.scope.getBinding(name);
+    // 바인딩이 없으면 전역(alert, fetch, Math 등)이므로 의존 관계가 아님
+    if (binding) references.push({ from, kind, binding });
+  };
+
+  // object.property 사용: 네임스페이스 import(utils.format)나 함수를 담은 지역 객체 리터럴(handlers.save)만 해석
+  // 해석했거나 의존 관계가 아니면(함수 밖, 전역 객체) true, 어느 함수인지 알 수 없으면 false
+  const referenceMember = (path, objectName, propertyName, kind) => {
+    const from = stack[stack.length - 1];
+    if (!from) return true;
+    const binding = path.scope.getBinding(objectName);
+    if (!binding) return true;
+
+    if (binding.kind === 'module' && binding.path.isImportNamespaceSpecifier()) {
+      const source = binding.path.parent.source.value;
+      references.push({ from, kind, imported: { source, imported: propertyName, local: `${objectName}.${propertyName}` } });
+      return true;
+    }
+
+    const init = binding.path.isVariableDeclarator() ? binding.path.node.init : null;
+    if (init?.type !== 'ObjectExpression' || binding.constantViolations.length > 0) return false;
+    const property = init.properties.find(p => p.type === 'ObjectProperty' && !p.computed
+      && (p.key.name ?? p.key.value) === propertyName);
+    if (property?.value.type !== 'Identifier') return false;
+    const target = binding.path.scope.getBinding(property.value.name);
+    if (target) references.push({ from, kind, binding: target });
+    return Boolean(target);
+  };
+
+  // 대상 함수를 정할 수 없는 메서드 호출은 엣지 대신 개수만 남김
+  const recordUnresolved = (callee) => {
+    const from = stack[stack.length - 1];
+    if (!from) return;
+    const key = `${from}->${callee}`;
+    unresolved.set(key, { from, callee, count: (unresolved.get(key)?.count || 0) + 1 });
+  };
+
+  babelTraverse(ast, {
+    Program(path) {
+      programScope = path.scope;
+    },
+    FunctionDeclaration: {
+      enter(path) {
+        // 함수 선언의 이름은 감싸는 스코프에 등록됨
+        const { id } = path.node;
+        if (id) stack.push(define(id.name, id, path.node, path.parentPath.scope.getBinding(id.name)));
+      },
+      exit(path) {
+        if (path.node.id) stack.pop();
+      },
+    },
+    VariableDeclarator: {
+      enter(path) {
+        const { id, init } = path.node;
+        if (declaresFunction(path.node)) {
+          stack.push(define(id.name, id, path.node, path.scope.getBinding(id.name)));
+          return;
+        }
+        const inner = unwrapComponentWrapper(init);
+        if (id.type === 'Identifier' && inner !== init && inner?.type === 'Identifier') {
+          aliases.push([id, inner.name, path.scope]);
+        }
+      },
+      exit(path) {
+        if (declaresFunction(path.node)) stack.pop();
+      },
+    },
+    CallExpression(path) {
+      const { callee } = path.node;
+      if (isDefinitionWrapper(path)) return;
+      if (callee.type === 'Identifier') {
+        reference(path, callee.name, 'call');
+        return;
+      }
+      if (callee.type !== 'MemberExpression' || callee.computed) return;
+      const method = callee.property.name;
+      // 클래스 메서드는 함수 노드로 만들지 않으므로 this.method()는 대상을 정할 수 없음
+      if (callee.object.type === 'ThisExpression') {
+        recordUnresolved(`this.${method}`);
+        return;
+      }
+      if (callee.object.type !== 'Identifier') return;
+      // fn.call()/fn.apply()는 fn 호출, fn.bind()는 fn을 값으로 넘기는 것
+      if (method === 'call' || method === 'apply') reference(path, callee.object.name, 'call');
+      else if (method === 'bind') reference(path, callee.object.name, 'reference');
+      else if (!referenceMember(path, callee.object.name, method, 'call') && !BUILT_IN_METHODS.has(method)) {
+        recordUnresolved(`${callee.object.name}.${method}`);
+      }
+    },
+    JSXOpeningElement(path) {
+      const { name } = path.node;
+      if (name.type === 'JSXIdentifier' && /^[A-Z]/.test(name.name)) {
+        reference(path, name.name, 'render');
+      } else if (name.type === 'JSXMemberExpression' && name.object.type === 'JSXIdentifier') {
+        referenceMember(path, name.object.name, name.property.name, 'render');
+      }
+    },
+    // 호출하지 않고 값으로 쓰인 함수 (onClick={handleSubmit}, items.map(renderRow), const fn = helper)
+    Identifier(path) {
+      if (!path.isReferencedIdentifier()) return;
+      const { parent } = path;
+      if (path.parentPath.isCallExpression({ callee: path.node })) return;
+      if (path.parentPath.isMemberExpression({ object: path.node })) return;
+      if (parent.type === 'ExportSpecifier' || parent.type === 'ExportDefaultDeclaration') return;
+      if (isHookDependency(path) || path.findParent(p => p.isTSType() || p.isTSTypeAnnotation())) return;
+      reference(path, path.node.name, getValueKind(path));
+    },
+    MemberExpression(path) {
+      const { node } = path;
+      if (node.computed || node.object.type !== 'Identifier') return;
+      if (path.parentPath.isCallExpression({ callee: node })) return;
+      if (path.parentPath.isAssignmentExpression({ left: node })) return;
+      referenceMember(path, node.object.name, node.property.name, getValueKind(path));
+    },
+    ExportNamedDeclaration(path) {
+      const { declaration, specifiers, source } = path.node;
+      if (declaration?.id) exportEntries.push([declaration.id.name, { local: declaration.id.name }]);
+      declaration?.declarations?.forEach(declarator => {
+        if (declarator.id.type === 'Identifier') exportEntries.push([declarator.id.name, { local: declarator.id.name }]);
+      });
+      specifiers.forEach(specifier => {
+        if (specifier.type !== 'ExportSpecifier') return;
+        const exported = specifier.exported.name ?? specifier.exported.value;
+        exportEntries.push([exported, source
+          ? { source: source.value, imported: specifier.local.name ?? specifier.local.value }
+          : { local: specifier.local.name }]);
+      });
+    },
+    ExportAllDeclaration(path) {
+      if (path.node.source && !path.node.exported) exportAll.push(path.node.source.value);
+    },
+    ExportDefaultDeclaration(path) {
+      const { declaration } = path.node;
+      // export default App, export default function App() {}, export default memo(App)
+      const local = declaration.id?.name
+        ?? (declaration.type === 'Identifier' ? declaration.name : null)
+        ?? (declaration.type === 'CallExpression' && declaration.arguments[0]?.type === 'Identifier'
+          ? declaration.arguments[0].name
+          : null);
+      if (local) exportEntries.push(['default', { local }]);
+    },
+  });
+
+  // memo(Row)처럼 감싼 변수는 안쪽 함수와 같은 노드 (선언 순서대로 처리하므로 memo(forwardRef 결과)도 이어짐)
+  aliases.forEach(([idNode, innerName, scope]) => {
+    const target = scope.getBinding(innerName);
+    const id = target && idByBinding.get(target.identifier);
+    if (id) idByBinding.set(idNode, id);
+  });
+
+  // 정의가 뒤에 나오는 함수도 호출할 수 있으므로 바인딩 해석은 순회가 끝난 뒤에 한다
+  const calls = new Map();
+  const importedCalls = new Map();
+  references.forEach(({ from, kind, binding, imported: namespaceMember }) => {
+    const to = binding && idByBinding.get(binding.identifier);
+    if (to) {
+      // 재귀 호출, 자기 자신 참조는 의존 관계로 그리지 않음
+      if (to === from) return;
+      const key = `${from}->${to}:${kind}`;
+      calls.set(key, { from, to, kind, count: (calls.get(key)?.count || 0) + 1 });
+      return;
+    }
+    const imported = namespaceMember ?? getImportInfo(binding);
+    if (imported) {
+      const key = `${from}->${imported.source}#${imported.imported}:${kind}`;
+      importedCalls.set(key, { from, ...imported, kind, count: (importedCalls.get(key)?.count || 0) + 1 });
+    }
+  });
+
+  // 파일 안 사용 횟수 (다른 파일에서의 사용은 deadCode.js에서 import를 따라 더함)
+  definitions.forEach(([fn, binding, node]) => {
+    fn.uses = countBindingUses(binding, node);
+  });
+
+  // export 표: 파일 안 함수면 id, import한 것을 다시 내보내면 출처
+  const exports = {};
+  exportEntries.forEach(([exported, entry]) => {
+    if (entry.source) {
+      exports[exported] = entry;
+      return;
+    }
+    const binding = programScope?.getBinding(entry.local);
+    const id = binding && idByBinding.get(binding.identifier);
+    const imported = getImportInfo(binding);
+    if (id) exports[exported] = { id };
+    else if (imported) exports[exported] = { source: imported.source, imported: imported.imported };
+  });
+
+  return {
+    functions,
+    calls: [...calls.values()],
+    importedCalls: [...importedCalls.values()],
+    exports,
+    exportAll,
+    unresolvedCalls: [...unresolved.values()],
+  };
+};
+
+/**
+ * 파일의 export 이름을 실제로 정의한 함수 id로 해석하는 함수를 만든다.
+ * 다시 내보내기(export ... from, export *)를 모듈 그래프로 따라가며, 체인이 순환하면 중단한다.
+ *
+ * @param {object[]} fileResults analyzeCode 결과 목록
+ * @param {object} [moduleGraph] buildModuleGraph 결과
+ * @returns {(file: string, name: string) => string | null} 함수가 아니거나 찾을 수 없으면 null
+ */
+export const createExportResolver = (fileResults, moduleGraph = null) => {
+  const graphs = new Map(fileResults.map(r => [r.filename, r.dependencyAnalysis]));
+  const resolvedImports = moduleGraph?.resolved || {};
+
+  const resolveExport = (file, name, visited = new Set()) => {
+    const visitKey = `${file}\n${name}`;
+    const graph = graphs.get(file);
+    if (!graph || visited.has(visitKey)) return null;
+    visited.add(visitKey);
+
+    const entry = graph.exports?.[name];
+    if (entry?.id) return entry.id;
+    if (entry?.source) {
+      const target = resolvedImports[file]?.[entry.source];
+      return target ? resolveExport(target, entry.imported, visited) : null;
+    }
+    if (entry || name === 'default') return null;
+    for (const source of graph.exportAll || []) {
+      const target = resolvedImports[file]?.[source];
+      const id = target && resolveExport(target, name, visited);
+      if (id) return id;
+    }
+    return null;
+  };
+
+  return (file, name) => resolveExport(file, name);
+};
+
+/**
+ * 파일별 호출 그래프를 모듈 그래프로 이어 프로젝트 전체 함수 그래프를 만든다.
+ * import한 함수는 다시 내보내기(export ... from, export *)를 따라가 실제 정의로 연결하고,
+ * 외부 패키지나 찾을 수 없는 import는 `출처#이름` id의 external 노드로 남긴다.
+ *
+ * @param {object[]} fileResults 파싱에 성공한 analyzeCode 결과 목록
+ * @param {object} [moduleGraph] buildModuleGraph 결과 (없으면 import한 함수는 모두 external)
+ * @returns {{ functions: object[], dependencies: object[], functionTypes: Object<string, string>,
+ *   unresolvedCalls: object[] }} unresolvedCalls는 파일별 collectCallGraph 결과를 모은 것
+ */
+export const linkCallGraphs = (fileResults, moduleGraph = null) => {
+  const resolvedImports = moduleGraph?.resolved || {};
+  const resolveExport = createExportResolver(fileResults, moduleGraph);
+
+  const functionTypes = {};
+  const functions = [];
+  fileResults.forEach(r => {
+    (r.dependencyAnalysis?.functions || []).forEach(fn => {
+      functions.push({ ...fn, file: r.filename });
+      functionTypes[fn.id] = fn.type;
+    });
+  });
+
+  const edges = new Map();
+  const addEdge = (from, to, kind, count) => {
+    if (from === to) return;
+    const key = `${from}->${to}:${kind}`;
+    if (edges.has(key)) {
+      edges.get(key).count += count;
+    } else {
+      edges.set(key, {
+        from,
+        to,
+        kind,
+        count,
+        fromType: functionTypes[from] || 'unknown',
+        toType: functionTypes[to] || 'external',
+      });
+    }
+  };
+
+  fileResults.forEach(r => {
+    const graph = r.dependencyAnalysis;
+    // 이전 버전 결과의 엣지에는 kind가 없으므로 호출로 취급
+    (graph?.dependencies || []).forEach(dep => addEdge(dep.from, dep.to, dep.kind ?? 'call', dep.count));
+    (graph?.importedCalls || []).forEach(call => {
+      const target = resolvedImports[r.filename]?.[call.source];
+      if (target) {
+        // 업로드된 파일이지만 함수가 아닌 값(상수, 클래스 등)을 호출하면 그리지 않음
+        const to = resolveExport(target, call.imported);
+        if (to) addEdge(call.from, to, call.kind ?? 'call', call.count);
+      } else {
+        // default import는 출처에 이름이 없으므로 가져온 쪽의 이름을 씀
+        const name = call.imported === 'default' ? call.local : call.imported;
+        addEdge(call.from, functionId(call.source, name), call.kind ?? 'call', call.count);
+      }
+    });
+  });
+
+  const unresolvedCalls = fileResults.flatMap(r => r.dependencyAnalysis?.unresolvedCalls || []);
+  return { functions, dependencies: [...edges.values()], functionTypes, unresolvedCalls };
+};
+
+/**
+ * 프로젝트 전체 함수 그래프와 그 안의 순환(강한 연결 요소)을 만든다.
+ * 재귀 호출은 엣지로 만들지 않으므로 순환은 함수 둘 이상이 서로를 거쳐 돌아오는 경우만 잡힌다.
+ *
+ * @param {object[]} fileResults 파싱에 성공한 analyzeCode 결과 목록
+ * @param {object} [moduleGraph] buildModuleGraph 결과
+ * @returns {{ functions: object[], dependencies: object[], functionTypes: Object<string, string>,
+ *   unresolvedCalls: object[], cycles: Array<{ members: string[], path: string[] }> }} cycles는 findCycles 결과 (함수 id 기준)
+ */
+export const buildFunctionGraph = (fileResults, moduleGraph = null) => {
+  const linked = linkCallGraphs(fileResults, moduleGraph);
+  return { ...linked, cycles: findCycles(linked.functions.map(fn => fn.id), linked.dependencies) };
+};
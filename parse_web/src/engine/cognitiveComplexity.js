@@ -0,0 +1,134 @@
+// ============================================
+// 인지 복잡도 (SonarSource Cognitive Complexity)
+// 분기마다 +1, 중첩된 분기는 중첩 수준만큼 추가, 논리 연산자 묶음과 재귀 호출도 +1
+// ============================================
+
+const SKIPPED_KEYS = new Set(['loc', 'range', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod',
+]);
+
+// analyzeCode가 functionDetails로 따로 집계하는 함수 (이름 있는 선언, 변수에 대입한 함수)
+const getUnitName = (node, parent) => {
+  if (node.type === 'FunctionDeclaration') return node.id?.name || null;
+  if ((node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression')
+      && parent?.type === 'VariableDeclarator' && parent.init === node) {
+    return parent.id?.name || null;
+  }
+  return null;
+};
+
+// a && b && c는 +1, a && b || c는 +2 (같은 연산자가 이어지는 묶음마다 +1)
+const countLogicalSequences = (node) => {
+  const operators = [];
+  const collect = (current) => {
+    if (current.type !== 'LogicalExpression') return;
+    collect(current.left);
+    operators.push(current.operator);
+    collect(current.right);
+  };
+  collect(node);
+  return operators.filter((op, i) => op !== operators[i - 1]).length;
+};
+
+/**
+ * 파일 전체와 함수별 인지 복잡도를 계산한다.
+ * 이름 있는 함수(함수 선언, 변수에 대입한 함수)는 중첩 수준 0에서 따로 세고,
+ * 익명 콜백은 감싸는 함수에 포함하되 중첩 수준을 1 올린다.
+ *
+ * @param {object} program Babel Program 노드
+ * @returns {{ total: number, byFunction: Map<object, number> }} byFunction은 함수 AST 노드 → 인지 복잡도
+ */
+export const calculateCognitiveComplexity = (program) => {
+  const byFunction = new Map();
+  let total = 0;
+  let unit = null; // { node, name, score }
+
+  const increment = (amount) => {
+    total += amount;
+    if (unit) unit.score += amount;
+  };
+
+  const walkChildren = (node, nesting, nestedKeys = null) => {
+    for (const key in node) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      const childNesting = nestedKeys?.has(key) ? nesting + 1 : nesting;
+      if (Array.isArray(child)) {
+        child.forEach(c => walk(c, childNesting, node));
+      } else if (child && typeof child === 'object') {
+        walk(child, childNesting, node);
+      }
+    }
+  };
+
+  const walk = (node, nesting, parent, isElseIf = false) => {
+    if (!node || typeof node !== 'object' || !node.type) return;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      const name = getUnitName(node, parent);
+      if (name) {
+        const previousUnit = unit;
+        unit = { node, name, score: 0 };
+        walkChildren(node, 0);
+        byFunction.set(node, unit.score);
+        unit = previousUnit;
+      } else {
+        walkChildren(node, nesting + 1);
+      }
+      return;
+    }
+
+    switch (node.type) {
+      case 'IfStatement': {
+        // else if는 중첩 가산 없이 +1
+        increment(isElseIf ? 1 : 1 + nesting);
+        walk(node.test, nesting, node);
+        walk(node.consequent, nesting + 1, node);
+        if (node.alternate?.type === 'IfStatement') {
+          walk(node.alternate, nesting, node, true);
+        } else if (node.alternate) {
+          increment(1);
+          walk(node.alternate, nesting + 1, node);
+        }
+        return;
+      }
+      case 'ConditionalExpression':
+        increment(1 + nesting);
+        walkChildren(node, nesting, new Set(['consequent', 'alternate']));
+        return;
+      case 'SwitchStatement':
+        increment(1 + nesting);
+        walkChildren(node, nesting, new Set(['cases']));
+        return;
+      case 'CatchClause':
+        increment(1 + nesting);
+        walkChildren(node, nesting, new Set(['body']));
+        return;
+      case 'LogicalExpression':
+        if (parent?.type !== 'LogicalExpression') increment(countLogicalSequences(node));
+        break;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) increment(1);
+        break;
+      case 'CallExpression':
+        if (unit && node.callee?.type === 'Identifier' && node.callee.name === unit.name) increment(1);
+        break;
+      default:
+        if (LOOP_TYPES.has(node.type)) {
+          increment(1 + nesting);
+          walkChildren(node, nesting, new Set(['body']));
+          return;
+        }
+    }
+
+    walkChildren(node, nesting);
+  };
+
+  walk(program, 0, null);
+  return { total, byFunction };
+};
@@ -0,0 +1,110 @@
+// ============================================
+// 두 분석 결과(이전 리포트 vs 현재) 비교
+// ============================================
+
+const issueKey = (issue) => `${issue.type}|${issue.severity}|${issue.message}`;
+// 같은 두 함수 사이라도 종류(호출, 렌더링 등)가 다르면 다른 의존 관계 (kind가 없는 이전 버전 결과는 호출)
+const edgeKey = (dep) => `${dep.from}->${dep.to}:${dep.kind ?? 'call'}`;
+
+// 이름만 있는 이전 형식 id가 남아 있으면 같은 함수도 다른 노드가 되므로 의존 관계를 비교할 수 없음
+// (upgradeLegacyResults가 정의한 파일을 하나로 정하지 못한 이름)
+const hasUnresolvedIds = (results) => (results.summary.dependencyAnalysis?.unresolvedLegacyIds?.length ?? 0) > 0;
+
+const delta = (before, after) => ({
+  before: before ?? null,
+  after: after ?? null,
+  delta: before != null && after != null ? after - before : null,
+});
+
+const pickMetrics = (file) => (file && !file.error ? {
+  qualityScore: file.qualityScore,
+  accessibilityScore: file.accessibilityScore,
+  cyclomaticComplexity: file.metrics?.cyclomaticComplexity,
+  cognitiveComplexity: file.metrics?.cognitiveComplexity,
+  maintainabilityIndex: file.metrics?.maintainabilityIndex,
+} : {});
+
+// 같은 이슈가 여러 번 나올 수 있으므로 개수까지 비교 (multiset 차집합)
+const diffIssues = (beforeIssues = [], afterIssues = []) => {
+  const remaining = {};
+  beforeIssues.forEach(issue => {
+    const key = issueKey(issue);
+    (remaining[key] = remaining[key] || []).push(issue);
+  });
+
+  const newIssues = [];
+  afterIssues.forEach(issue => {
+    const bucket = remaining[issueKey(issue)];
+    if (bucket?.length) bucket.pop();
+    else newIssues.push(issue);
+  });
+
+  return { newIssues, resolvedIssues: Object.values(remaining).flat() };
+};
+
+const compareFile = (filename, before, after) => {
+  const status = !before ? 'added' : !after ? 'removed' : 'common';
+  const b = pickMetrics(before);
+  const a = pickMetrics(after);
+  const { newIssues, resolvedIssues } = diffIssues(before?.issues, after?.issues);
+
+  const metrics = {
+    qualityScore: delta(b.qualityScore, a.qualityScore),
+    accessibilityScore: delta(b.accessibilityScore, a.accessibilityScore),
+    cyclomaticComplexity: delta(b.cyclomaticComplexity, a.cyclomaticComplexity),
+    cognitiveComplexity: delta(b.cognitiveComplexity, a.cognitiveComplexity),
+    maintainabilityIndex: delta(b.maintainabilityIndex, a.maintainabilityIndex),
+  };
+
+  const changed = status !== 'common'
+    || newIssues.length > 0
+    || resolvedIssues.length > 0
+    || Object.values(metrics).some(m => m.delta !== 0);
+
+  return {
+    filename,
+    status: status === 'common' ? (changed ? 'changed' : 'unchanged') : status,
+    metrics,
+    newIssues,
+    resolvedIssues,
+  };
+};
+
+/**
+ * 이전 분석 결과(baseline)와 현재 결과(current)를 비교한다.
+ * 두 인자 모두 analyzeProject가 돌려주는 { files, summary } 형태.
+ * 이전 버전 결과는 upgradeLegacyResults로 먼저 변환해야 한다.
+ * 함수 id를 변환하지 못한 결과가 있으면 dependencies.comparable이 false이고 추가/삭제 목록은 비어 있다.
+ */
+export const compareResults = (baseline, current) => {
+  const beforeByName = new Map(baseline.files.map(f => [f.filename, f]));
+  const afterByName = new Map(current.files.map(f => [f.filename, f]));
+  const filenames = [...new Set([...beforeByName.keys(), ...afterByName.keys()])];
+
+  const files = filenames.map(name => compareFile(name, beforeByName.get(name), afterByName.get(name)));
+
+  const comparable = !hasUnresolvedIds(baseline) && !hasUnresolvedIds(current);
+  const edgesOf = (results) => (comparable ? results.summary.dependencyAnalysis?.dependencies || [] : []);
+  const beforeEdges = new Map(edgesOf(baseline).map(d => [edgeKey(d), d]));
+  const afterEdges = new Map(edgesOf(current).map(d => [edgeKey(d), d]));
+
+  return {
+    summary: {
+      avgQualityScore: delta(baseline.summary.avgQualityScore, current.summary.avgQualityScore),
+      avgAccessibilityScore: delta(baseline.summary.avgAccessibilityScore, current.summary.avgAccessibilityScore),
+      avgCyclomaticComplexity: delta(baseline.summary.avgCyclomaticComplexity, current.summary.avgCyclomaticComplexity),
+      avgCognitiveComplexity: delta(baseline.summary.avgCognitiveComplexity, current.summary.avgCognitiveComplexity),
+      avgMaintainabilityIndex: delta(baseline.summary.avgMaintainabilityIndex, current.summary.avgMaintainabilityIndex),
+      totalIssues: delta(baseline.summary.totalIssues, current.summary.totalIssues),
+      totalFiles: delta(baseline.summary.totalFiles, current.summary.totalFiles),
+    },
+    files,
+    newIssues: files.flatMap(f => f.newIssues.map(issue => ({ ...issue, filename: f.filename }))),
+    resolvedIssues: files.flatMap(f => f.resolvedIssues.map(issue => ({ ...issue, filename: f.filename }))),
+    dependencies: {
+      comparable,
+      added: [...afterEdges.entries()].filter(([key]) => !beforeEdges.has(key)).map(([, dep]) => dep),
+      removed: [...beforeEdges.entries()].filter(([key]) => !afterEdges.has(key)).map(([, dep]) => dep),
+    },
+  };
+};
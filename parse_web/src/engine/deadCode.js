@@ -0,0 +1,375 @@
+// ============================================
+// 미사용 코드 탐지
+// 파일별로 import/export/변수 사용을 모으고, 모듈 그래프를 따라 프로젝트 전체에서 쓰이지 않는 코드를 찾는다
+// ============================================
+
+import babelTraverseModule from '@babel/traverse';
+import { getLocation } from './location.js';
+import { countBindingUses, createExportResolver } from './callGraph.js';
+
+// Node ESM에서는 CommonJS 모듈 객체가, 번들러에서는 함수가 default로 들어옴
+const babelTraverse = babelTraverseModule.default ?? babelTraverseModule;
+
+/**
+ * 기본 진입점. 진입점 파일의 export는 외부(번들러, 라이브러리 사용자)에서 쓰는 것으로 본다.
+ * 패턴은 경로 끝부분과 폴더 경계에서 맞춰 보므로 'src/index.*'는 'my-app/src/index.js'와 맞고
+ * 'src/components/index.js'와는 맞지 않는다.
+ */
+export const DEFAULT_ENTRY_POINTS = ['main.*', 'src/index.*'];
+
+const escapeRegExp = (text) => text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+
+// '*'는 폴더 하나 안의 아무 문자열, '**/'는 폴더 여러 단계, '{a,b}'는 둘 중 하나
+const entryPatternToRegExp = (pattern) => {
+  const body = pattern.replace(/^\.\//, '')
+    .split(/(\*\*\/|\*|\{[^}]*\})/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '*') return '[^/]*';
+      if (part.startsWith('{') && part.endsWith('}')) {
+        return `(?:${part.slice(1, -1).split(',').map(escapeRegExp).join('|')})`;
+      }
+      return escapeRegExp(part);
+    })
+    .join('');
+  return new RegExp(`(?:^|/)${body}$`);
+};
+
+export const matchesEntryPoint = (filename, pattern) => entryPatternToRegExp(pattern).test(filename);
+
+// Foo, Foo.Bar, typeof foo.bar의 맨 앞 식별자
+const getRootName = (node) => {
+  if (node?.type === 'Identifier') return node.name;
+  if (node?.type === 'TSQualifiedName') return getRootName(node.left);
+  if (node?.type === 'MemberExpression') return getRootName(node.object);
+  return null;
+};
+
+const sumUses = (uses) => (uses.call || 0) + (uses.render || 0) + (uses.value || 0) + (uses.type || 0);
+
+// ns.format(), <ns.Button />처럼 네임스페이스 import의 멤버로 쓰인 사용을 이름별로 센다.
+// whole은 네임스페이스 객체를 통째로 쓴 횟수 (다른 함수에 넘기기 등)
+const countNamespaceUses = (binding) => {
+  const members = {};
+  let whole = 0;
+  (binding?.referencePaths || []).forEach(ref => {
+    const member = ref.parentPath;
+    const isMember = (member.isMemberExpression({ object: ref.node }) && !member.node.computed)
+      || member.isJSXMemberExpression({ object: ref.node });
+    if (!isMember) {
+      whole++;
+      return;
+    }
+    if (member.parentPath.isJSXClosingElement()) return;
+    const name = member.node.property.name;
+    const uses = members[name] || (members[name] = { call: 0, render: 0, value: 0 });
+    if (member.parentPath.isJSXOpeningElement()) uses.render++;
+    else if (member.parentPath.isCallExpression({ callee: member.node })) uses.call++;
+    else uses.value++;
+  });
+  return { members, whole };
+};
+
+// 지역 바인딩으로 내보낸 export의 종류
+const getLocalExportKind = (binding, name) => {
+  if (!binding) return 'variable';
+  const { path } = binding;
+  if (binding.kind === 'module') return 're-export';
+  if (path.isClassDeclaration()) return 'class';
+  const isFunction = path.isFunctionDeclaration()
+    || (path.isVariableDeclarator() && /^(Arrow)?Function/.test(path.node.init?.type ?? ''));
+  if (isFunction) return /^[A-Z]/.test(name) ? 'component' : 'function';
+  return 'variable';
+};
+
+const getDeclarationKind = (declaration, name) => {
+  switch (declaration.type) {
+    case 'FunctionDeclaration':
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+      return /^[A-Z]/.test(name ?? '') ? 'component' : 'function';
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return 'class';
+    case 'TSTypeAliasDeclaration':
+    case 'TSInterfaceDeclaration':
+      return 'type';
+    case 'TSEnumDeclaration':
+      return 'enum';
+    default:
+      return 'variable';
+  }
+};
+
+/**
+ * 파일 하나의 import 사용 횟수, export 목록, 쓰이지 않는 지역 변수를 모은다.
+ * 함수 정의의 사용 횟수는 collectCallGraph가 함께 센다.
+ *
+ * @param {object} ast Babel File 노드
+ * @returns {{
+ *   imports: Array<{ source: string, imported: string, local: string, loc: object, uses: object, members?: object }>,
+ *   exports: Array<{ name: string, kind: string, loc: object, source?: string, imported?: string }>,
+ *   exportAll: string[],
+ *   unusedVariables: Array<{ name: string, loc: object }>,
+ *   hasJsx: boolean,
+ * }} imports[].imported는 'default', '*'(네임스페이스) 또는 이름
+ */
+export const collectUsage = (ast) => {
+  const imports = [];
+  const importBindings = []; // [import 항목, 바인딩]
+  const exports = [];
+  const exportAll = [];
+  const variableBindings = []; // [이름, 바인딩, 선언 식별자]
+  const typeReferences = new Map(); // 타입 위치에서 쓰인 이름 → 횟수 (Babel 스코프는 타입 사용을 추적하지 않음)
+  let hasJsx = false;
+
+  const addTypeReference = (node) => {
+    const name = getRootName(node);
+    if (name) typeReferences.set(name, (typeReferences.get(name) || 0) + 1);
+  };
+
+  babelTraverse(ast, {
+    ImportDeclaration(path) {
+      const source = path.node.source.value;
+      path.node.specifiers.forEach(specifier => {
+        const local = specifier.local.name;
+        let imported = '*';
+        if (specifier.type === 'ImportDefaultSpecifier') imported = 'default';
+        else if (specifier.type === 'ImportSpecifier') imported = specifier.imported.name ?? specifier.imported.value;
+        const entry = { source, imported, local, loc: getLocation(specifier) };
+        imports.push(entry);
+        importBindings.push([entry, path.scope.getBinding(local)]);
+      });
+    },
+    'JSXElement|JSXFragment'() {
+      hasJsx = true;
+    },
+    TSTypeReference(path) {
+      addTypeReference(path.node.typeName);
+    },
+    TSTypeQuery(path) {
+      addTypeReference(path.node.exprName);
+    },
+    // interface A extends B, class A implements B
+    TSExpressionWithTypeArguments(path) {
+      addTypeReference(path.node.expression);
+    },
+    VariableDeclarator(path) {
+      const declaration = path.parentPath;
+      if (declaration.node.declare || declaration.parentPath.isExportNamedDeclaration()) return;
+      // 함수를 대입한 변수는 함수 목록에서 따로 확인
+      if (/^(Arrow)?Function/.test(path.node.init?.type ?? '')) return;
+      Object.entries(path.getBindingIdentifiers()).forEach(([name, identifier]) => {
+        variableBindings.push([name, path.scope.getBinding(name), identifier]);
+      });
+    },
+    ExportNamedDeclaration(path) {
+      const { declaration, specifiers, source } = path.node;
+      const typeOnly = path.node.exportKind === 'type';
+      if (declaration?.declarations) {
+        path.get('declaration.declarations').forEach(declarator => {
+          const { init } = declarator.node;
+          Object.keys(declarator.getBindingIdentifiers()).forEach(name => {
+            exports.push({ name, kind: init ? getDeclarationKind(init, name) : 'variable', loc: getLocation(declarator.node) });
+          });
+        });
+      } else if (declaration?.id) {
+        const name = declaration.id.name;
+        exports.push({ name, kind: getDeclarationKind(declaration, name), loc: getLocation(declaration) });
+      }
+      specifiers.forEach(specifier => {
+        const name = specifier.exported.name ?? specifier.exported.value;
+        const loc = getLocation(specifier);
+        if (source) {
+          const imported = specifier.type === 'ExportNamespaceSpecifier'
+            ? '*'
+            : (specifier.local?.name ?? specifier.local?.value ?? 'default');
+          exports.push({ name, kind: 're-export', loc, source: source.value, imported });
+        } else {
+          const local = specifier.local.name;
+          const kind = typeOnly || specifier.exportKind === 'type'
+            ? 'type'
+            : getLocalExportKind(path.scope.getBinding(local), local);
+          exports.push({ name, kind, loc });
+        }
+      });
+    },
+    ExportAllDeclaration(path) {
+      if (path.node.exported) {
+        exports.push({ name: path.node.exported.name, kind: 're-export', loc: getLocation(path.node), source: path.node.source.value, imported: '*' });
+      } else {
+        exportAll.push(path.node.source.value);
+      }
+    },
+    ExportDefaultDeclaration(path) {
+      const { declaration } = path.node;
+      const kind = declaration.type === 'Identifier'
+        ? getLocalExportKind(path.scope.getBinding(declaration.name), declaration.name)
+        : getDeclarationKind(declaration, declaration.id?.name);
+      exports.push({ name: 'default', kind, loc: getLocation(path.node) });
+    },
+  });
+
+  importBindings.forEach(([entry, binding]) => {
+    if (entry.imported === '*') {
+      const { members, whole } = countNamespaceUses(binding);
+      entry.members = members;
+      entry.uses = { call: 0, render: 0, value: whole };
+    } else {
+      entry.uses = countBindingUses(binding);
+    }
+    entry.uses.type = typeReferences.get(entry.local) || 0;
+  });
+
+  const unusedVariables = variableBindings
+    .filter(([name, binding, identifier]) => {
+      // 같은 이름을 다시 선언한 var는 첫 선언만 확인, _로 시작하는 이름은 의도적으로 버리는 값
+      if (!binding || binding.identifier !== identifier || name.startsWith('_')) return false;
+      if (binding.referencePaths.length > 0 || typeReferences.has(name)) return false;
+      // const { a, ...rest } = obj 의 a는 rest에서 빼려고 적은 것
+      const pattern = binding.path.get('id');
+      if (pattern.isObjectPattern() && pattern.node.properties.some(p => p.type === 'RestElement')) {
+        return !pattern.node.properties.some(p => p.type === 'ObjectProperty' && p.value === identifier);
+      }
+      return true;
+    })
+    .map(([name, , identifier]) => ({ name, loc: getLocation(identifier) }));
+
+  return { imports, exports, exportAll, unusedVariables, hasJsx };
+};
+
+/**
+ * 프로젝트 전체에서 쓰이지 않는 코드를 찾는다.
+ * - unusedExports: 어떤 파일도 import하지 않는 export (진입점 파일의 export는 제외)
+ * - unusedFunctions: 어디서도 호출·렌더링·참조하지 않는 함수 (컴포넌트 제외)
+ * - unrenderedComponents: JSX로 렌더링되지도, 값으로 전달되지도 않는 컴포넌트
+ * - unusedImports / unusedVariables: 파일 안에서 쓰이지 않는 import 바인딩과 지역 변수
+ *
+ * 동적 import()와 require()로 불러온 파일, 진입점 파일은 모든 export가 쓰이는 것으로 본다.
+ *
+ * @param {object[]} fileResults analyzeCode 결과 목록
+ * @param {object} [moduleGraph] buildModuleGraph 결과 (없으면 파일 사이 import를 해석하지 못함)
+ * @param {object} [options]
+ * @param {string[]} [options.entryPoints] 진입점 파일 패턴 (기본값: DEFAULT_ENTRY_POINTS)
+ * @returns {object | null} 사용 정보가 없는 이전 버전 결과면 null
+ */
+export const findDeadCode = (fileResults, moduleGraph = null, { entryPoints = DEFAULT_ENTRY_POINTS } = {}) => {
+  const validResults = fileResults.filter(r => !r.error);
+  if (validResults.some(r => !r.usage)) return null;
+
+  const resolved = moduleGraph?.resolved || {};
+  const usageByFile = new Map(validResults.map(r => [r.filename, r.usage]));
+  const resolveTarget = (file, source) => resolved[file]?.[source] ?? null;
+  const entryFiles = validResults
+    .map(r => r.filename)
+    .filter(filename => entryPoints.some(pattern => matchesEntryPoint(filename, pattern)));
+
+  // 쓰이는 export 이름 표시 ('*'는 전부). 다시 내보내기는 원래 파일로 따라간다
+  const usedExports = new Map();
+  const markExportUsed = (file, name) => {
+    const usage = usageByFile.get(file);
+    if (!usage) return;
+    if (!usedExports.has(file)) usedExports.set(file, new Set());
+    const used = usedExports.get(file);
+    if (used.has('*') || used.has(name)) return;
+    used.add(name);
+
+    const forward = (source, imported) => {
+      const target = resolveTarget(file, source);
+      if (target) markExportUsed(target, imported);
+    };
+    if (name === '*') {
+      usage.exports.filter(entry => entry.source).forEach(entry => forward(entry.source, entry.imported));
+      usage.exportAll.forEach(source => forward(source, '*'));
+      return;
+    }
+    const entry = usage.exports.find(e => e.name === name);
+    if (entry?.source) forward(entry.source, entry.imported);
+    else if (!entry && name !== 'default') usage.exportAll.forEach(source => forward(source, name));
+  };
+
+  // 함수별 사용 횟수: 파일 안 사용 + 다른 파일에서 import해 쓴 횟수
+  const resolveExport = createExportResolver(validResults, moduleGraph);
+  const functionUses = new Map();
+  validResults.forEach(r => (r.dependencyAnalysis?.functions || []).forEach(fn => {
+    functionUses.set(fn.id, { call: 0, render: 0, value: 0, ...fn.uses });
+  }));
+  const addFunctionUses = (file, name, uses) => {
+    const counts = functionUses.get(resolveExport(file, name));
+    if (!counts) return;
+    counts.call += uses.call || 0;
+    counts.render += uses.render || 0;
+    counts.value += uses.value || 0;
+  };
+  // 파일을 통째로 넘겨받으면 (진입점, import(), require, 네임스페이스 전달) export한 함수는 모두 값으로 쓰인 것
+  const markAllExportsUsed = (file) => {
+    markExportUsed(file, '*');
+    (usageByFile.get(file)?.exports || []).forEach(entry => addFunctionUses(file, entry.name, { value: 1 }));
+  };
+
+  entryFiles.forEach(markAllExportsUsed);
+  validResults.forEach(r => {
+    r.usage.imports.forEach(entry => {
+      const target = resolveTarget(r.filename, entry.source);
+      if (!target) return;
+      if (entry.imported !== '*') {
+        markExportUsed(target, entry.imported);
+        addFunctionUses(target, entry.imported, entry.uses);
+        return;
+      }
+      // 네임스페이스 import는 멤버로 꺼내 쓴 export만 사용으로 본다
+      Object.entries(entry.members || {}).forEach(([name, uses]) => {
+        markExportUsed(target, name);
+        addFunctionUses(target, name, uses);
+      });
+      if (entry.uses.value > 0) markAllExportsUsed(target);
+    });
+    // 스코프 분석에 실패한 파일(usage.incomplete)은 무엇을 쓰는지 알 수 없으므로 import한 파일을 통째로 쓴 것으로 본다
+    (r.imports || [])
+      .filter(entry => r.usage.incomplete || entry.kind === 'dynamic' || entry.kind === 'require')
+      .forEach(entry => {
+        const target = resolveTarget(r.filename, entry.source);
+        if (target) markAllExportsUsed(target);
+      });
+  });
+
+  const unusedExports = validResults
+    .filter(r => !entryFiles.includes(r.filename))
+    .flatMap(r => {
+      const used = usedExports.get(r.filename);
+      return r.usage.exports
+        .filter(entry => !used?.has('*') && !used?.has(entry.name))
+        .map(entry => ({ file: r.filename, name: entry.name, kind: entry.kind, loc: entry.loc }));
+    });
+
+  const unusedFunctions = [];
+  const unrenderedComponents = [];
+  validResults.forEach(r => (r.dependencyAnalysis?.functions || []).forEach(fn => {
+    const uses = functionUses.get(fn.id);
+    const item = { id: fn.id, file: r.filename, name: fn.name, type: fn.type, loc: fn.loc };
+    if (fn.type === 'component') {
+      if (uses.render + uses.value === 0) unrenderedComponents.push({ ...item, calls: uses.call });
+    } else if (sumUses(uses) === 0) {
+      unusedFunctions.push(item);
+    }
+  }));
+
+  const unusedImports = validResults.flatMap(r => r.usage.imports
+    // 예전 JSX 변환은 React를 암묵적으로 쓰므로 JSX가 있는 파일의 React import는 제외
+    .filter(entry => sumUses(entry.uses) === 0 && !(entry.local === 'React' && r.usage.hasJsx))
+    .filter(entry => entry.imported !== '*' || Object.keys(entry.members || {}).length === 0)
+    .map(entry => ({ file: r.filename, source: entry.source, imported: entry.imported, local: entry.local, loc: entry.loc })));
+
+  const unusedVariables = validResults.flatMap(r => r.usage.unusedVariables
+    .map(variable => ({ file: r.filename, ...variable })));
+
+  return {
+    entryPoints,
+    entryFiles,
+    unusedExports,
+    unusedFunctions,
+    unrenderedComponents,
+    unusedImports,
+    unusedVariables,
+  };
+};
@@ -0,0 +1,26 @@
+// ============================================
+// 분석 대상 파일 필터
+// ============================================
+
+export const SOURCE_FILE_PATTERN = /\.(js|jsx|ts|tsx)$/;
+
+const IGNORED_DIRECTORIES = ['node_modules', 'build', 'dist'];
+
+// node_modules, build, dist 폴더와 숨김 파일/폴더(.으로 시작)는 제외
+// 경로 구분자는 ZIP과 같은 '/' 기준 (Windows 경로는 호출하는 쪽에서 변환)
+export const isIgnoredPath = (path) => {
+  const segments = path.split('/');
+  const directories = segments.slice(0, -1);
+  if (segments.some(segment => segment.startsWith('.'))) return true;
+  if (directories.some(segment => IGNORED_DIRECTORIES.includes(segment))) return true;
+  return false;
+};
+
+export const shouldAnalyzePath = (path) =>
+  !isIgnoredPath(path) && SOURCE_FILE_PATTERN.test(path);
+
+// import 경로 별칭(compilerOptions.paths, baseUrl)을 읽어 올 설정 파일 (tsconfig.app.json 등 포함)
+const PATH_CONFIG_PATTERN = /(^|\/)(tsconfig|jsconfig)(\.[\w-]+)*\.json$/;
+
+export const isPathConfigFile = (path) =>
+  !isIgnoredPath(path) && PATH_CONFIG_PATTERN.test(path);
@@ -0,0 +1,214 @@
+// ============================================
+// Halstead 메트릭
+// AST에서 연산자(operator)와 피연산자(operand)를 세어 어휘, 길이, 볼륨, 난이도, 노력, 예상 버그 수를 계산
+// ============================================
+
+// 타입 정보는 실행되는 코드가 아니므로 세지 않음
+const TYPE_KEYS = new Set(['typeAnnotation', 'typeParameters', 'returnType', 'superTypeParameters', 'typeArguments']);
+const SKIPPED_KEYS = new Set(['loc', 'range', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+// 노드 자체가 나타내는 연산자 (키워드, 구두점)
+const STATIC_OPERATORS = {
+  ReturnStatement: 'return',
+  ThrowStatement: 'throw',
+  BreakStatement: 'break',
+  ContinueStatement: 'continue',
+  SwitchStatement: 'switch',
+  ForStatement: 'for',
+  ForInStatement: 'for...in',
+  ForOfStatement: 'for...of',
+  WhileStatement: 'while',
+  DoWhileStatement: 'do...while',
+  TryStatement: 'try',
+  CatchClause: 'catch',
+  ConditionalExpression: '?:',
+  NewExpression: 'new',
+  AwaitExpression: 'await',
+  YieldExpression: 'yield',
+  SequenceExpression: ',',
+  SpreadElement: '...',
+  RestElement: '...',
+  JSXSpreadAttribute: '...',
+  ArrowFunctionExpression: '=>',
+  FunctionDeclaration: 'function',
+  FunctionExpression: 'function',
+  ClassDeclaration: 'class',
+  ClassExpression: 'class',
+  ObjectExpression: '{}',
+  ObjectPattern: '{}',
+  ArrayExpression: '[]',
+  ArrayPattern: '[]',
+  AssignmentPattern: '=',
+  TemplateLiteral: '``',
+  TaggedTemplateExpression: 'tag``',
+  CallExpression: '()',
+  OptionalCallExpression: '?.()',
+  ImportDeclaration: 'import',
+  ExportNamedDeclaration: 'export',
+  ExportDefaultDeclaration: 'export default',
+  ExportAllDeclaration: 'export *',
+  JSXElement: '<>',
+  JSXFragment: '<></>',
+  JSXExpressionContainer: '{}',
+  JSXMemberExpression: '.',
+  TSAsExpression: 'as',
+  TSSatisfiesExpression: 'satisfies',
+  TSNonNullExpression: '!',
+};
+
+// 노드 속성에 따라 달라지는 연산자
+const getOperators = (node) => {
+  const operators = [];
+  const fixed = STATIC_OPERATORS[node.type];
+  if (fixed) operators.push(fixed);
+
+  switch (node.type) {
+    case 'BinaryExpression':
+    case 'LogicalExpression':
+    case 'AssignmentExpression':
+    case 'UnaryExpression':
+    case 'UpdateExpression':
+      operators.push(node.operator);
+      break;
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      operators.push(node.optional ? '?.' : node.computed ? '[]' : '.');
+      break;
+    case 'IfStatement':
+      operators.push('if');
+      if (node.alternate) operators.push('else');
+      break;
+    case 'SwitchCase':
+      operators.push(node.test ? 'case' : 'default');
+      break;
+    case 'VariableDeclaration':
+      operators.push(node.kind);
+      break;
+    case 'VariableDeclarator':
+      if (node.init) operators.push('=');
+      break;
+    case 'ObjectProperty':
+      if (!node.shorthand) operators.push(':');
+      break;
+    case 'ObjectMethod':
+    case 'ClassMethod':
+      operators.push(node.kind === 'get' || node.kind === 'set' ? node.kind : 'function');
+      break;
+    case 'JSXAttribute':
+      if (node.value) operators.push('=');
+      break;
+    default:
+      break;
+  }
+
+  if (node.async) operators.push('async');
+  if (node.generator) operators.push('*');
+  if (node.type === 'TryStatement' && node.finalizer) operators.push('finally');
+  if ((node.type === 'ClassDeclaration' || node.type === 'ClassExpression') && node.superClass) operators.push('extends');
+  return operators;
+};
+
+// 피연산자 (리터럴은 타입을 붙여 숫자 1과 문자열 '1'을 구분)
+const getOperand = (node) => {
+  switch (node.type) {
+    case 'Identifier':
+    case 'JSXIdentifier':
+      return node.name;
+    case 'PrivateName':
+      return `#${node.id.name}`;
+    case 'ThisExpression':
+      return 'this';
+    case 'Super':
+      return 'super';
+    case 'StringLiteral':
+      return `str:${node.value}`;
+    case 'NumericLiteral':
+    case 'BigIntLiteral':
+      return `num:${node.value}`;
+    case 'BooleanLiteral':
+      return String(node.value);
+    case 'NullLiteral':
+      return 'null';
+    case 'RegExpLiteral':
+      return `/${node.pattern}/${node.flags}`;
+    case 'TemplateElement':
+      return node.value.raw ? `str:${node.value.raw}` : null;
+    case 'JSXText':
+      return node.value.trim() ? `str:${node.value.trim()}` : null;
+    default:
+      return null;
+  }
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Halstead 메트릭을 계산한다.
+ *
+ * @param {object} node 보통 Babel Program 노드
+ * @returns {{ distinctOperators: number, distinctOperands: number, totalOperators: number, totalOperands: number,
+ *   vocabulary: number, length: number, volume: number, difficulty: number, effort: number, bugs: number }}
+ */
+export const calculateHalstead = (node) => {
+  const operators = new Map();
+  const operands = new Map();
+  const add = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  const walk = (current) => {
+    if (!current || typeof current !== 'object' || !current.type) return;
+    // 인터페이스, 타입 별칭 등 타입 선언 전체는 건너뜀
+    if (current.type.startsWith('TS') && !STATIC_OPERATORS[current.type]) return;
+
+    getOperators(current).forEach(op => add(operators, op));
+    const operand = getOperand(current);
+    if (operand != null) add(operands, operand);
+
+    for (const key in current) {
+      if (SKIPPED_KEYS.has(key) || TYPE_KEYS.has(key)) continue;
+      const child = current[key];
+      if (Array.isArray(child)) {
+        child.forEach(walk);
+      } else if (child && typeof child === 'object') {
+        walk(child);
+      }
+    }
+  };
+  walk(node);
+
+  const n1 = operators.size;
+  const n2 = operands.size;
+  const N1 = [...operators.values()].reduce((sum, count) => sum + count, 0);
+  const N2 = [...operands.values()].reduce((sum, count) => sum + count, 0);
+
+  const vocabulary = n1 + n2;
+  const length = N1 + N2;
+  const volume = vocabulary > 0 ? length * Math.log2(vocabulary) : 0;
+  const difficulty = n2 > 0 ? (n1 / 2) * (N2 / n2) : 0;
+  const effort = difficulty * volume;
+
+  return {
+    distinctOperators: n1,
+    distinctOperands: n2,
+    totalOperators: N1,
+    totalOperands: N2,
+    vocabulary,
+    length,
+    volume: round(volume),
+    difficulty: round(difficulty),
+    effort: round(effort),
+    bugs: round(volume / 3000, 3),
+  };
+};
+
+/**
+ * 유지보수 지수 (0 ~ 100, Visual Studio 방식으로 정규화)
+ * MI = max(0, (171 - 5.2 ln V - 0.23 CC - 16.2 ln LOC) × 100 / 171)
+ * LOC에는 주석과 빈 줄을 뺀 소스 줄 수(SLOC)를 넘긴다
+ */
+export const calculateMaintainabilityIndex = ({ volume, cyclomaticComplexity, loc }) => {
+  const raw = 171
+    - 5.2 * Math.log(Math.max(1, volume))
+    - 0.23 * cyclomaticComplexity
+    - 16.2 * Math.log(Math.max(1, loc));
+  return Math.round(Math.max(0, Math.min(100, (raw * 100) / 171)));
+};
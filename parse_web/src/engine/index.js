@@ -0,0 +1,146 @@
+// ============================================
+// 분석 엔진 공개 API
+// React/DOM에 의존하지 않으므로 브라우저, Web Worker, Node 스크립트 어디서나 사용 가능
+// ============================================
+
+import { analyzeCode } from './analyzeCode.js';
+import { calculateQualityScore, calculateAccessibilityScore } from './qualityScore.js';
+import { summarizeResults } from './summarize.js';
+import { DEFAULT_PROFILE } from './scoringProfiles.js';
+import { resolveRules, runProjectRules } from './rules/index.js';
+import { buildModuleGraph } from './moduleGraph.js';
+import { findDeadCode } from './deadCode.js';
+import { buildFunctionGraph } from './callGraph.js';
+
+export { analyzeCode, calculateQualityScore, calculateAccessibilityScore, summarizeResults };
+export { DEFAULT_PROFILE, PRESET_PROFILES, normalizeProfile, getPresetProfile } from './scoringProfiles.js';
+export { compareResults } from './compareResults.js';
+export { getLocation, formatLocation, formatLineRange } from './location.js';
+export { SOURCE_FILE_PATTERN, isIgnoredPath, shouldAnalyzePath, isPathConfigFile } from './fileFilter.js';
+export { buildModuleGraph, createModuleResolver, loadPathAliases } from './moduleGraph.js';
+export { findCycles } from './stronglyConnected.js';
+export { DEFAULT_ENTRY_POINTS, findDeadCode, matchesEntryPoint } from './deadCode.js';
+export { EDGE_KINDS, functionId, parseFunctionId, buildFunctionGraph } from './callGraph.js';
+export { hasLegacyFunctionIds, upgradeLegacyResults } from './legacyResults.js';
+export { BUILT_IN_RULES, SEVERITIES, ACCESSIBILITY_CATEGORY, resolveRules, validateRule } from './rules/index.js';
+
+const createAbortError = () => new DOMException('분석이 취소되었습니다.', 'AbortError');
+
+/**
+ * 파일 하나를 분석하고 품질 점수를 붙여 반환한다.
+ *
+ * @param {{ name: string, content: string }} file
+ * @param {object} [options]
+ * @param {object} [options.profile] 점수 계산 프로필 (기본값: DEFAULT_PROFILE)
+ * @param {object} [options.ruleConfig] 규칙 id별 'off' 또는 심각도
+ * @param {object[]} [options.customRules] 추가 린트 규칙
+ * @returns {object} analyzeCode 결과 + qualityScore, accessibilityScore(JSX가 없으면 null)
+ */
+export const analyzeFile = (file, options = {}) => {
+  const rules = resolveRules(options.ruleConfig, options.customRules);
+  const result = analyzeCode(file.content, file.name, { rules });
+  result.qualityScore = calculateQualityScore(result, options.profile);
+  result.accessibilityScore = calculateAccessibilityScore(result, options.profile);
+  return result;
+};
+
+// 기본 실행기: 현재 스레드에서 파일을 순서대로 분석
+const runSequentially = async (files, { onProgress, onFileStart, signal, analysisOptions } = {}) => {
+  const results = [];
+  for (let i = 0; i < files.length; i++) {
+    if (signal?.aborted) throw createAbortError();
+    onFileStart?.({ filename: files[i].name });
+    const result = analyzeFile(files[i], analysisOptions);
+    results.push(result);
+    onProgress?.({ completed: i + 1, total: files.length, filename: files[i].name, result });
+  }
+  return results;
+};
+
+/**
+ * 프로젝트 전체를 분석한다.
+ *
+ * @param {Array<{ name: string, content: string }>} files 분석할 소스 파일 목록
+ * @param {object} [options]
+ * @param {(info: { completed: number, total: number, filename: string, result: object }) => void} [options.onProgress]
+ *   파일 하나의 분석이 끝날 때마다 호출
+ * @param {(info: { filename: string }) => void} [options.onFileStart] 파일 분석을 시작할 때 호출
+ * @param {AbortSignal} [options.signal] 취소 시 AbortError로 reject
+ * @param {object} [options.profile] 점수 계산 프로필 (기본값: DEFAULT_PROFILE)
+ * @param {object} [options.ruleConfig] 규칙 id별 'off' 또는 심각도 (예: { 'security/no-eval': 'off' })
+ * @param {object[]} [options.customRules] 추가 린트 규칙. 함수를 담고 있어 Web Worker로는 넘길 수 없으므로
+ *   기본 실행기(현재 스레드)에서만 사용할 수 있다
+ * @param {Array<{ name: string, content: string }>} [options.configFiles] import 경로 별칭을 읽을
+ *   tsconfig.json / jsconfig.json (경로는 files와 같은 기준)
+ * @param {string[]} [options.entryPoints] 미사용 코드 탐지의 진입점 파일 패턴 (기본값: DEFAULT_ENTRY_POINTS)
+ * @param {(files, options) => Promise<object[]>} [options.executor]
+ *   파일별 분석을 실행하는 함수 (예: Web Worker 풀). 입력 순서대로 analyzeFile 결과를 돌려줘야 하며,
+ *   options.analysisOptions를 analyzeFile에 그대로 넘겨야 한다. 기본값은 현재 스레드에서 순차 실행
+ * @returns {Promise<{ files: object[], summary: object, moduleGraph: object, deadCode: object }>}
+ *   moduleGraph: 파일 단위 import 그래프 (buildModuleGraph 결과)
+ *   deadCode: 쓰이지 않는 export, 함수, 컴포넌트, import, 변수 (findDeadCode 결과)
+ */
+export const analyzeProject = async (files, options = {}) => {
+  const {
+    executor = runSequentially, onProgress, onFileStart, signal,
+    profile = DEFAULT_PROFILE, ruleConfig, customRules, configFiles = [], entryPoints,
+  } = options;
+  const analysisOptions = { profile, ruleConfig, customRules };
+
+  // 잘못된 규칙 설정은 파일마다 에러를 내기 전에 한 번에 알림
+  const rules = resolveRules(ruleConfig, customRules);
+
+  const analyzedFiles = await executor(files, { onProgress, onFileStart, signal, analysisOptions });
+  if (signal?.aborted) throw createAbortError();
+
+  const moduleGraph = buildModuleGraph(analyzedFiles, { configFiles });
+
+  // 프로젝트 규칙(순환 의존 등)의 이슈를 해당 파일에 더하고 그 파일의 점수를 다시 계산
+  const validFiles = analyzedFiles.filter(r => !r.error);
+  const projectIssues = runProjectRules(rules, {
+    files: validFiles,
+    moduleGraph,
+    functionGraph: buildFunctionGraph(validFiles, moduleGraph),
+  });
+  const fileResults = analyzedFiles.map(result => {
+    const extraIssues = projectIssues.get(result.filename);
+    if (!extraIssues || result.error) return result;
+    const withIssues = { ...result, issues: [...result.issues, ...extraIssues] };
+    return {
+      ...withIssues,
+      qualityScore: calculateQualityScore(withIssues, profile),
+      accessibilityScore: calculateAccessibilityScore(withIssues, profile),
+    };
+  });
+
+  return {
+    files: fileResults,
+    summary: summarizeResults(fileResults, profile, moduleGraph),
+    moduleGraph,
+    deadCode: findDeadCode(fileResults, moduleGraph, { entryPoints }),
+  };
+};
+
+/**
+ * 다시 파싱하지 않고 다른 프로필로 점수만 새로 계산한다.
+ * upgradeLegacyResults로 변환한 이전 결과는 파일별 함수 그래프가 이름 id 그대로이므로 변환한 요약의 의존 관계를 유지한다.
+ *
+ * @param {{ files: object[], summary: object }} results analyzeProject 결과
+ * @param {object} profile 점수 계산 프로필
+ * @returns {{ files: object[], summary: object }}
+ */
+export const rescoreProject = (results, profile) => {
+  const files = results.files.map(file => ({
+    ...file,
+    qualityScore: calculateQualityScore(file, profile),
+    accessibilityScore: calculateAccessibilityScore(file, profile),
+  }));
+  return {
+    ...results,
+    files,
+    summary: {
+      ...summarizeResults(files, profile, results.moduleGraph),
+      ...(results.summary.dependencyAnalysis?.unresolvedLegacyIds ? { dependencyAnalysis: results.summary.dependencyAnalysis } : {}),
+    },
+  };
+};
@@ -0,0 +1,70 @@
+// ============================================
+// 이전 버전 결과 변환
+// 함수 그래프 노드 id가 이름만 있던 결과(리포트 버전 1)를 '파일#이름' 형식으로 바꾼다
+// ============================================
+
+import { functionId, parseFunctionId } from './callGraph.js';
+
+// 요약의 dependencyAnalysis에 functions 배열이 없으면 노드 id가 이름만 있는 이전 형식
+export const hasLegacyFunctionIds = (results) => {
+  const analysis = results?.summary?.dependencyAnalysis;
+  return Boolean(analysis) && !Array.isArray(analysis.functions);
+};
+
+/**
+ * 이전 형식 결과의 함수 그래프 id를 파일별 결과의 allFunctions로 찾아 '파일#이름'으로 바꾼다.
+ * 여러 파일에 같은 이름이 있거나 정의한 파일을 찾지 못한 이름은 그대로 두고
+ * dependencyAnalysis.unresolvedLegacyIds에 기록한다 (compareResults는 이때 의존 관계를 비교하지 않음).
+ * 현재 형식이면 그대로 돌려준다.
+ *
+ * @param {{ files: object[], summary: object }} results
+ * @returns {{ files: object[], summary: object }}
+ */
+export const upgradeLegacyResults = (results) => {
+  if (!hasLegacyFunctionIds(results)) return results;
+
+  const filesByName = new Map();
+  results.files.filter(file => !file.error).forEach(file => {
+    const { allFunctions = [], components = [] } = file.dependencyAnalysis || {};
+    new Set([...allFunctions, ...components]).forEach(name => {
+      if (!filesByName.has(name)) filesByName.set(name, []);
+      filesByName.get(name).push(file.filename);
+    });
+  });
+
+  const toId = (name) => {
+    const files = filesByName.get(name);
+    return files?.length === 1 ? functionId(files[0], name) : name;
+  };
+
+  // 이전 버전은 대문자로 시작하는 JSX 요소 사용과 함수 호출만 엣지로 만들었고 종류를 기록하지 않았음
+  const inferKind = (dep) => dep.kind ?? (dep.toType === 'component' || /^[A-Z]/.test(dep.to) ? 'render' : 'call');
+
+  const analysis = results.summary.dependencyAnalysis;
+  const dependencies = (analysis.dependencies || []).map(dep => ({
+    ...dep,
+    from: toId(dep.from),
+    to: toId(dep.to),
+    kind: inferKind(dep),
+  }));
+  const allFunctions = [...new Set([
+    ...(analysis.allFunctions || []).map(toId),
+    ...dependencies.flatMap(dep => [dep.from, dep.to]),
+  ])];
+  const functionTypes = Object.fromEntries(Object.entries(analysis.functionTypes || {}).map(([name, type]) => [toId(name), type]));
+
+  return {
+    ...results,
+    summary: {
+      ...results.summary,
+      dependencyAnalysis: {
+        ...analysis,
+        allFunctions,
+        functions: allFunctions.map(id => ({ id, ...parseFunctionId(id), type: functionTypes[id] || 'helper', loc: null })),
+        dependencies,
+        functionTypes,
+        unresolvedLegacyIds: allFunctions.filter(id => !id.includes('#')),
+      },
+    },
+  };
+};
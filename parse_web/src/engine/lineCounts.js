@@ -0,0 +1,48 @@
+// ============================================
+// 줄 수 분류: 물리적 줄, 소스(SLOC), 주석, 빈 줄
+// 파서가 돌려준 토큰과 주석의 위치로 각 줄을 분류한다
+// ============================================
+
+const isCommentToken = (token) => token.type === 'CommentLine' || token.type === 'CommentBlock';
+
+/**
+ * 각 줄을 소스/주석/빈 줄로 나눈다. 코드와 주석이 함께 있는 줄은 소스로 센다.
+ * 여러 줄에 걸친 토큰(템플릿 문자열, JSX 텍스트)은 공백이 아닌 줄만 소스로 센다.
+ *
+ * @param {string} code
+ * @param {object} ast tokens: true로 파싱한 Babel File 노드
+ * @returns {{ physical: number, source: number, comment: number, blank: number, commentDensity: number }}
+ *   commentDensity = 주석 줄 / (소스 줄 + 주석 줄) × 100 (소수점 첫째 자리)
+ */
+export const countLines = (code, ast) => {
+  const lines = code.split(/\r?\n/);
+  const isBlank = (line) => lines[line - 1] === undefined || lines[line - 1].trim() === '';
+
+  const sourceLines = new Set();
+  (ast.tokens || []).forEach(token => {
+    if (isCommentToken(token) || token.type?.label === 'eof') return;
+    for (let line = token.loc.start.line; line <= token.loc.end.line; line++) {
+      if (!isBlank(line)) sourceLines.add(line);
+    }
+  });
+
+  const commentLines = new Set();
+  (ast.comments || []).forEach(comment => {
+    for (let line = comment.loc.start.line; line <= comment.loc.end.line; line++) {
+      if (!isBlank(line) && !sourceLines.has(line)) commentLines.add(line);
+    }
+  });
+
+  const physical = lines.length;
+  const source = sourceLines.size;
+  const comment = commentLines.size;
+  const counted = source + comment;
+
+  return {
+    physical,
+    source,
+    comment,
+    blank: physical - counted,
+    commentDensity: counted > 0 ? Number(((comment / counted) * 100).toFixed(1)) : 0,
+  };
+};
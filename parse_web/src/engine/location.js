@@ -0,0 +1,30 @@
+// ============================================
+// 소스 위치 (줄/열 범위)
+// ============================================
+
+// Babel loc(줄 1부터, 열 0부터)를 에디터와 같은 1부터 시작하는 줄/열 범위로 변환
+export const getLocation = (node) => {
+  if (!node?.loc) return null;
+  return {
+    start: { line: node.loc.start.line, column: node.loc.start.column + 1 },
+    end: { line: node.loc.end.line, column: node.loc.end.column + 1 },
+  };
+};
+
+// 'L12:5-40' (같은 줄) 또는 'L12:5-L14:2' 형식
+export const formatLocation = (loc) => {
+  if (!loc) return '';
+  const { start, end } = loc;
+  if (!end || (start.line === end.line && start.column === end.column)) {
+    return `L${start.line}:${start.column}`;
+  }
+  if (start.line === end.line) return `L${start.line}:${start.column}-${end.column}`;
+  return `L${start.line}:${start.column}-L${end.line}:${end.column}`;
+};
+
+// 'L20' 또는 'L20-35' 형식 (줄 범위만)
+export const formatLineRange = (loc) => {
+  if (!loc) return '';
+  const { start, end } = loc;
+  return !end || start.line === end.line ? `L${start.line}` : `L${start.line}-${end.line}`;
+};
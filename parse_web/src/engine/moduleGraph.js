@@ -0,0 +1,305 @@
+// ============================================
+// 파일 단위 모듈 의존성 그래프
+// import 경로를 업로드된 파일로 해석 (상대 경로, index 파일, 확장자 생략, tsconfig/jsconfig paths)
+// ============================================
+
+import { SOURCE_FILE_PATTERN } from './fileFilter.js';
+import { findCycles } from './stronglyConnected.js';
+
+// 확장자를 생략한 import에 차례로 붙여 볼 확장자
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+// TypeScript ESM 관례: './Foo.js'로 적고 실제 파일은 Foo.ts/Foo.tsx
+const TS_EXTENSION_ALIASES = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'] };
+
+// 스크립트가 아닌 확장자로 끝나는 import (CSS, 이미지, JSON 등)는 분석 대상이 아니므로 해석하지 않음
+const ASSET_PATTERN = /\.(?!(?:js|jsx|ts|tsx|mjs|cjs)$)[a-z0-9]+$/i;
+
+const dirname = (path) => {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+};
+
+// '/' 구분 경로를 이어 붙이고 '.', '..'를 정리 (루트 밖으로 나가는 '..'는 그대로 남겨 어떤 파일과도 맞지 않게 함)
+const joinPath = (...parts) => {
+  const segments = [];
+  parts.join('/').split('/').forEach(segment => {
+    if (segment === '' || segment === '.') return;
+    if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+};
+
+// 'lodash/fp' → 'lodash', '@scope/pkg/sub' → '@scope/pkg'
+const getPackageName = (source) => {
+  const segments = source.split('/');
+  return source.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+};
+
+const isRelative = (source) => source === '.' || source === '..' || source.startsWith('./') || source.startsWith('../');
+
+// tsconfig는 주석과 끝 쉼표를 허용하므로 JSON.parse 전에 걷어낸다
+const parseJsonWithComments = (text) => {
+  let output = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      output += char;
+      if (char === '\\') output += text[++i] ?? '';
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+};
+
+/**
+ * tsconfig/jsconfig 파일들에서 경로 별칭 범위를 만든다.
+ * extends가 업로드된 다른 설정 파일을 가리키면 그 compilerOptions를 먼저 적용한다.
+ * 읽을 수 없는 설정 파일은 errors에 담고 건너뛴다.
+ *
+ * @param {Array<{ name: string, content: string }>} configFiles
+ * @returns {{ scopes: object[], errors: Array<{ file: string, message: string }> }}
+ *   scopes: 설정 파일 폴더가 깊은 순, 같은 폴더면 파일 이름 순 (업로드 순서와 무관).
+ *   { config, directory, baseDir, hasBaseUrl, paths: [{ pattern, prefix, suffix, targets }] }
+ */
+export const loadPathAliases = (configFiles = []) => {
+  const errors = [];
+  const parsed = new Map();
+  configFiles.forEach(file => {
+    try {
+      parsed.set(file.name, parseJsonWithComments(file.content));
+    } catch (error) {
+      errors.push({ file: file.name, message: error.message });
+    }
+  });
+
+  // extends 체인을 따라 compilerOptions를 합친다. baseUrl/paths는 정의한 설정 파일 기준 경로이므로 함께 기록
+  const resolveCompilerOptions = (name, visited = new Set()) => {
+    const config = parsed.get(name);
+    if (!config || visited.has(name)) return {};
+    visited.add(name);
+
+    let inherited = {};
+    const extendsList = [config.extends].flat().filter(value => typeof value === 'string');
+    extendsList.forEach(target => {
+      if (!isRelative(target)) return;
+      const basePath = joinPath(dirname(name), target);
+      const candidate = [basePath, `${basePath}.json`].find(path => parsed.has(path));
+      if (candidate) inherited = { ...inherited, ...resolveCompilerOptions(candidate, visited) };
+    });
+
+    const own = config.compilerOptions || {};
+    const resolved = { ...inherited };
+    if (typeof own.baseUrl === 'string') {
+      resolved.baseUrl = { value: own.baseUrl, directory: dirname(name) };
+    }
+    if (own.paths && typeof own.paths === 'object') {
+      resolved.paths = { value: own.paths, directory: dirname(name) };
+    }
+    return resolved;
+  };
+
+  const scopes = [...parsed.keys()].map(name => {
+    const { baseUrl, paths } = resolveCompilerOptions(name);
+    // paths 대상은 baseUrl 기준, baseUrl이 없으면 paths를 정의한 설정 파일 폴더 기준
+    const baseDir = baseUrl
+      ? joinPath(baseUrl.directory, baseUrl.value)
+      : (paths?.directory ?? dirname(name));
+
+    const patterns = Object.entries(paths?.value || {})
+      .filter(([, targets]) => Array.isArray(targets))
+      .map(([pattern, targets]) => {
+        const starIndex = pattern.indexOf('*');
+        return {
+          pattern,
+          prefix: starIndex === -1 ? pattern : pattern.slice(0, starIndex),
+          suffix: starIndex === -1 ? '' : pattern.slice(starIndex + 1),
+          wildcard: starIndex !== -1,
+          targets: targets.filter(target => typeof target === 'string'),
+        };
+      })
+      // TypeScript와 같이 접두어가 가장 긴 패턴을 우선
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+
+    return { config: name, directory: dirname(name), baseDir, hasBaseUrl: Boolean(baseUrl), paths: patterns };
+  });
+
+  scopes.sort((a, b) => b.directory.length - a.directory.length || a.config.localeCompare(b.config));
+  return { scopes, errors };
+};
+
+// 파일에 적용되는 설정 파일 범위 전부 (가까운 폴더 순, 루트 설정은 directory가 '').
+// Vite TS 템플릿처럼 tsconfig.json에는 references만 있고 tsconfig.app.json에 paths가 있을 수 있으므로
+// 첫 범위에서 멈추지 않는다
+const findScopes = (scopes, filename) => scopes.filter(scope =>
+  scope.directory === '' || filename.startsWith(`${scope.directory}/`));
+
+const matchPathPattern = (entry, source) => {
+  if (!entry.wildcard) return source === entry.pattern ? '' : null;
+  if (!source.startsWith(entry.prefix) || !source.endsWith(entry.suffix)) return null;
+  if (source.length < entry.prefix.length + entry.suffix.length) return null;
+  return source.slice(entry.prefix.length, source.length - entry.suffix.length);
+};
+
+/**
+ * 업로드된 파일 목록을 기준으로 import 경로 해석기를 만든다.
+ *
+ * @param {string[]} filenames 분석한 소스 파일 경로
+ * @param {object[]} [scopes] loadPathAliases 결과의 scopes
+ * @returns {(source: string, fromFile: string) => { type: 'internal' | 'external' | 'asset' | 'unresolved', target?: string, packageName?: string }}
+ */
+export const createModuleResolver = (filenames, scopes = []) => {
+  const fileSet = new Set(filenames);
+
+  // 확장자 추론 → TS 확장자 별칭 → 폴더의 index 파일 순으로 시도
+  const tryFile = (path) => {
+    if (SOURCE_FILE_PATTERN.test(path) && fileSet.has(path)) return path;
+    const extension = path.match(/\.(js|jsx)$/)?.[0];
+    if (extension) {
+      const stem = path.slice(0, -extension.length);
+      const aliased = TS_EXTENSION_ALIASES[extension].map(ext => stem + ext).find(p => fileSet.has(p));
+      if (aliased) return aliased;
+    }
+    return RESOLVE_EXTENSIONS.map(ext => path + ext).find(p => fileSet.has(p))
+      || RESOLVE_EXTENSIONS.map(ext => `${path}/index${ext}`).find(p => fileSet.has(p))
+      || null;
+  };
+
+  const resolved = (target) => (target ? { type: 'internal', target } : null);
+
+  return (source, fromFile) => {
+    if (isRelative(source)) {
+      return resolved(tryFile(joinPath(dirname(fromFile), source)))
+        || { type: ASSET_PATTERN.test(source) ? 'asset' : 'unresolved' };
+    }
+
+    const applicable = findScopes(scopes, fromFile);
+    let aliasMatched = false;
+    for (const scope of applicable) {
+      const entry = scope.paths.find(candidate => matchPathPattern(candidate, source) !== null);
+      if (!entry) continue;
+      const captured = matchPathPattern(entry, source);
+      const target = entry.targets
+        .map(pattern => tryFile(joinPath(scope.baseDir, pattern.replace('*', captured))))
+        .find(Boolean);
+      if (target) return resolved(target);
+      if (ASSET_PATTERN.test(source)) return { type: 'asset' };
+      // '*' 같은 전체 일치 패턴은 패키지 import도 잡으므로 접두어가 있는 별칭만 기억한다
+      if (entry.prefix) aliasMatched = true;
+    }
+    // '@/...'처럼 접두어가 있는 별칭과 일치했는데 어느 범위에서도 파일이 없으면 해석 실패
+    if (aliasMatched) return { type: 'unresolved' };
+    for (const scope of applicable.filter(candidate => candidate.hasBaseUrl)) {
+      const target = tryFile(joinPath(scope.baseDir, source));
+      if (target) return resolved(target);
+    }
+
+    if (source.startsWith('/')) return { type: ASSET_PATTERN.test(source) ? 'asset' : 'unresolved' };
+    return { type: 'external', packageName: getPackageName(source) };
+  };
+};
+
+/**
+ * 파일별 분석 결과의 imports로 모듈 의존성 그래프를 만든다.
+ *
+ * @param {object[]} fileResults analyzeFile 결과 목록 (filename, imports)
+ * @param {object} [options]
+ * @param {Array<{ name: string, content: string }>} [options.configFiles] tsconfig.json / jsconfig.json
+ * @returns {{
+ *   nodes: Array<{ id: string, directory: string, imports: number, importedBy: number, inCycle: boolean, error: boolean }>,
+ *   edges: Array<{ from: string, to: string, sources: string[], kinds: string[], typeOnly: boolean }>,
+ *   resolved: Object<string, Object<string, string>>,
+ *   externalPackages: Array<{ name: string, importers: number }>,
+ *   unresolved: Array<{ from: string, source: string }>,
+ *   cycles: Array<{ members: string[], path: string[] }>,
+ *   configFiles: string[],
+ *   configErrors: Array<{ file: string, message: string }>,
+ * }}
+ */
+export const buildModuleGraph = (fileResults, { configFiles = [] } = {}) => {
+  const { scopes, errors } = loadPathAliases(configFiles);
+  const filenames = fileResults.map(file => file.filename);
+  const resolve = createModuleResolver(filenames, scopes);
+
+  const edgeMap = new Map();
+  const resolvedImports = {};
+  const externalImporters = new Map();
+  const unresolved = [];
+
+  fileResults.forEach(file => {
+    resolvedImports[file.filename] = {};
+    (file.imports || []).forEach(({ source, kind: statementKind = 'import', importKind, exportKind }) => {
+      if (typeof source !== 'string') return;
+      // import type / export type ... from은 'type' 종류로 기록 (resolved에는 남겨 미사용 코드 탐지가 타입 사용을 셈)
+      const kind = importKind === 'type' || exportKind === 'type' ? 'type' : statementKind;
+      const resolution = resolve(source, file.filename);
+
+      if (resolution.type === 'internal') {
+        resolvedImports[file.filename][source] = resolution.target;
+        const key = `${file.filename}->${resolution.target}`;
+        if (!edgeMap.has(key)) {
+          edgeMap.set(key, { from: file.filename, to: resolution.target, sources: [], kinds: [] });
+        }
+        const edge = edgeMap.get(key);
+        if (!edge.sources.includes(source)) edge.sources.push(source);
+        if (!edge.kinds.includes(kind)) edge.kinds.push(kind);
+      } else if (resolution.type === 'external') {
+        if (!externalImporters.has(resolution.packageName)) externalImporters.set(resolution.packageName, new Set());
+        externalImporters.get(resolution.packageName).add(file.filename);
+      } else if (resolution.type === 'unresolved') {
+        unresolved.push({ from: file.filename, source });
+      }
+    });
+  });
+
+  // 타입만 주고받는 엣지는 그래프에는 그리되 런타임 순환(초기화 순서 문제)에서는 뺀다
+  const edges = [...edgeMap.values()].map(edge => ({ ...edge, typeOnly: edge.kinds.every(kind => kind === 'type') }));
+  const cycles = findCycles(filenames, edges.filter(edge => !edge.typeOnly));
+  const cycleMembers = new Set(cycles.flatMap(cycle => cycle.members));
+
+  const outDegree = new Map();
+  const inDegree = new Map();
+  edges.forEach(({ from, to }) => {
+    outDegree.set(from, (outDegree.get(from) || 0) + 1);
+    inDegree.set(to, (inDegree.get(to) || 0) + 1);
+  });
+
+  const nodes = fileResults.map(file => ({
+    id: file.filename,
+    directory: dirname(file.filename),
+    imports: outDegree.get(file.filename) || 0,
+    importedBy: inDegree.get(file.filename) || 0,
+    inCycle: cycleMembers.has(file.filename),
+    error: Boolean(file.error),
+  }));
+
+  return {
+    nodes,
+    edges,
+    resolved: resolvedImports,
+    externalPackages: [...externalImporters.entries()]
+      .map(([name, importers]) => ({ name, importers: importers.size }))
+      .sort((a, b) => b.importers - a.importers || a.name.localeCompare(b.name)),
+    unresolved,
+    cycles,
+    configFiles: configFiles.map(file => file.name),
+    configErrors: errors,
+  };
+};
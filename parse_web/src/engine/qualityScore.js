@@ -0,0 +1,42 @@
+import { DEFAULT_PROFILE } from './scoringProfiles.js';
+import { ACCESSIBILITY_CATEGORY } from './rules/index.js';
+
+const weighted = (value, { weight, max }) => Math.min(max, value * weight);
+
+export const calculateQualityScore = (analysis, profile = DEFAULT_PROFILE) => {
+  if (analysis.error) return 0;
+  
+  const { penalties, bonuses } = profile;
+  let score = profile.baseScore;
+  score -= weighted(analysis.metrics.cyclomaticComplexity, penalties.cyclomaticComplexity);
+  // 인지 복잡도가 없는 이전 버전 리포트는 0으로 취급
+  score -= weighted(analysis.metrics.cognitiveComplexity ?? 0, penalties.cognitiveComplexity);
+  score -= weighted(analysis.complexity.depth, penalties.nestingDepth);
+  // 접근성 이슈는 calculateAccessibilityScore에서 따로 반영
+  analysis.issues.filter(issue => issue.type !== ACCESSIBILITY_CATEGORY).forEach(issue => {
+    score -= penalties.issues[issue.severity] ?? penalties.issues.high;
+  });
+  // 파일 크기는 주석과 빈 줄을 뺀 SLOC 기준 (줄 분류가 없는 이전 버전 리포트는 물리적 줄 수)
+  const sourceLines = analysis.lines?.source ?? analysis.loc;
+  penalties.fileSize.forEach(({ over, penalty }) => {
+    if (sourceLines > over) score -= penalty;
+  });
+  if (analysis.hooks.length > 0 && analysis.components.length > 0) {
+    score += bonuses.hooksInComponents;
+  }
+  
+  return Math.max(0, Math.min(100, Math.round(score)));
+};
+
+// JSX가 없는 파일은 접근성을 평가할 수 없으므로 null
+export const calculateAccessibilityScore = (analysis, profile = DEFAULT_PROFILE) => {
+  if (analysis.error || !analysis.jsxElementCount) return null;
+
+  const penalties = profile.penalties.accessibility ?? DEFAULT_PROFILE.penalties.accessibility;
+  let score = 100;
+  analysis.issues.filter(issue => issue.type === ACCESSIBILITY_CATEGORY).forEach(issue => {
+    score -= penalties[issue.severity] ?? penalties.high;
+  });
+
+  return Math.max(0, Math.round(score));
+};
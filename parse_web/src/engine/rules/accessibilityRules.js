@@ -0,0 +1,187 @@
+// ============================================
+// 접근성(a11y) 규칙
+// 이 category의 이슈는 품질 점수 대신 별도의 접근성 점수에 반영된다
+// ============================================
+
+import { walkAst } from './reactUtils.js';
+
+export const ACCESSIBILITY_CATEGORY = 'a11y';
+
+// WAI-ARIA 1.2 속성
+const ARIA_ATTRIBUTES = new Set([
+  'aria-activedescendant', 'aria-atomic', 'aria-autocomplete', 'aria-braillelabel', 'aria-brailleroledescription',
+  'aria-busy', 'aria-checked', 'aria-colcount', 'aria-colindex', 'aria-colindextext', 'aria-colspan',
+  'aria-controls', 'aria-current', 'aria-describedby', 'aria-description', 'aria-details', 'aria-disabled',
+  'aria-dropeffect', 'aria-errormessage', 'aria-expanded', 'aria-flowto', 'aria-grabbed', 'aria-haspopup',
+  'aria-hidden', 'aria-invalid', 'aria-keyshortcuts', 'aria-label', 'aria-labelledby', 'aria-level',
+  'aria-live', 'aria-modal', 'aria-multiline', 'aria-multiselectable', 'aria-orientation', 'aria-owns',
+  'aria-placeholder', 'aria-posinset', 'aria-pressed', 'aria-readonly', 'aria-relevant', 'aria-required',
+  'aria-roledescription', 'aria-rowcount', 'aria-rowindex', 'aria-rowindextext', 'aria-rowspan',
+  'aria-selected', 'aria-setsize', 'aria-sort', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow',
+  'aria-valuetext',
+]);
+
+const KEYBOARD_HANDLERS = ['onKeyDown', 'onKeyUp', 'onKeyPress'];
+const FORM_CONTROLS = new Set(['input', 'select', 'textarea']);
+// 레이블이 필요 없는 input 타입 (값이나 버튼 텍스트가 이름 역할)
+const UNLABELED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+
+// <div>처럼 소문자로 시작하는 DOM 요소의 이름
+const getDomElementName = (openingElement) => {
+  const name = openingElement.name?.type === 'JSXIdentifier' ? openingElement.name.name : null;
+  return name && /^[a-z]/.test(name) ? name : null;
+};
+
+const getAttribute = (openingElement, name) => openingElement.attributes.find(
+  attr => attr.type === 'JSXAttribute' && attr.name?.name === name
+);
+
+const hasSpread = (openingElement) => openingElement.attributes.some(attr => attr.type === 'JSXSpreadAttribute');
+
+// 정적 문자열 값 (값이 식이면 undefined, 값 없는 속성이면 '')
+const getStaticValue = (attribute) => {
+  const value = attribute?.value;
+  if (!value) return '';
+  if (value.type === 'StringLiteral') return value.value;
+  if (value.type === 'JSXExpressionContainer' && value.expression.type === 'StringLiteral') {
+    return value.expression.value;
+  }
+  return undefined;
+};
+
+// 파일 안의 <label htmlFor="..."> 대상 id
+const collectLabelTargets = (program) => {
+  const ids = new Set();
+  let hasDynamic = false;
+  walkAst(program, (node) => {
+    if (node.type !== 'JSXOpeningElement' || getDomElementName(node) !== 'label') return true;
+    const htmlFor = getAttribute(node, 'htmlFor');
+    if (!htmlFor) return true;
+    const value = getStaticValue(htmlFor);
+    if (value === undefined) hasDynamic = true;
+    else ids.add(value);
+    return true;
+  });
+  return { ids, hasDynamic };
+};
+
+const isInsideLabel = (ancestors) => ancestors.some(
+  node => node.type === 'JSXElement' && getDomElementName(node.openingElement) === 'label'
+);
+
+export const ACCESSIBILITY_RULES = [
+  {
+    id: 'a11y/alt-text',
+    category: ACCESSIBILITY_CATEGORY,
+    severity: 'high',
+    message: '<img>에 alt 없음 - 스크린 리더가 이미지를 설명할 수 없음 (장식용이면 alt="")',
+    visitor: {
+      JSXOpeningElement: (node, context) => {
+        if (getDomElementName(node) !== 'img' || hasSpread(node)) return;
+        if (!getAttribute(node, 'alt') && getStaticValue(getAttribute(node, 'role')) !== 'presentation') {
+          context.report(node);
+        }
+      },
+    },
+  },
+  {
+    id: 'a11y/click-events-have-key-events',
+    category: ACCESSIBILITY_CATEGORY,
+    severity: 'medium',
+    message: '클릭 가능한 요소에 role 또는 키보드 핸들러 없음',
+    visitor: {
+      JSXOpeningElement: (node, context) => {
+        const name = getDomElementName(node);
+        if ((name !== 'div' && name !== 'span') || !getAttribute(node, 'onClick') || hasSpread(node)) return;
+
+        const missing = [];
+        if (!getAttribute(node, 'role')) missing.push('role');
+        if (!KEYBOARD_HANDLERS.some(handler => getAttribute(node, handler))) missing.push('키보드 핸들러(onKeyDown 등)');
+        if (missing.length > 0) {
+          context.report(node, {
+            message: `onClick이 있는 <${name}>에 ${missing.join(', ')} 없음 - 키보드·스크린 리더로 사용할 수 없음 (<button> 권장)`,
+          });
+        }
+      },
+    },
+  },
+  {
+    id: 'a11y/label-has-associated-control',
+    category: ACCESSIBILITY_CATEGORY,
+    severity: 'medium',
+    message: '폼 입력 요소에 레이블 없음',
+    visitor: {
+      Program: (node, context) => {
+        context.state.labels = collectLabelTargets(node);
+      },
+      JSXOpeningElement: (node, context) => {
+        const name = getDomElementName(node);
+        if (!FORM_CONTROLS.has(name) || hasSpread(node)) return;
+        if (name === 'input' && UNLABELED_INPUT_TYPES.has(getStaticValue(getAttribute(node, 'type')))) return;
+        if (['aria-label', 'aria-labelledby', 'title'].some(attr => getAttribute(node, attr))) return;
+        if (isInsideLabel(context.ancestors)) return;
+
+        const idAttribute = getAttribute(node, 'id');
+        const { ids, hasDynamic } = context.state.labels;
+        if (idAttribute) {
+          const id = getStaticValue(idAttribute);
+          if (id === undefined ? hasDynamic || ids.size > 0 : ids.has(id) || hasDynamic) return;
+        }
+        context.report(node, {
+          message: `<${name}>에 연결된 레이블 없음 - <label htmlFor>, <label>로 감싸기 또는 aria-label 사용`,
+        });
+      },
+    },
+  },
+  {
+    id: 'a11y/anchor-has-href',
+    category: ACCESSIBILITY_CATEGORY,
+    severity: 'medium',
+    message: '<a>에 href 없음 - 키보드로 이동할 수 없음 (동작이면 <button> 사용)',
+    visitor: {
+      JSXOpeningElement: (node, context) => {
+        if (getDomElementName(node) !== 'a' || hasSpread(node)) return;
+        const href = getAttribute(node, 'href');
+        if (!href) {
+          context.report(node);
+        } else if (getStaticValue(href) === '#') {
+          context.report(node, { message: '<a href="#"> - 이동할 곳이 없는 링크 (동작이면 <button> 사용)' });
+        }
+      },
+    },
+  },
+  {
+    id: 'a11y/heading-order',
+    category: ACCESSIBILITY_CATEGORY,
+    severity: 'low',
+    message: '제목 단계 건너뜀',
+    visitor: {
+      JSXOpeningElement: (node, context) => {
+        const match = /^h([1-6])$/.exec(getDomElementName(node) || '');
+        if (!match) return;
+        const level = Number(match[1]);
+        const previous = context.state.previousLevel;
+        if (previous && level > previous + 1) {
+          context.report(node, {
+            message: `<h${previous}> 다음에 <h${level}> - 제목 단계를 건너뛰면 스크린 리더의 문서 구조 탐색이 어려움`,
+          });
+        }
+        context.state.previousLevel = level;
+      },
+    },
+  },
+  {
+    id: 'a11y/aria-props',
+    category: ACCESSIBILITY_CATEGORY,
+    severity: 'medium',
+    message: '존재하지 않는 aria-* 속성',
+    visitor: {
+      JSXAttribute: (node, context) => {
+        const name = node.name?.type === 'JSXIdentifier' ? node.name.name : null;
+        if (name?.startsWith('aria-') && !ARIA_ATTRIBUTES.has(name)) {
+          context.report(node, { message: `존재하지 않는 ARIA 속성 ${name} - 보조 기술이 무시함` });
+        }
+      },
+    },
+  },
+];
@@ -0,0 +1,73 @@
+// ============================================
+// 구조(architecture) 규칙
+// 파일 하나가 아니라 모듈 그래프와 함수 그래프 전체를 보는 프로젝트 규칙
+// ============================================
+
+import { parseFunctionId } from '../callGraph.js';
+import { findCycles } from '../stronglyConnected.js';
+
+// 순환 경로의 첫 파일에서 다음 파일을 가져오는 import 문의 위치
+const findImportLocation = (file, target, { files, moduleGraph }) => {
+  const result = files.find(r => r.filename === file);
+  const resolved = moduleGraph.resolved?.[file] || {};
+  return result?.imports?.find(entry => resolved[entry.source] === target
+    && entry.importKind !== 'type' && entry.exportKind !== 'type')?.loc ?? null;
+};
+
+// 같은 파일의 함수는 이름만, 다른 파일의 함수는 파일도 함께 표시
+const formatFunctionStep = (id, baseFile) => {
+  const { file, name } = parseFunctionId(id);
+  return file && file !== baseFile ? `${name} (${file})` : name;
+};
+
+// 한 파일 안에서 서로를 호출하기만 하는 순환(walk → walkChildren → walk)은 설계 문제가 아니라 상호 재귀
+const isLocalRecursion = (members, edges) => {
+  const memberSet = new Set(members);
+  const files = new Set(members.map(id => parseFunctionId(id).file));
+  return files.size === 1 && edges
+    .filter(edge => memberSet.has(edge.from) && memberSet.has(edge.to))
+    .every(edge => edge.kind === 'call');
+};
+
+/**
+ * 점수에 반영할 함수 순환. 값으로만 넘기는 reference 엣지(리스너 등록·해제, items.map(fn))는 빼고 순환을 다시 찾고,
+ * 같은 파일 안의 상호 재귀는 제외한다. 재귀 호출은 처음부터 엣지가 아니다.
+ */
+const findReportedFunctionCycles = ({ functions, dependencies }) => {
+  const edges = dependencies.filter(edge => edge.kind !== 'reference');
+  return findCycles(functions.map(fn => fn.id), edges).filter(({ members }) => !isLocalRecursion(members, edges));
+};
+
+export const ARCHITECTURE_RULES = [
+  {
+    id: 'architecture/no-circular-imports',
+    category: 'architecture',
+    severity: 'medium',
+    message: '순환 import - 초기화 순서에 따라 undefined 값을 읽을 수 있음',
+    visitor: {},
+    project: (context) => {
+      (context.moduleGraph?.cycles || []).forEach(({ path }) => {
+        const [file, next] = path;
+        context.report(file, findImportLocation(file, next, context), {
+          message: `순환 import (파일 ${path.length - 1}개): ${path.join(' → ')}`,
+        });
+      });
+    },
+  },
+  {
+    id: 'architecture/no-circular-dependencies',
+    category: 'architecture',
+    severity: 'low',
+    message: '함수 사이 순환 의존 - 서로를 호출·렌더링하는 함수 묶음',
+    visitor: {},
+    project: (context) => {
+      const functions = new Map(context.functionGraph.functions.map(fn => [fn.id, fn]));
+      findReportedFunctionCycles(context.functionGraph).forEach(({ members, path }) => {
+        const first = functions.get(path[0]);
+        context.report(first.file, first.loc, {
+          message: `함수 순환 의존 (함수 ${members.length}개): ${path.map(id => formatFunctionStep(id, first.file)).join(' → ')}`,
+        });
+      });
+    },
+  },
+];
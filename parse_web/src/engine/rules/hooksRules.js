@@ -0,0 +1,257 @@
+// ============================================
+// React Hooks 규칙
+// rules-of-hooks(호출 위치)와 exhaustive-deps(의존성 배열)
+// ============================================
+
+import {
+  isFunctionNode,
+  isComponentName,
+  isHookName,
+  getHookName,
+  walkAst,
+  findEnclosingFunction,
+  getFunctionName,
+  collectPatternNames,
+} from './reactUtils.js';
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+// 함수에서 호출 지점까지 내려가며 Hook이 항상 호출되지 않게 만드는 구조를 찾음
+const findConditionalReason = (ancestors, functionIndex, node) => {
+  for (let i = functionIndex + 1; i < ancestors.length; i++) {
+    const parent = ancestors[i];
+    const child = ancestors[i + 1] || node;
+
+    if ((parent.type === 'IfStatement' || parent.type === 'ConditionalExpression') && child !== parent.test) {
+      return '조건문 안에서';
+    }
+    if (parent.type === 'SwitchStatement' && child !== parent.discriminant) return 'switch 문 안에서';
+    if (parent.type === 'LogicalExpression' && child === parent.right) return `조건부 식(${parent.operator}) 안에서`;
+    if (LOOP_TYPES.has(parent.type) && child !== parent.init && child !== parent.right) return '반복문 안에서';
+  }
+  return null;
+};
+
+// 컴포넌트나 커스텀 Hook으로 볼 수 있는 함수인지 (export default 익명 함수는 컴포넌트로 간주)
+const isComponentOrHook = (ancestors, index) => {
+  const name = getFunctionName(ancestors, index);
+  if (name) return isComponentName(name) || isHookName(name);
+  let i = index - 1;
+  while (ancestors[i]?.type === 'CallExpression') i--;
+  return ancestors[i]?.type === 'ExportDefaultDeclaration';
+};
+
+// 의존성 배열 위치 (useImperativeHandle(ref, create, deps)만 세 번째 인자)
+const DEPENDENCY_HOOKS = {
+  useEffect: 1,
+  useLayoutEffect: 1,
+  useInsertionEffect: 1,
+  useMemo: 1,
+  useCallback: 1,
+  useImperativeHandle: 2,
+};
+
+// 반환값(또는 배열 구조 분해의 특정 위치)이 렌더링 간에 바뀌지 않는 Hook
+const STABLE_RESULTS = {
+  useRef: 'self',
+  useState: 1,
+  useReducer: 1,
+  useTransition: 1,
+  useActionState: 1,
+};
+
+/**
+ * 컴포넌트 본문에서 선언된 반응형 값(props, state, 지역 변수·함수)과 안정적인 값(setter, ref)을 모은다.
+ * 중첩 함수 안의 선언은 제외한다.
+ */
+const collectComponentScope = (component) => {
+  const reactive = new Set();
+  const stable = new Set();
+  component.params.forEach(param => collectPatternNames(param, reactive));
+
+  walkAst(component.body, (node) => {
+    if (node === component.body) return true;
+    if (node.type === 'FunctionDeclaration') {
+      if (node.id) reactive.add(node.id.name);
+      return false;
+    }
+    if (isFunctionNode(node)) return false;
+    if (node.type !== 'VariableDeclarator') return true;
+
+    collectPatternNames(node.id, reactive);
+    const stableResult = node.init?.type === 'CallExpression' ? STABLE_RESULTS[getHookName(node.init.callee)] : undefined;
+    if (stableResult === 'self' && node.id.type === 'Identifier') {
+      stable.add(node.id.name);
+    } else if (typeof stableResult === 'number' && node.id.type === 'ArrayPattern') {
+      const element = node.id.elements[stableResult];
+      if (element?.type === 'Identifier') stable.add(element.name);
+    }
+    return true;
+  });
+
+  stable.forEach(name => reactive.delete(name));
+  return { reactive, stable };
+};
+
+// 타입 정보는 참조로 세지 않음
+const TYPE_KEYS = new Set(['typeAnnotation', 'typeParameters', 'returnType', 'typeArguments']);
+
+/**
+ * 콜백 안에서 참조하는 바깥 변수 이름을 모은다 (콜백 안에서 선언된 이름은 제외).
+ */
+const collectReferences = (callback) => {
+  const referenced = new Set();
+  const declared = new Set();
+
+  const visit = (node, parent, key) => {
+    if (!node || typeof node !== 'object' || !node.type) return;
+
+    if (node.type === 'Identifier') {
+      const isProperty = (parent?.type === 'MemberExpression' || parent?.type === 'OptionalMemberExpression')
+        && key === 'property' && !parent.computed;
+      const isKey = (parent?.type === 'ObjectProperty' || parent?.type === 'ObjectMethod' || parent?.type === 'ClassMethod')
+        && key === 'key' && !parent.computed;
+      const isLabel = key === 'label';
+      if (!isProperty && !isKey && !isLabel) referenced.add(node.name);
+      return;
+    }
+
+    if (isFunctionNode(node)) {
+      if (node.id) declared.add(node.id.name);
+      node.params.forEach(param => collectPatternNames(param, declared));
+      visit(node.body, node, 'body');
+      return;
+    }
+    if (node.type === 'VariableDeclarator') {
+      collectPatternNames(node.id, declared);
+      visit(node.init, node, 'init');
+      return;
+    }
+    if (node.type === 'CatchClause') {
+      collectPatternNames(node.param, declared);
+      visit(node.body, node, 'body');
+      return;
+    }
+
+    for (const childKey in node) {
+      if (childKey === 'loc' || childKey === 'start' || childKey === 'end' || childKey === 'extra'
+          || childKey.endsWith('Comments') || TYPE_KEYS.has(childKey)) continue;
+      const child = node[childKey];
+      if (Array.isArray(child)) {
+        child.forEach(c => visit(c, node, childKey));
+      } else if (child && typeof child === 'object') {
+        visit(child, node, childKey);
+      }
+    }
+  };
+
+  visit(callback, null, null);
+  declared.forEach(name => referenced.delete(name));
+  return referenced;
+};
+
+// 의존성 배열 항목을 { root, path }로 (a, a.b.c). 식이면 null
+const toDependency = (element) => {
+  const parts = [];
+  let current = element;
+  while (current?.type === 'MemberExpression' || current?.type === 'OptionalMemberExpression') {
+    if (current.computed) return null;
+    parts.unshift(current.property.name);
+    current = current.object;
+  }
+  if (current?.type !== 'Identifier') return null;
+  return { root: current.name, path: [current.name, ...parts].join('.') };
+};
+
+export const HOOKS_RULES = [
+  {
+    id: 'hooks/rules-of-hooks',
+    category: 'hooks',
+    severity: 'high',
+    message: 'Hook 호출 위치 규칙 위반',
+    visitor: {
+      ReturnStatement: (node, context) => {
+        const enclosing = findEnclosingFunction(context.ancestors);
+        // 함수 본문 바로 아래가 아닌 return은 조건부 return
+        if (enclosing && context.ancestors.at(-1) !== enclosing.node.body) {
+          context.state.earlyReturned ??= new WeakSet();
+          context.state.earlyReturned.add(enclosing.node);
+        }
+      },
+      CallExpression: (node, context) => {
+        const hookName = getHookName(node.callee);
+        if (!hookName) return;
+
+        const { ancestors } = context;
+        const enclosing = findEnclosingFunction(ancestors);
+        if (!enclosing) {
+          context.report(node, { message: `컴포넌트 밖(모듈 최상위)에서 ${hookName}() 호출` });
+          return;
+        }
+        if (!isComponentOrHook(ancestors, enclosing.index)) {
+          const name = getFunctionName(ancestors, enclosing.index);
+          context.report(node, {
+            message: name
+              ? `컴포넌트나 커스텀 Hook이 아닌 함수 ${name}에서 ${hookName}() 호출`
+              : `중첩 함수(콜백) 안에서 ${hookName}() 호출`,
+          });
+          return;
+        }
+
+        const reason = findConditionalReason(ancestors, enclosing.index, node);
+        if (reason) {
+          context.report(node, { message: `${reason} ${hookName}() 호출 - 렌더링마다 호출 순서가 달라질 수 있음` });
+        } else if (context.state.earlyReturned?.has(enclosing.node)) {
+          context.report(node, { message: `조건부 return 이후에 ${hookName}() 호출 - 렌더링마다 호출 순서가 달라질 수 있음` });
+        }
+      },
+    },
+  },
+  {
+    id: 'hooks/exhaustive-deps',
+    category: 'hooks',
+    severity: 'medium',
+    message: 'Hook 의존성 배열 불일치',
+    visitor: {
+      CallExpression: (node, context) => {
+        const hookName = getHookName(node.callee);
+        const depsIndex = DEPENDENCY_HOOKS[hookName];
+        if (depsIndex === undefined) return;
+
+        const callback = node.arguments[depsIndex - 1];
+        const deps = node.arguments[depsIndex];
+        if (!isFunctionNode(callback)) return;
+        if (!deps) {
+          if (hookName === 'useMemo' || hookName === 'useCallback') {
+            context.report(node, { message: `${hookName}에 의존성 배열이 없어 렌더링마다 다시 계산됨` });
+          }
+          return;
+        }
+        if (deps.type !== 'ArrayExpression') return;
+
+        const { ancestors } = context;
+        const enclosing = findEnclosingFunction(ancestors);
+        if (!enclosing || !isComponentOrHook(ancestors, enclosing.index)) return;
+
+        const { reactive, stable } = collectComponentScope(enclosing.node);
+        const referenced = collectReferences(callback);
+        const dependencies = deps.elements.map(toDependency).filter(Boolean);
+        const listedRoots = new Set(dependencies.map(dep => dep.root));
+
+        const missing = [...referenced].filter(name => reactive.has(name) && !listedRoots.has(name));
+        if (missing.length > 0) {
+          context.report(deps, { message: `${hookName} 의존성 배열에 빠진 값: ${missing.join(', ')}` });
+        }
+
+        const unused = dependencies.filter(dep => !stable.has(dep.root)
+          && (!referenced.has(dep.root) || !reactive.has(dep.root)));
+        if (unused.length > 0) {
+          context.report(deps, {
+            message: `${hookName} 의존성 배열의 불필요한 값: ${unused.map(dep => dep.path).join(', ')}`,
+            severity: 'low',
+          });
+        }
+      },
+    },
+  },
+];
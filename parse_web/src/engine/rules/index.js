@@ -0,0 +1,31 @@
+// ============================================
+// 린트 규칙 레지스트리
+// 새 내장 규칙 묶음은 여기 BUILT_IN_RULES에 추가한다
+// ============================================
+
+import { SECURITY_RULES } from './securityRules.js';
+import { HOOKS_RULES } from './hooksRules.js';
+import { PERFORMANCE_RULES } from './performanceRules.js';
+import { ACCESSIBILITY_RULES } from './accessibilityRules.js';
+import { ARCHITECTURE_RULES } from './architectureRules.js';
+import { resolveRules as resolveWith } from './ruleEngine.js';
+
+export { SEVERITIES, validateRule, runRules, runProjectRules } from './ruleEngine.js';
+export { ACCESSIBILITY_CATEGORY } from './accessibilityRules.js';
+
+export const BUILT_IN_RULES = [
+  ...SECURITY_RULES,
+  ...HOOKS_RULES,
+  ...PERFORMANCE_RULES,
+  ...ACCESSIBILITY_RULES,
+  ...ARCHITECTURE_RULES,
+];
+
+/**
+ * 내장 규칙에 설정과 사용자 규칙을 적용한 실행 목록을 만든다.
+ *
+ * @param {object} [config] 규칙 id별 'off' 또는 심각도
+ * @param {object[]} [customRules]
+ * @returns {object[]}
+ */
+export const resolveRules = (config, customRules) => resolveWith(BUILT_IN_RULES, config, customRules);
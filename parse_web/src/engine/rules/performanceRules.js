@@ -0,0 +1,272 @@
+// ============================================
+// 성능 규칙
+// 불필요한 리렌더링, 렌더링 중 반복 계산, 과도하게 큰 컴포넌트
+// ============================================
+
+import {
+  isFunctionNode,
+  isComponentName,
+  getHookName,
+  walkAst,
+  findEnclosingFunction,
+  getFunctionName,
+} from './reactUtils.js';
+
+const isMemoCall = (node) => {
+  if (node?.type !== 'CallExpression') return false;
+  const { callee } = node;
+  if (callee?.type === 'Identifier') return callee.name === 'memo';
+  return callee?.type === 'MemberExpression' && callee.object?.name === 'React' && callee.property?.name === 'memo';
+};
+
+// 파일 안에서 memo()로 감싼 컴포넌트 이름 (const A = memo(...), export default memo(A))
+// 파일 단위 규칙이므로 다른 파일에서 import한 memo 컴포넌트는 알 수 없어 검사하지 않는다
+const collectMemoizedComponents = (program) => {
+  const names = new Set();
+  walkAst(program, (node) => {
+    if (node.type === 'VariableDeclarator' && isMemoCall(node.init) && node.id?.name) {
+      names.add(node.id.name);
+    }
+    if (isMemoCall(node) && node.arguments[0]?.type === 'Identifier') {
+      names.add(node.arguments[0].name);
+    }
+  });
+  return names;
+};
+
+const INLINE_LITERALS = {
+  ObjectExpression: '객체',
+  ArrayExpression: '배열',
+  ArrowFunctionExpression: '함수',
+  FunctionExpression: '함수',
+};
+
+// 콜백이 돌려주는 JSX 루트 요소들 (조건식의 양쪽 분기 포함, 중첩 함수의 return 제외)
+const collectReturnedJsx = (callback) => {
+  const results = [];
+  const addExpression = (expr) => {
+    if (!expr) return;
+    if (expr.type === 'JSXElement' || expr.type === 'JSXFragment') results.push(expr);
+    else if (expr.type === 'ConditionalExpression') {
+      addExpression(expr.consequent);
+      addExpression(expr.alternate);
+    } else if (expr.type === 'LogicalExpression') addExpression(expr.right);
+  };
+
+  if (callback.body.type !== 'BlockStatement') {
+    addExpression(callback.body);
+    return results;
+  }
+  walkAst(callback.body, (node) => {
+    if (isFunctionNode(node)) return false;
+    if (node.type === 'ReturnStatement') addExpression(node.argument);
+    return true;
+  });
+  return results;
+};
+
+const getKeyAttribute = (element) => element.openingElement?.attributes.find(
+  attr => attr.type === 'JSXAttribute' && attr.name?.name === 'key'
+);
+
+const referencesName = (node, name) => {
+  let found = false;
+  walkAst(node, (child) => {
+    if (child.type === 'Identifier' && child.name === name) found = true;
+    return !found;
+  });
+  return found;
+};
+
+// 컴포넌트 본문의 useState/useReducer setter 이름
+const collectStateSetters = (component) => {
+  const setters = new Set();
+  walkAst(component.body, (node) => {
+    if (node !== component.body && isFunctionNode(node)) return false;
+    if (node.type === 'VariableDeclarator' && node.id?.type === 'ArrayPattern' && node.init?.type === 'CallExpression') {
+      const hookName = getHookName(node.init.callee);
+      const setter = node.id.elements[1];
+      if ((hookName === 'useState' || hookName === 'useReducer') && setter?.type === 'Identifier') {
+        setters.add(setter.name);
+      }
+    }
+    return true;
+  });
+  return setters;
+};
+
+// 콜백 없이 값만 만드는 가벼운 내장 메서드·함수 (useState 초기값으로 렌더링마다 불러도 비용이 거의 없음)
+const CHEAP_METHODS = new Set([
+  'join', 'slice', 'concat', 'split', 'trim', 'trimStart', 'trimEnd', 'toLowerCase', 'toUpperCase', 'toString',
+  'toFixed', 'at', 'includes', 'indexOf', 'startsWith', 'endsWith', 'padStart', 'padEnd', 'charAt',
+]);
+const CHEAP_FUNCTIONS = new Set(['Number', 'String', 'Boolean', 'parseInt', 'parseFloat']);
+const CHEAP_STATIC_OBJECTS = new Set(['Math', 'Number']);
+const CHEAP_CONSTRUCTORS = new Set(['Set', 'Map', 'WeakSet', 'WeakMap', 'Date', 'AbortController']);
+
+const LITERAL_TYPES = new Set(['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral', 'TemplateLiteral']);
+
+// 값 읽기와 가벼운 호출만으로 된 식인지 (deadCode.entryPoints.join(', '), Number(props.page), new Set())
+const isTrivialExpression = (node) => {
+  if (!node) return true;
+  if (node.type === 'Identifier' || node.type === 'ThisExpression') return true;
+  if (LITERAL_TYPES.has(node.type)) return node.type !== 'TemplateLiteral' || node.expressions.every(isTrivialExpression);
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    return isTrivialExpression(node.object) && (!node.computed || isTrivialExpression(node.property));
+  }
+  if (node.type === 'UnaryExpression') return isTrivialExpression(node.argument);
+  if (node.type === 'NewExpression') {
+    // 빈 컬렉션과 Date만 (new Set(items)는 항목 수만큼 복사)
+    const name = node.callee.type === 'Identifier' ? node.callee.name : null;
+    return CHEAP_CONSTRUCTORS.has(name) && (name === 'Date' ? node.arguments.every(isTrivialExpression) : node.arguments.length === 0);
+  }
+  if (node.type !== 'CallExpression' && node.type !== 'OptionalCallExpression') return false;
+  if (!node.arguments.every(isTrivialExpression)) return false;
+  const { callee } = node;
+  if (callee.type === 'Identifier') return CHEAP_FUNCTIONS.has(callee.name);
+  if (!/MemberExpression$/.test(callee.type) || callee.computed) return false;
+  const method = callee.property.name;
+  if (callee.object.type === 'Identifier' && CHEAP_STATIC_OBJECTS.has(callee.object.name)) return true;
+  if (callee.object.type === 'Identifier' && callee.object.name === 'Date' && method === 'now') return true;
+  return CHEAP_METHODS.has(method) && isTrivialExpression(callee.object);
+};
+
+const CONDITIONAL_TYPES = new Set(['IfStatement', 'ConditionalExpression', 'LogicalExpression', 'SwitchStatement']);
+
+const countJsxNodes = (node) => {
+  let count = 0;
+  walkAst(node, (child) => {
+    if (child.type === 'JSXElement' || child.type === 'JSXFragment') count++;
+    return true;
+  });
+  return count;
+};
+
+const checkComponentSize = (node, context) => {
+  const functionAncestors = [...context.ancestors, node];
+  const name = getFunctionName(functionAncestors, functionAncestors.length - 1);
+  if (!isComponentName(name)) return;
+
+  const count = countJsxNodes(node.body);
+  const { maxJsxNodes } = context.options;
+  if (count > maxJsxNodes) {
+    context.report(node, {
+      message: `컴포넌트 ${name}의 JSX 노드 ${count}개 (기준 ${maxJsxNodes}개) - 하위 컴포넌트로 분리 권장`,
+    });
+  }
+};
+
+export const PERFORMANCE_RULES = [
+  {
+    id: 'performance/no-inline-props-to-memo',
+    category: 'performance',
+    severity: 'medium',
+    message: '같은 파일의 memo 컴포넌트에 인라인 값 전달 - 렌더링마다 새 참조가 만들어져 memo가 무효화됨',
+    visitor: {
+      Program: (node, context) => {
+        context.state.memoized = collectMemoizedComponents(node);
+      },
+      JSXAttribute: (node, context) => {
+        const expression = node.value?.type === 'JSXExpressionContainer' ? node.value.expression : null;
+        const kind = INLINE_LITERALS[expression?.type];
+        if (!kind || node.name?.name === 'key' || node.name?.name === 'ref') return;
+
+        const element = context.ancestors.at(-1);
+        const elementName = element?.name?.name;
+        if (context.state.memoized.has(elementName)) {
+          context.report(node, {
+            message: `같은 파일의 memo 컴포넌트 ${elementName}의 ${node.name.name}에 인라인 ${kind} 전달 - 렌더링마다 새 참조가 만들어져 memo가 무효화됨 (useMemo/useCallback 사용)`,
+          });
+        }
+      },
+    },
+  },
+  {
+    id: 'performance/jsx-key',
+    category: 'performance',
+    severity: 'medium',
+    message: 'map()으로 만든 JSX에 key 없음',
+    visitor: {
+      CallExpression: (node, context) => {
+        const { callee } = node;
+        if (callee?.type !== 'MemberExpression' || callee.property?.name !== 'map') return;
+        const callback = node.arguments[0];
+        if (!isFunctionNode(callback)) return;
+
+        const indexParam = callback.params[1]?.type === 'Identifier' ? callback.params[1].name : null;
+        collectReturnedJsx(callback).forEach(element => {
+          const keyAttribute = element.type === 'JSXElement' ? getKeyAttribute(element) : null;
+          if (!keyAttribute) {
+            context.report(element, {
+              message: element.type === 'JSXFragment'
+                ? 'map()에서 <>...</>를 반환 - key를 줄 수 없으므로 <Fragment key={...}> 사용'
+                : 'map()으로 만든 JSX에 key 없음 - 목록이 바뀔 때 요소를 잘못 재사용할 수 있음',
+            });
+          } else if (indexParam && referencesName(keyAttribute.value, indexParam)) {
+            context.report(keyAttribute, {
+              message: '배열 인덱스를 key로 사용 - 항목 순서가 바뀌면 상태가 엉뚱한 요소에 남음',
+              severity: 'low',
+            });
+          }
+        });
+      },
+    },
+  },
+  {
+    id: 'performance/lazy-state-initializer',
+    category: 'performance',
+    severity: 'low',
+    message: 'useState 초기값을 렌더링마다 계산',
+    visitor: {
+      CallExpression: (node, context) => {
+        if (getHookName(node.callee) !== 'useState') return;
+        const initializer = node.arguments[0];
+        if ((initializer?.type === 'CallExpression' || initializer?.type === 'NewExpression') && !isTrivialExpression(initializer)) {
+          context.report(initializer, {
+            message: 'useState 초기값의 함수 호출이 렌더링마다 실행됨 - useState(() => ...) 형태로 전달',
+          });
+        }
+      },
+    },
+  },
+  {
+    id: 'performance/no-set-state-in-render',
+    category: 'performance',
+    severity: 'high',
+    message: '렌더링 중 state setter 호출 - 무한 리렌더링 위험',
+    visitor: {
+      CallExpression: (node, context) => {
+        if (node.callee?.type !== 'Identifier') return;
+        const { ancestors } = context;
+        const enclosing = findEnclosingFunction(ancestors);
+        if (!enclosing || !isComponentName(getFunctionName(ancestors, enclosing.index))) return;
+
+        context.state.setters ??= new WeakMap();
+        if (!context.state.setters.has(enclosing.node)) {
+          context.state.setters.set(enclosing.node, collectStateSetters(enclosing.node));
+        }
+        if (!context.state.setters.get(enclosing.node).has(node.callee.name)) return;
+
+        // 이전 props와 비교해 조건부로 갱신하는 것은 React가 허용하는 패턴
+        const isConditional = ancestors.slice(enclosing.index + 1).some(a => CONDITIONAL_TYPES.has(a.type));
+        if (!isConditional) {
+          context.report(node, {
+            message: `렌더링 중 ${node.callee.name}() 호출 - 무한 리렌더링 위험 (이벤트 핸들러나 useEffect로 이동)`,
+          });
+        }
+      },
+    },
+  },
+  {
+    id: 'performance/max-jsx-nodes',
+    category: 'performance',
+    severity: 'medium',
+    message: '컴포넌트의 JSX가 너무 큼 - 하위 컴포넌트로 분리 권장',
+    options: { maxJsxNodes: 100 },
+    visitor: {
+      FunctionDeclaration: checkComponentSize,
+      FunctionExpression: checkComponentSize,
+      ArrowFunctionExpression: checkComponentSize,
+    },
+  },
+];
@@ -0,0 +1,122 @@
+// ============================================
+// React 규칙에서 공통으로 쓰는 AST 도우미
+// ============================================
+
+import { SKIPPED_KEYS } from './ruleEngine.js';
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod',
+]);
+
+export const isFunctionNode = (node) => FUNCTION_TYPES.has(node?.type);
+
+export const isComponentName = (name) => /^[A-Z]/.test(name || '');
+
+// use 다음이 대문자나 숫자인 이름 (React 19의 use()는 조건부 호출이 허용되므로 제외)
+export const isHookName = (name) => /^use[A-Z0-9]/.test(name || '');
+
+// useState(), React.useState() 모두에서 Hook 이름을 꺼냄
+export const getHookName = (callee) => {
+  if (callee?.type === 'Identifier') return isHookName(callee.name) ? callee.name : null;
+  if (callee?.type === 'MemberExpression' && !callee.computed && callee.object?.name === 'React') {
+    return isHookName(callee.property?.name) ? callee.property.name : null;
+  }
+  return null;
+};
+
+/**
+ * 자식 노드를 깊이 우선으로 방문한다. enter가 false를 돌려주면 그 노드의 자식은 건너뛴다.
+ */
+export const walkAst = (node, enter) => {
+  if (!node || typeof node !== 'object' || !node.type) return;
+  if (enter(node) === false) return;
+  for (const key in node) {
+    if (SKIPPED_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(c => walkAst(c, enter));
+    } else if (child && typeof child === 'object') {
+      walkAst(child, enter);
+    }
+  }
+};
+
+/**
+ * ancestors에서 가장 안쪽 함수를 찾는다.
+ *
+ * @returns {{ node: object, index: number } | null}
+ */
+export const findEnclosingFunction = (ancestors) => {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (isFunctionNode(ancestors[i])) return { node: ancestors[i], index: i };
+  }
+  return null;
+};
+
+// memo(), forwardRef()로 감싼 컴포넌트의 이름을 찾을 때 거슬러 올라가는 호출
+const WRAPPER_CALLS = new Set(['memo', 'forwardRef']);
+
+const isWrapperCall = (node) => {
+  if (node?.type !== 'CallExpression') return false;
+  const { callee } = node;
+  const name = callee?.type === 'MemberExpression' ? callee.property?.name : callee?.name;
+  return WRAPPER_CALLS.has(name);
+};
+
+// memo(forwardRef(() => {}))처럼 감싼 호출을 벗겨 안쪽 인자를 돌려준다. 감싸지 않았으면 그대로
+export const unwrapComponentWrapper = (node) => {
+  let inner = node;
+  while (isWrapperCall(inner)) inner = inner.arguments[0];
+  return inner;
+};
+
+/**
+ * ancestors[index]에 있는 함수의 이름. 익명 콜백이면 null
+ * (function Foo, const Foo = () => {}, const Foo = memo(() => {}), { foo() {} }, obj.foo = () => {})
+ */
+export const getFunctionName = (ancestors, index) => {
+  const fn = ancestors[index];
+  if (fn.id?.name) return fn.id.name;
+  if (fn.type === 'ObjectMethod' || fn.type === 'ClassMethod') return fn.key?.name || null;
+
+  let i = index - 1;
+  while (i >= 0 && isWrapperCall(ancestors[i])) i--;
+  const parent = ancestors[i];
+  if (parent?.type === 'VariableDeclarator') return parent.id?.name || null;
+  if (parent?.type === 'AssignmentExpression' && parent.left.type === 'MemberExpression') {
+    return parent.left.property?.name || null;
+  }
+  if (parent?.type === 'AssignmentExpression') return parent.left.name || null;
+  if (parent?.type === 'ObjectProperty' || parent?.type === 'ClassProperty') return parent.key?.name || null;
+  return null;
+};
+
+/**
+ * 구조 분해 패턴을 포함한 선언 대상에서 바인딩 이름을 모은다.
+ */
+export const collectPatternNames = (pattern, names = new Set()) => {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.add(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(prop => collectPatternNames(prop.type === 'RestElement' ? prop : prop.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => collectPatternNames(element, names));
+      break;
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names);
+      break;
+    case 'TSParameterProperty':
+      collectPatternNames(pattern.parameter, names);
+      break;
+    default:
+      break;
+  }
+  return names;
+};
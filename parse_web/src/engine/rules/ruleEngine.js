@@ -0,0 +1,179 @@
+// ============================================
+// 린트 규칙 엔진
+// 규칙은 AST 노드 타입별 방문 함수(visitor)를 선언하고, 엔진이 파일마다 한 번 순회하며 호출한다
+// 여러 파일을 함께 봐야 하는 규칙(순환 의존 등)은 project 함수를 선언하고, 파일 분석이 모두 끝난 뒤 한 번 호출된다
+// ============================================
+
+import { getLocation } from '../location.js';
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+// 순회하지 않을 노드 속성 (위치 정보와 주석은 여러 노드에 중복으로 붙어 있음)
+export const SKIPPED_KEYS = new Set([
+  'loc', 'range', 'start', 'end', 'extra',
+  'leadingComments', 'trailingComments', 'innerComments',
+]);
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 규칙 객체의 형태를 검사한다. 잘못된 규칙이면 어떤 항목이 문제인지 알려주는 Error를 던진다.
+ *
+ * @param {object} rule
+ * @returns {object} 검사를 통과한 규칙 그대로
+ */
+export const validateRule = (rule) => {
+  const name = rule?.id ? `규칙 ${rule.id}` : '규칙';
+  if (!rule || typeof rule !== 'object') throw new Error('규칙은 객체여야 합니다.');
+  if (typeof rule.id !== 'string' || !rule.id) throw new Error('규칙에 id(문자열)가 없습니다.');
+  if (typeof rule.category !== 'string' || !rule.category) throw new Error(`${name}에 category(문자열)가 없습니다.`);
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`${name}의 severity는 ${SEVERITIES.join(', ')} 중 하나여야 합니다.`);
+  }
+  if (typeof rule.message !== 'string') throw new Error(`${name}에 message(문자열)가 없습니다.`);
+  if (!rule.visitor || typeof rule.visitor !== 'object') throw new Error(`${name}에 visitor 객체가 없습니다.`);
+  Object.entries(rule.visitor).forEach(([type, visit]) => {
+    if (typeof visit !== 'function') throw new Error(`${name}의 visitor.${type}는 함수여야 합니다.`);
+  });
+  if (rule.project !== undefined && typeof rule.project !== 'function') throw new Error(`${name}의 project는 함수여야 합니다.`);
+  if (rule.options !== undefined && !isPlainObject(rule.options)) throw new Error(`${name}의 options는 객체여야 합니다.`);
+  return rule;
+};
+
+/**
+ * 내장 규칙과 사용자 규칙을 합치고 설정을 적용해 실행할 규칙 목록을 만든다.
+ *
+ * @param {object[]} builtInRules
+ * @param {Object<string, 'off' | false | 'on' | 'high' | 'medium' | 'low' | Array>} [config]
+ *   규칙 id별 설정. 'off' 또는 false면 끄고, 심각도를 적으면 그 심각도로 보고.
+ *   [심각도 또는 'on', { ...옵션 }] 형태로 규칙의 options를 덮어쓸 수 있다
+ * @param {object[]} [customRules] 팀에서 작성한 추가 규칙
+ * @returns {object[]}
+ */
+export const resolveRules = (builtInRules, config = {}, customRules = []) => {
+  const rules = [...builtInRules, ...customRules.map(validateRule)];
+
+  const ids = new Set();
+  rules.forEach(rule => {
+    if (ids.has(rule.id)) throw new Error(`규칙 id가 중복됩니다: ${rule.id}`);
+    ids.add(rule.id);
+  });
+  Object.keys(config).forEach(id => {
+    if (!ids.has(id)) throw new Error(`알 수 없는 규칙입니다: ${id}`);
+  });
+
+  return rules.flatMap(rule => {
+    const [level, options] = Array.isArray(config[rule.id]) ? config[rule.id] : [config[rule.id]];
+    if (level === 'off' || level === false) return [];
+    if (options !== undefined && !isPlainObject(options)) {
+      throw new Error(`규칙 ${rule.id}의 옵션은 객체여야 합니다.`);
+    }
+
+    const resolved = { ...rule, options: { ...rule.options, ...options } };
+    if (level === undefined || level === true || level === 'on') return [resolved];
+    if (SEVERITIES.includes(level)) return [{ ...resolved, severity: level }];
+    throw new Error(`규칙 ${rule.id}의 설정값이 올바르지 않습니다: ${level}`);
+  });
+};
+
+/**
+ * AST를 한 번 순회하며 규칙을 실행하고 이슈 목록을 돌려준다.
+ *
+ * 방문 함수는 (node, context)로 호출되며, 'Program:exit'처럼 ':exit'을 붙이면 자식 순회가 끝난 뒤 호출된다.
+ * context: { filename, code, ancestors(바깥 → 안쪽 부모 노드), options(규칙 옵션), state(규칙·파일별 빈 객체),
+ *   report(node, overrides) }
+ *
+ * @param {object} ast Babel File 노드
+ * @param {object[]} rules resolveRules 결과
+ * @param {{ filename: string, code: string }} file
+ * @returns {object[]} { type, ruleId, message, severity, loc } 이슈 목록
+ */
+export const runRules = (ast, rules, { filename, code }) => {
+  const issues = [];
+  const ancestors = [];
+
+  const contexts = rules.map(rule => ({
+    filename,
+    code,
+    ancestors,
+    options: rule.options || {},
+    state: {},
+    report: (node, overrides = {}) => {
+      issues.push({
+        type: rule.category,
+        ruleId: rule.id,
+        message: overrides.message ?? rule.message,
+        severity: overrides.severity ?? rule.severity,
+        loc: getLocation(node),
+      });
+    },
+  }));
+
+  const visit = (node, key) => {
+    rules.forEach((rule, i) => {
+      const handler = rule.visitor[key];
+      if (!handler) return;
+      try {
+        handler(node, contexts[i]);
+      } catch (error) {
+        throw new Error(`규칙 ${rule.id} 실행 실패: ${error.message}`, { cause: error });
+      }
+    });
+  };
+
+  const walk = (node) => {
+    if (!node || typeof node !== 'object' || !node.type) return;
+
+    visit(node, node.type);
+    ancestors.push(node);
+    for (const key in node) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(walk);
+      } else if (child && typeof child === 'object') {
+        walk(child);
+      }
+    }
+    ancestors.pop();
+    visit(node, `${node.type}:exit`);
+  };
+
+  walk(ast.program);
+  return issues;
+};
+
+/**
+ * 프로젝트 규칙(project 함수가 있는 규칙)을 실행하고 파일별 이슈를 돌려준다.
+ *
+ * project는 context 하나로 호출된다.
+ * context: { files(파싱에 성공한 파일 결과), moduleGraph, functionGraph(buildFunctionGraph 결과), options,
+ *   report(filename, loc, overrides) } — loc은 getLocation 형식 또는 null
+ *
+ * @param {object[]} rules resolveRules 결과
+ * @param {{ files: object[], moduleGraph: object, functionGraph: object }} project
+ * @returns {Map<string, object[]>} 파일 이름 → { type, ruleId, message, severity, loc } 이슈 목록
+ */
+export const runProjectRules = (rules, { files, moduleGraph, functionGraph }) => {
+  const issuesByFile = new Map();
+
+  rules.filter(rule => rule.project).forEach(rule => {
+    const report = (filename, loc, overrides = {}) => {
+      if (!issuesByFile.has(filename)) issuesByFile.set(filename, []);
+      issuesByFile.get(filename).push({
+        type: rule.category,
+        ruleId: rule.id,
+        message: overrides.message ?? rule.message,
+        severity: overrides.severity ?? rule.severity,
+        loc: loc ?? null,
+      });
+    };
+    try {
+      rule.project({ files, moduleGraph, functionGraph, options: rule.options || {}, report });
+    } catch (error) {
+      throw new Error(`규칙 ${rule.id} 실행 실패: ${error.message}`, { cause: error });
+    }
+  });
+
+  return issuesByFile;
+};
@@ -0,0 +1,224 @@
+// ============================================
+// 보안 규칙
+// XSS, 코드 주입, 정보 노출로 이어지는 패턴
+// ============================================
+
+// 문자열 리터럴 또는 식이 없는 템플릿 리터럴의 값
+const getStaticString = (node) => {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0]?.value.cooked ?? null;
+  }
+  return null;
+};
+
+// JSX 속성 값이 정적 문자열이면 그 값 (href="..." 또는 href={'...'})
+const getJsxAttributeString = (attribute) => {
+  const value = attribute?.value;
+  if (value?.type === 'JSXExpressionContainer') return getStaticString(value.expression);
+  return getStaticString(value);
+};
+
+const getJsxAttribute = (openingElement, name) =>
+  openingElement.attributes.find(attr => attr.type === 'JSXAttribute' && attr.name?.name === name);
+
+const getPropertyName = (node) => {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  return getStaticString(node);
+};
+
+// 전역 함수 호출 또는 window./globalThis. 을 붙인 호출의 이름
+const getGlobalCallName = (callee) => {
+  if (callee?.type === 'Identifier') return callee.name;
+  if (callee?.type === 'MemberExpression' && ['window', 'globalThis', 'self'].includes(callee.object?.name)) {
+    return getPropertyName(callee.property);
+  }
+  return null;
+};
+
+// 브라우저는 스킴 앞뒤의 공백·제어 문자를 무시하므로 제거하고 비교
+const isJavascriptUrl = (value) =>
+  [...value].filter(ch => ch.charCodeAt(0) > 0x20).join('').toLowerCase().startsWith('javascript:');
+
+// 값의 형태만으로 알아볼 수 있는 키
+const SECRET_PATTERNS = [
+  { name: 'AWS 액세스 키', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { name: 'GitHub 토큰', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+  { name: 'Slack 토큰', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { name: 'Google API 키', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { name: 'Stripe 비밀 키', pattern: /\b(sk|rk)_live_[0-9A-Za-z]{16,}\b/ },
+  { name: '개인 키', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+  { name: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+];
+
+// 이 이름으로 끝나는 변수·속성에 들어간 문자열은 비밀 값으로 간주
+const SECRET_NAME_PATTERN = /(apikey|secret|secretkey|token|password|passwd|pwd|credentials?|privatekey|accesskey)$/;
+const PLACEHOLDER_PATTERN = /^(your|xxx|changeme|example|dummy|test|todo|<|\*+$)/i;
+
+// 문자열이 대입되는 변수·속성 이름 (const apiKey = '...', { apiKey: '...' }, obj.apiKey = '...')
+const getAssignedName = (node, parent) => {
+  if (parent?.type === 'VariableDeclarator' && parent.init === node) return parent.id?.name;
+  if ((parent?.type === 'ObjectProperty' || parent?.type === 'ClassProperty') && parent.value === node) {
+    return getPropertyName(parent.key);
+  }
+  if (parent?.type === 'AssignmentExpression' && parent.right === node) {
+    return parent.left.type === 'MemberExpression' ? getPropertyName(parent.left.property) : parent.left.name;
+  }
+  return null;
+};
+
+const looksLikeSecretValue = (value) =>
+  value.length >= 8 && !/\s/.test(value) && !PLACEHOLDER_PATTERN.test(value);
+
+export const SECURITY_RULES = [
+  {
+    id: 'security/no-dangerously-set-inner-html',
+    category: 'security',
+    severity: 'high',
+    message: 'dangerouslySetInnerHTML 사용 감지 - XSS 위험',
+    visitor: {
+      JSXAttribute: (node, context) => {
+        if (node.name?.name === 'dangerouslySetInnerHTML') context.report(node);
+      },
+    },
+  },
+  {
+    id: 'security/no-eval',
+    category: 'security',
+    severity: 'high',
+    message: 'eval() 사용 감지 - 보안 위험',
+    visitor: {
+      CallExpression: (node, context) => {
+        if (node.callee?.name === 'eval') context.report(node);
+      },
+    },
+  },
+  {
+    id: 'security/no-new-function',
+    category: 'security',
+    severity: 'high',
+    message: 'Function 생성자 사용 감지 - 문자열을 코드로 실행 (eval과 동일한 위험)',
+    visitor: {
+      NewExpression: (node, context) => {
+        if (getGlobalCallName(node.callee) === 'Function') context.report(node);
+      },
+      CallExpression: (node, context) => {
+        if (getGlobalCallName(node.callee) === 'Function') context.report(node);
+      },
+    },
+  },
+  {
+    id: 'security/no-string-timer',
+    category: 'security',
+    severity: 'high',
+    message: '타이머에 문자열 전달 - 문자열이 코드로 실행됨',
+    visitor: {
+      CallExpression: (node, context) => {
+        const name = getGlobalCallName(node.callee);
+        if (name !== 'setTimeout' && name !== 'setInterval') return;
+        const [callback] = node.arguments;
+        if (callback?.type === 'StringLiteral' || callback?.type === 'TemplateLiteral') {
+          context.report(node, { message: `${name}()에 문자열 전달 - 문자열이 코드로 실행됨` });
+        }
+      },
+    },
+  },
+  {
+    id: 'security/no-inner-html',
+    category: 'security',
+    severity: 'high',
+    message: 'innerHTML 대입 감지 - XSS 위험',
+    visitor: {
+      AssignmentExpression: (node, context) => {
+        const property = node.left.type === 'MemberExpression' ? getPropertyName(node.left.property) : null;
+        if (property === 'innerHTML' || property === 'outerHTML') {
+          context.report(node, { message: `${property} 대입 감지 - XSS 위험` });
+        }
+      },
+    },
+  },
+  {
+    id: 'security/no-document-write',
+    category: 'security',
+    severity: 'high',
+    message: 'document.write() 사용 감지 - XSS 위험',
+    visitor: {
+      CallExpression: (node, context) => {
+        const { callee } = node;
+        if (callee?.type !== 'MemberExpression' || callee.object?.name !== 'document') return;
+        const method = getPropertyName(callee.property);
+        if (method === 'write' || method === 'writeln') {
+          context.report(node, { message: `document.${method}() 사용 감지 - XSS 위험` });
+        }
+      },
+    },
+  },
+  {
+    id: 'security/no-javascript-url',
+    category: 'security',
+    severity: 'high',
+    message: 'javascript: URL 사용 감지 - XSS 위험',
+    visitor: {
+      JSXAttribute: (node, context) => {
+        const name = node.name?.name;
+        if (name !== 'href' && name !== 'src') return;
+        const value = getJsxAttributeString(node);
+        if (value != null && isJavascriptUrl(value)) {
+          context.report(node, { message: `${name}에 javascript: URL 사용 - XSS 위험` });
+        }
+      },
+    },
+  },
+  {
+    id: 'security/no-target-blank',
+    category: 'security',
+    severity: 'medium',
+    message: 'target="_blank"에 rel="noopener" 없음 - 새 창이 window.opener로 원래 페이지에 접근 가능',
+    visitor: {
+      JSXOpeningElement: (node, context) => {
+        if (getJsxAttributeString(getJsxAttribute(node, 'target')) !== '_blank') return;
+        const relAttribute = getJsxAttribute(node, 'rel');
+        // rel을 식으로 넘기거나 스프레드로 넘기면 값을 알 수 없으므로 건너뜀
+        const hasSpread = node.attributes.some(attr => attr.type === 'JSXSpreadAttribute');
+        if (relAttribute ? getJsxAttributeString(relAttribute) == null : hasSpread) return;
+        const rel = (getJsxAttributeString(relAttribute) || '').toLowerCase().split(/\s+/);
+        if (!rel.includes('noopener') && !rel.includes('noreferrer')) context.report(node);
+      },
+    },
+  },
+  {
+    id: 'security/no-wildcard-post-message',
+    category: 'security',
+    severity: 'medium',
+    message: "postMessage의 대상 origin이 '*' - 어떤 출처의 창이든 메시지를 받을 수 있음",
+    visitor: {
+      CallExpression: (node, context) => {
+        const { callee } = node;
+        const isPostMessage = callee?.type === 'MemberExpression' && getPropertyName(callee.property) === 'postMessage';
+        if (isPostMessage && getStaticString(node.arguments[1]) === '*') context.report(node);
+      },
+    },
+  },
+  {
+    id: 'security/no-hardcoded-secret',
+    category: 'security',
+    severity: 'high',
+    message: '하드코딩된 비밀 값 의심 - 번들에 그대로 노출됨',
+    visitor: {
+      StringLiteral: (node, context) => {
+        const known = SECRET_PATTERNS.find(({ pattern }) => pattern.test(node.value));
+        if (known) {
+          context.report(node, { message: `하드코딩된 ${known.name} 의심 - 번들에 그대로 노출됨` });
+          return;
+        }
+
+        const name = getAssignedName(node, context.ancestors.at(-1));
+        const normalizedName = name?.replace(/[_-]/g, '').toLowerCase();
+        if (normalizedName && SECRET_NAME_PATTERN.test(normalizedName) && looksLikeSecretValue(node.value)) {
+          context.report(node, { message: `${name}에 하드코딩된 비밀 값 의심 - 번들에 그대로 노출됨` });
+        }
+      },
+    },
+  },
+];
@@ -0,0 +1,155 @@
+// ============================================
+// 품질 점수 계산 프로필
+// calculateQualityScore와 점수 설명 모달이 같은 프로필을 읽으므로 설명과 계산이 항상 일치한다
+// ============================================
+
+export const DEFAULT_PROFILE = {
+  id: 'default',
+  name: '기본',
+  description: '일반적인 React 애플리케이션 기준',
+  baseScore: 100,
+  penalties: {
+    // 값 1당 weight점 감점, 최대 max점
+    cyclomaticComplexity: { weight: 2, max: 30 },
+    // 인지 복잡도는 기본 점수를 바꾸지 않도록 선택 사항 (프리셋이나 프로필 JSON에서 weight를 주면 반영)
+    cognitiveComplexity: { weight: 0, max: 20 },
+    nestingDepth: { weight: 1, max: 15 },
+    // 이슈 하나당 심각도별 감점 (접근성 이슈 제외). 규칙이 늘어도 low 이슈(인덱스 key 등)가 점수를 크게 깎지 않도록 차등
+    issues: { high: 10, medium: 5, low: 2 },
+    // 접근성 점수에서 접근성 이슈 하나당 심각도별 감점
+    accessibility: { high: 15, medium: 8, low: 3 },
+    // 소스 줄 수(SLOC)가 over를 넘을 때마다 penalty점씩 누적 감점
+    fileSize: [
+      { over: 300, penalty: 10 },
+      { over: 500, penalty: 10 },
+    ],
+  },
+  bonuses: {
+    // 컴포넌트에서 Hooks를 사용하면 가점
+    hooksInComponents: 5,
+  },
+};
+
+export const PRESET_PROFILES = [
+  DEFAULT_PROFILE,
+  {
+    id: 'strict',
+    name: '엄격 (strict)',
+    description: '새로 작성하는 코드나 핵심 모듈에 적용하는 높은 기준',
+    baseScore: 100,
+    penalties: {
+      cyclomaticComplexity: { weight: 3, max: 40 },
+      cognitiveComplexity: { weight: 1.5, max: 30 },
+      nestingDepth: { weight: 2, max: 20 },
+      issues: { high: 15, medium: 8, low: 3 },
+      accessibility: { high: 20, medium: 10, low: 5 },
+      fileSize: [
+        { over: 200, penalty: 10 },
+        { over: 400, penalty: 15 },
+      ],
+    },
+    bonuses: { hooksInComponents: 0 },
+  },
+  {
+    id: 'legacy',
+    name: '레거시 (legacy)',
+    description: '오래된 코드베이스의 점진적 개선을 추적하기 위한 완화된 기준',
+    baseScore: 100,
+    penalties: {
+      cyclomaticComplexity: { weight: 1, max: 20 },
+      cognitiveComplexity: { weight: 0.5, max: 10 },
+      nestingDepth: { weight: 0.5, max: 10 },
+      issues: { high: 10, medium: 3, low: 1 },
+      accessibility: { high: 10, medium: 5, low: 2 },
+      fileSize: [
+        { over: 500, penalty: 5 },
+        { over: 1000, penalty: 10 },
+      ],
+    },
+    bonuses: { hooksInComponents: 5 },
+  },
+  {
+    id: 'library',
+    name: '라이브러리 (library)',
+    description: '외부에 공개하는 패키지 기준. 이슈와 복잡도를 크게, 파일 크기는 작게 반영',
+    baseScore: 100,
+    penalties: {
+      cyclomaticComplexity: { weight: 2, max: 30 },
+      cognitiveComplexity: { weight: 1, max: 25 },
+      nestingDepth: { weight: 1.5, max: 20 },
+      issues: { high: 20, medium: 10, low: 5 },
+      accessibility: { high: 20, medium: 10, low: 5 },
+      fileSize: [
+        { over: 400, penalty: 5 },
+        { over: 800, penalty: 10 },
+      ],
+    },
+    bonuses: { hooksInComponents: 0 },
+  },
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const assertNumber = (value, path) => {
+  if (!isNumber(value)) {
+    throw new Error(`프로필의 ${path} 값은 0 이상의 숫자여야 합니다.`);
+  }
+};
+
+const mergeWeight = (base, override = {}, path) => {
+  const merged = { ...base, ...override };
+  assertNumber(merged.weight, `${path}.weight`);
+  assertNumber(merged.max, `${path}.max`);
+  return merged;
+};
+
+/**
+ * 사용자가 올린 프로필 JSON을 검증하고, 빠진 항목은 기본 프로필 값으로 채운다.
+ * 잘못된 값이 있으면 어느 항목인지 알려주는 Error를 던진다.
+ */
+export const normalizeProfile = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('프로필은 JSON 객체여야 합니다.');
+  }
+
+  const base = DEFAULT_PROFILE;
+  const penalties = input.penalties || {};
+  const bonuses = input.bonuses || {};
+
+  const profile = {
+    id: String(input.id || 'custom'),
+    name: String(input.name || '사용자 정의'),
+    description: String(input.description || ''),
+    baseScore: input.baseScore ?? base.baseScore,
+    penalties: {
+      cyclomaticComplexity: mergeWeight(base.penalties.cyclomaticComplexity, penalties.cyclomaticComplexity, 'penalties.cyclomaticComplexity'),
+      cognitiveComplexity: mergeWeight(base.penalties.cognitiveComplexity, penalties.cognitiveComplexity, 'penalties.cognitiveComplexity'),
+      nestingDepth: mergeWeight(base.penalties.nestingDepth, penalties.nestingDepth, 'penalties.nestingDepth'),
+      issues: { ...base.penalties.issues, ...penalties.issues },
+      accessibility: { ...base.penalties.accessibility, ...penalties.accessibility },
+      fileSize: penalties.fileSize ?? base.penalties.fileSize,
+    },
+    bonuses: { ...base.bonuses, ...bonuses },
+  };
+
+  assertNumber(profile.baseScore, 'baseScore');
+  ['issues', 'accessibility'].forEach(key => {
+    Object.entries(profile.penalties[key]).forEach(([severity, value]) => {
+      assertNumber(value, `penalties.${key}.${severity}`);
+    });
+  });
+  if (!Array.isArray(profile.penalties.fileSize)) {
+    throw new Error('프로필의 penalties.fileSize는 배열이어야 합니다.');
+  }
+  profile.penalties.fileSize.forEach((step, i) => {
+    assertNumber(step?.over, `penalties.fileSize[${i}].over`);
+    assertNumber(step?.penalty, `penalties.fileSize[${i}].penalty`);
+  });
+  Object.entries(profile.bonuses).forEach(([key, value]) => {
+    assertNumber(value, `bonuses.${key}`);
+  });
+
+  return profile;
+};
+
+export const getPresetProfile = (id) => PRESET_PROFILES.find(p => p.id === id) || null;
@@ -0,0 +1,135 @@
+// ============================================
+// 강한 연결 요소(SCC)와 순환 경로
+// 모듈 그래프와 함수 그래프가 함께 쓰는 그래프 도우미
+// ============================================
+
+/**
+ * { from, to } 엣지 목록으로 인접 리스트를 만든다. nodeIds에 없는 끝점은 무시한다.
+ *
+ * @param {string[]} nodeIds
+ * @param {Array<{ from: string, to: string }>} edges
+ * @returns {Map<string, string[]>}
+ */
+export const buildAdjacency = (nodeIds, edges) => {
+  const adjacency = new Map(nodeIds.map(id => [id, []]));
+  edges.forEach(({ from, to }) => {
+    if (adjacency.has(from) && adjacency.has(to)) adjacency.get(from).push(to);
+  });
+  return adjacency;
+};
+
+/**
+ * Tarjan 알고리즘으로 강한 연결 요소를 찾는다.
+ * 노드가 수백 개여도 호출 스택이 넘치지 않도록 재귀 대신 명시적 스택을 쓴다.
+ *
+ * @param {Map<string, string[]>} adjacency buildAdjacency 결과
+ * @returns {string[][]} 요소 목록 (역위상 순서: 다른 요소가 가리키는 요소가 먼저 나옴)
+ */
+export const findStronglyConnectedComponents = (adjacency) => {
+  const indexOf = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  adjacency.forEach((_, root) => {
+    if (indexOf.has(root)) return;
+
+    // [노드, 다음에 볼 이웃 위치]
+    const work = [[root, 0]];
+    indexOf.set(root, nextIndex);
+    lowLink.set(root, nextIndex);
+    nextIndex++;
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const [node, position] = frame;
+      const neighbors = adjacency.get(node);
+
+      if (position < neighbors.length) {
+        frame[1]++;
+        const next = neighbors[position];
+        if (!indexOf.has(next)) {
+          indexOf.set(next, nextIndex);
+          lowLink.set(next, nextIndex);
+          nextIndex++;
+          stack.push(next);
+          onStack.add(next);
+          work.push([next, 0]);
+        } else if (onStack.has(next)) {
+          lowLink.set(node, Math.min(lowLink.get(node), indexOf.get(next)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1][0];
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(node)));
+      }
+
+      if (lowLink.get(node) === indexOf.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    }
+  });
+
+  return components;
+};
+
+/**
+ * 요소 안에서 start로 돌아오는 가장 짧은 경로를 찾는다 (BFS).
+ *
+ * @returns {string[] | null} [start, ..., start] 또는 순환이 없으면 null
+ */
+export const findCyclePath = (start, members, adjacency) => {
+  const memberSet = new Set(members);
+  const previous = new Map();
+  const queue = [start];
+
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    for (const next of adjacency.get(node) || []) {
+      if (!memberSet.has(next)) continue;
+      if (next === start) {
+        const path = [start];
+        for (let current = node; current !== start; current = previous.get(current)) path.unshift(current);
+        path.unshift(start);
+        return path;
+      }
+      if (!previous.has(next)) {
+        previous.set(next, node);
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * 순환(노드가 둘 이상인 요소, 또는 자기 자신을 가리키는 노드)만 골라 대표 경로와 함께 돌려준다.
+ *
+ * @param {string[]} nodeIds
+ * @param {Array<{ from: string, to: string }>} edges
+ * @returns {Array<{ members: string[], path: string[] }>} members는 정렬됨, path는 members[0]에서 시작해 돌아오는 경로
+ */
+export const findCycles = (nodeIds, edges) => {
+  const adjacency = buildAdjacency(nodeIds, edges);
+  return findStronglyConnectedComponents(adjacency)
+    .filter(component => component.length > 1 || adjacency.get(component[0]).includes(component[0]))
+    .map(component => {
+      const members = [...component].sort();
+      return { members, path: findCyclePath(members[0], members, adjacency) };
+    })
+    .sort((a, b) => b.members.length - a.members.length || a.members[0].localeCompare(b.members[0]));
+};
@@ -0,0 +1,80 @@
+// ============================================
+// 파일별 분석 결과를 프로젝트 요약으로 통합
+// ============================================
+
+import { ACCESSIBILITY_CATEGORY } from './rules/index.js';
+import { buildFunctionGraph } from './callGraph.js';
+
+// profile: 점수를 계산한 프로필 (요약에 id/이름만 기록)
+// moduleGraph: import한 함수를 다른 파일의 정의로 연결할 때 쓰는 모듈 그래프 (없으면 외부 함수로 취급)
+export const summarizeResults = (analysisResults, profile = null, moduleGraph = null) => {
+  const validResults = analysisResults.filter(r => !r.error);
+  
+  // 함수 의존성 그래프 통합 (import한 함수는 모듈 그래프를 따라 정의한 파일의 함수로 연결)
+  const linked = buildFunctionGraph(validResults, moduleGraph);
+  const combinedDependencyAnalysis = {
+    functions: linked.functions,
+    allFunctions: linked.functions.map(fn => fn.id),
+    components: [...new Set(validResults.flatMap(r => r.dependencyAnalysis?.components || []))],
+    dependencies: linked.dependencies,
+    functionTypes: linked.functionTypes,
+    cycles: linked.cycles,
+    unresolvedCalls: linked.unresolvedCalls,
+  };
+  
+  // 접근성 점수는 JSX가 있는 파일만 평균 (없으면 null)
+  const accessibilityScores = validResults.map(r => r.accessibilityScore).filter(score => score != null);
+
+  // 주석 밀도는 파일 평균이 아니라 프로젝트 전체 줄 수로 계산 (작은 파일에 끌려가지 않도록)
+  const countedLines = validResults.reduce((sum, r) => sum + (r.lines?.source || 0) + (r.lines?.comment || 0), 0);
+  const commentLines = validResults.reduce((sum, r) => sum + (r.lines?.comment || 0), 0);
+
+  const summary = {
+    totalFiles: analysisResults.length,
+    totalLOC: analysisResults.reduce((sum, r) => sum + (r.loc || 0), 0),
+    totalSLOC: validResults.reduce((sum, r) => sum + (r.lines?.source || 0), 0),
+    totalCommentLines: validResults.reduce((sum, r) => sum + (r.lines?.comment || 0), 0),
+    totalBlankLines: validResults.reduce((sum, r) => sum + (r.lines?.blank || 0), 0),
+    totalFunctions: validResults.reduce((sum, r) => sum + (r.functions?.length || 0), 0),
+    totalVariables: validResults.reduce((sum, r) => sum + (r.variables?.length || 0), 0),
+    totalEventHandlers: validResults.reduce((sum, r) => sum + (r.eventHandlers?.length || 0), 0),
+    totalComponents: validResults.reduce((sum, r) => sum + (r.components?.length || 0), 0),
+    totalHooks: [...new Set(validResults.flatMap(r => r.hooks || []))],
+    totalImports: [...new Set(validResults.flatMap(r => r.imports?.map(i => i.source) || []))],
+    totalIssues: validResults.reduce((sum, r) => sum + (r.issues?.length || 0), 0),
+    avgQualityScore: validResults.length > 0 ? Math.round(
+      validResults.reduce((sum, r) => sum + r.qualityScore, 0) / validResults.length
+    ) : 0,
+    avgAccessibilityScore: accessibilityScores.length > 0 ? Math.round(
+      accessibilityScores.reduce((sum, score) => sum + score, 0) / accessibilityScores.length
+    ) : null,
+    totalAccessibilityIssues: validResults.reduce(
+      (sum, r) => sum + (r.issues?.filter(issue => issue.type === ACCESSIBILITY_CATEGORY).length || 0), 0
+    ),
+    avgCyclomaticComplexity: validResults.length > 0 ? Math.round(
+      validResults.reduce((sum, r) => sum + (r.metrics?.cyclomaticComplexity || 0), 0) / validResults.length
+    ) : 0,
+    avgCognitiveComplexity: validResults.length > 0 ? Math.round(
+      validResults.reduce((sum, r) => sum + (r.metrics?.cognitiveComplexity || 0), 0) / validResults.length
+    ) : 0,
+    avgMaintainabilityIndex: validResults.length > 0 ? Math.round(
+      validResults.reduce((sum, r) => sum + (r.metrics?.maintainabilityIndex || 0), 0) / validResults.length
+    ) : 0,
+    avgHalsteadVolume: validResults.length > 0 ? Math.round(
+      validResults.reduce((sum, r) => sum + (r.metrics?.halstead?.volume || 0), 0) / validResults.length
+    ) : 0,
+    avgHalsteadDifficulty: validResults.length > 0 ? Number((
+      validResults.reduce((sum, r) => sum + (r.metrics?.halstead?.difficulty || 0), 0) / validResults.length
+    ).toFixed(1)) : 0,
+    totalHalsteadEffort: Math.round(validResults.reduce((sum, r) => sum + (r.metrics?.halstead?.effort || 0), 0)),
+    totalEstimatedBugs: Number(validResults.reduce((sum, r) => sum + (r.metrics?.halstead?.bugs || 0), 0).toFixed(2)),
+    commentDensity: countedLines > 0 ? Number(((commentLines / countedLines) * 100).toFixed(1)) : 0,
+    totalCBO: validResults.reduce((sum, r) => sum + (r.metrics?.cbo || 0), 0),
+    totalWMC: validResults.reduce((sum, r) => sum + (r.metrics?.wmc || 0), 0),
+    totalAnalysisTime: validResults.reduce((sum, r) => sum + parseFloat(r.analysisTime || 0), 0).toFixed(2),
+    dependencyAnalysis: combinedDependencyAnalysis,
+    scoringProfile: profile ? { id: profile.id, name: profile.name } : null,
+  };
+
+  return summary;
+};
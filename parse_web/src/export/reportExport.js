@@ -0,0 +1,266 @@
+// ============================================
+// 분석 결과 내보내기 (JSON / CSV / HTML)
+// ============================================
+
+import { formatLocation, upgradeLegacyResults } from '../engine/index.js';
+
+export const REPORT_FORMAT = 'react-code-analyzer-report';
+// 2: 함수 그래프 노드 id가 '파일#이름' (1은 이름만)
+export const REPORT_VERSION = 2;
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// 전체 results 객체를 그대로 담고, 다시 불러올 때 확인할 수 있도록 형식 정보를 붙인다
+export const buildJsonReport = (results) => JSON.stringify({
+  format: REPORT_FORMAT,
+  version: REPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  results,
+}, null, 2);
+
+// buildJsonReport로 저장한 파일을 다시 읽어 results 객체를 돌려준다 (이전 버전은 현재 형식으로 변환)
+export const parseJsonReport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('JSON 형식이 아닙니다.');
+  }
+  if (data?.format !== REPORT_FORMAT || !data.results?.files || !data.results?.summary) {
+    throw new Error('React Code Analyzer에서 내보낸 JSON 리포트가 아닙니다.');
+  }
+  if (data.version > REPORT_VERSION) {
+    throw new Error(`지원하지 않는 리포트 버전입니다: ${data.version}`);
+  }
+  return { ...upgradeLegacyResults(data.results), exportedAt: data.exportedAt };
+};
+
+const CSV_COLUMNS = [
+  { header: 'file', value: f => f.filename },
+  { header: 'loc', value: f => f.loc },
+  { header: 'sloc', value: f => f.lines?.source },
+  { header: 'commentLines', value: f => f.lines?.comment },
+  { header: 'blankLines', value: f => f.lines?.blank },
+  { header: 'commentDensity', value: f => f.lines?.commentDensity },
+  { header: 'cyclomaticComplexity', value: f => f.metrics?.cyclomaticComplexity },
+  { header: 'cognitiveComplexity', value: f => f.metrics?.cognitiveComplexity },
+  { header: 'maintainabilityIndex', value: f => f.metrics?.maintainabilityIndex },
+  { header: 'halsteadVolume', value: f => f.metrics?.halstead?.volume },
+  { header: 'halsteadDifficulty', value: f => f.metrics?.halstead?.difficulty },
+  { header: 'halsteadEffort', value: f => f.metrics?.halstead?.effort },
+  { header: 'halsteadBugs', value: f => f.metrics?.halstead?.bugs },
+  { header: 'cbo', value: f => f.metrics?.cbo },
+  { header: 'wmc', value: f => f.metrics?.wmc },
+  { header: 'qualityScore', value: f => f.qualityScore },
+  { header: 'accessibilityScore', value: f => f.accessibilityScore },
+  { header: 'issues', value: f => f.issues?.length },
+  { header: 'error', value: f => f.error },
+];
+
+const escapeCsv = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 파일 하나당 한 행. Excel에서 한글이 깨지지 않도록 BOM을 붙인다
+export const buildCsvReport = (results) => {
+  const rows = [
+    CSV_COLUMNS.map(c => c.header).join(','),
+    ...results.files.map(file => CSV_COLUMNS.map(c => escapeCsv(c.value(file))).join(',')),
+  ];
+  return '\uFEFF' + rows.join('\r\n');
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const getScoreColor = (score) => {
+  if (score >= 80) return '#22c55e';
+  if (score >= 60) return '#eab308';
+  if (score >= 40) return '#f97316';
+  return '#ef4444';
+};
+
+// 화면에 그려진 차트 컨테이너에서 SVG 마크업을 꺼낸다
+export const captureSvg = (container) => {
+  const svg = container?.querySelector('svg');
+  if (!svg) return '';
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  // 호버 툴팁(foreignObject)은 정적 리포트에서 의미가 없으므로 제거
+  clone.querySelectorAll('foreignObject').forEach(el => el.remove());
+  return clone.outerHTML;
+};
+
+const DEAD_CODE_SECTIONS = [
+  ['unusedExports', '미사용 export'],
+  ['unusedFunctions', '미사용 함수'],
+  ['unrenderedComponents', '렌더링 안 된 컴포넌트'],
+  ['unusedImports', '미사용 import'],
+  ['unusedVariables', '미사용 변수'],
+];
+
+// 미사용 코드 종류별 접을 수 있는 목록
+const buildDeadCodeSection = (deadCode) => {
+  if (!deadCode) return '';
+  const groups = DEAD_CODE_SECTIONS
+    .filter(([key]) => deadCode[key].length > 0)
+    .map(([key, label]) => {
+      const items = deadCode[key]
+        .map(item => `<li><code>${escapeHtml(item.local ?? item.name)}</code> ${escapeHtml(item.file)}${item.loc ? ` <code>L${item.loc.start.line}</code>` : ''}</li>`)
+        .join('');
+      return `<details><summary>${escapeHtml(label)} (${deadCode[key].length})</summary><ul class="plain">${items}</ul></details>`;
+    })
+    .join('');
+  const entries = deadCode.entryFiles.length > 0 ? deadCode.entryFiles.join(', ') : `없음 (${deadCode.entryPoints.join(', ')})`;
+  return `<section class="card"><h2>🧹 미사용 코드</h2><div class="meta">진입점: ${escapeHtml(entries)}</div>${groups || '<p>발견된 항목이 없습니다.</p>'}</section>`;
+};
+
+/**
+ * 오프라인에서 열 수 있는 단일 HTML 리포트를 만든다.
+ * svgs: { gauge, radar, diagram, modules } — captureSvg로 얻은 SVG 마크업
+ */
+export const buildHtmlReport = (results, svgs = {}) => {
+  const { summary, files, moduleGraph, deadCode } = results;
+  const moduleCycles = (moduleGraph?.cycles || [])
+    .map(cycle => `<div class="cycle">🔁 ${escapeHtml(cycle.path.join(' → '))}</div>`)
+    .join('');
+  const generatedAt = new Date().toLocaleString('ko-KR');
+
+  const summaryRows = [
+    ['파일 수', summary.totalFiles],
+    ['총 LOC', summary.totalLOC],
+    ['SLOC / 주석 / 빈 줄', `${summary.totalSLOC ?? '-'} / ${summary.totalCommentLines ?? '-'} / ${summary.totalBlankLines ?? '-'}`],
+    ['주석 밀도', summary.commentDensity != null ? `${summary.commentDensity}%` : '-'],
+    ['함수 / 컴포넌트', `${summary.totalFunctions} / ${summary.totalComponents}`],
+    ['평균 순환 복잡도', summary.avgCyclomaticComplexity],
+    ['평균 인지 복잡도', summary.avgCognitiveComplexity ?? '-'],
+    ['평균 유지보수 지수', summary.avgMaintainabilityIndex],
+    ['평균 Halstead 볼륨 / 난이도', `${summary.avgHalsteadVolume ?? '-'} / ${summary.avgHalsteadDifficulty ?? '-'}`],
+    ['예상 버그 (Halstead)', summary.totalEstimatedBugs ?? '-'],
+    ['총 CBO / WMC', `${summary.totalCBO} / ${summary.totalWMC}`],
+    ['이슈', summary.totalIssues],
+    ['평균 접근성 점수', summary.avgAccessibilityScore ?? '-'],
+    ['접근성 이슈', summary.totalAccessibilityIssues ?? 0],
+  ].map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+  const fileRows = files.map(file => {
+    const issues = (file.issues || [])
+      .map(issue => `<li>[${escapeHtml(issue.severity)}] ${escapeHtml(issue.message)}${issue.loc ? ` <code>${formatLocation(issue.loc)}</code>` : ''}</li>`)
+      .join('');
+    if (file.error) {
+      return `<tr><td>${escapeHtml(file.filename)}</td><td colspan="7" class="error">파싱 에러: ${escapeHtml(file.error)}</td></tr>`;
+    }
+    return `<tr>
+      <td>${escapeHtml(file.filename)}</td>
+      <td class="num" style="color:${getScoreColor(file.qualityScore)}">${file.qualityScore}</td>
+      <td class="num">${file.loc}</td>
+      <td class="num">${file.metrics.cyclomaticComplexity}</td>
+      <td class="num">${file.metrics.maintainabilityIndex}</td>
+      <td class="num">${file.metrics.cbo}</td>
+      <td class="num">${file.metrics.wmc}</td>
+      <td>${issues ? `<ul>${issues}</ul>` : '-'}</td>
+    </tr>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8" />
+<title>React Code Analyzer 리포트</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1f2937; background: #f8fafc; margin: 0; padding: 40px 20px; }
+  main { max-width: 1200px; margin: 0 auto; }
+  h1 { color: #6366f1; font-size: 26px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 0 0 16px; }
+  .meta { color: #9ca3af; font-size: 12px; margin-bottom: 24px; }
+  .cycle { color: #991b1b; background: #fef2f2; border-radius: 8px; padding: 6px 10px; margin-top: 8px; font-size: 12px; font-family: 'JetBrains Mono', monospace; }
+  .card { background: #fff; border: 1px solid #f3f4f6; border-radius: 16px; box-shadow: 0 2px 12px rgba(0,0,0,0.06); padding: 24px; margin-bottom: 24px; overflow: auto; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(350px, 1fr)); gap: 24px; }
+  .gauge { position: relative; width: 200px; height: 200px; margin: 0 auto; }
+  .gauge-score { position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); text-align: center; }
+  .gauge-score strong { font-size: 48px; display: block; line-height: 1; }
+  .gauge-score span { color: #9ca3af; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+  th { color: #6b7280; font-weight: 600; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  td.error { color: #dc2626; }
+  ul { margin: 0; padding-left: 16px; color: #dc2626; }
+  ul.plain { color: #374151; font-size: 13px; margin: 8px 0; }
+  details { margin-bottom: 8px; }
+  summary { cursor: pointer; font-weight: 600; font-size: 14px; }
+</style>
+</head>
+<body>
+<main>
+  <h1>⚛️ React Code Analyzer 리포트</h1>
+  <div class="meta">생성 시각: ${escapeHtml(generatedAt)}</div>
+
+  <div class="grid">
+    <section class="card">
+      <h2>🎯 코드 품질 점수</h2>
+      <div class="gauge">
+        ${svgs.gauge || ''}
+        <div class="gauge-score">
+          <strong style="color:${getScoreColor(summary.avgQualityScore)}">${summary.avgQualityScore}</strong>
+          <span>/ 100</span>
+        </div>
+      </div>
+    </section>
+    <section class="card">
+      <h2>📊 요약</h2>
+      <table>${summaryRows}</table>
+    </section>
+  </div>
+
+  ${svgs.radar ? `<section class="card"><h2>📡 확장 메트릭 레이더</h2><div style="text-align:center">${svgs.radar}</div></section>` : ''}
+  ${svgs.diagram ? `<section class="card"><h2>🔗 함수 의존성 다이어그램</h2>${svgs.diagram}</section>` : ''}
+  ${svgs.modules ? `<section class="card"><h2>📦 모듈 의존성 그래프</h2><div style="overflow:auto">${svgs.modules}</div>${moduleCycles}</section>` : ''}
+  ${buildDeadCodeSection(deadCode)}
+
+  <section class="card">
+    <h2>📁 파일별 분석 결과</h2>
+    <table>
+      <thead><tr><th>파일</th><th>점수</th><th>LOC</th><th>CC</th><th>MI</th><th>CBO</th><th>WMC</th><th>이슈</th></tr></thead>
+      <tbody>${fileRows}</tbody>
+    </table>
+  </section>
+</main>
+</body>
+</html>
+`;
+};
+
+export const exportResults = (format, results, svgs) => {
+  const base = `code-analysis-${timestamp()}`;
+  switch (format) {
+    case 'json':
+      downloadFile(buildJsonReport(results), `${base}.json`, 'application/json');
+      break;
+    case 'csv':
+      downloadFile(buildCsvReport(results), `${base}.csv`, 'text/csv;charset=utf-8');
+      break;
+    case 'html':
+      downloadFile(buildHtmlReport(results, svgs), `${base}.html`, 'text/html;charset=utf-8');
+      break;
+    default:
+      throw new Error(`지원하지 않는 내보내기 형식입니다: ${format}`);
+  }
+};
@@ -0,0 +1,102 @@
+// ============================================
+// 분석 기록 저장소 (IndexedDB)
+// 목록/추세 조회용 요약(runs)과 다시 열기용 전체 결과(results)를 따로 저장
+// ============================================
+
+import { upgradeLegacyResults } from '../engine/index.js';
+
+const DB_NAME = 'react-code-analyzer';
+const DB_VERSION = 1;
+const RUNS_STORE = 'runs';
+const RESULTS_STORE = 'results';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('이 브라우저는 IndexedDB를 지원하지 않습니다.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const runs = db.createObjectStore(RUNS_STORE, { keyPath: 'id', autoIncrement: true });
+      runs.createIndex('createdAt', 'createdAt');
+      runs.createIndex('projectName', 'projectName');
+      db.createObjectStore(RESULTS_STORE, { keyPath: 'id' });
+    };
+    dbPromise = requestToPromise(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// 추세 차트에 쓰는 요약 지표만 추림
+const pickTrendMetrics = (summary) => ({
+  totalFiles: summary.totalFiles,
+  totalLOC: summary.totalLOC,
+  avgQualityScore: summary.avgQualityScore,
+  avgAccessibilityScore: summary.avgAccessibilityScore,
+  avgCyclomaticComplexity: summary.avgCyclomaticComplexity,
+  avgMaintainabilityIndex: summary.avgMaintainabilityIndex,
+  totalIssues: summary.totalIssues,
+});
+
+export const saveRun = async (projectName, results) => {
+  const db = await openDatabase();
+  const tx = db.transaction([RUNS_STORE, RESULTS_STORE], 'readwrite');
+  const run = {
+    projectName,
+    createdAt: Date.now(),
+    metrics: pickTrendMetrics(results.summary),
+  };
+  const id = await requestToPromise(tx.objectStore(RUNS_STORE).add(run));
+  tx.objectStore(RESULTS_STORE).put({ id, results });
+  await transactionDone(tx);
+  return { ...run, id };
+};
+
+// 오래된 기록부터 정렬된 요약 목록
+export const listRuns = async () => {
+  const db = await openDatabase();
+  const tx = db.transaction(RUNS_STORE, 'readonly');
+  return requestToPromise(tx.objectStore(RUNS_STORE).index('createdAt').getAll());
+};
+
+// 함수 그래프 id 형식이 바뀌기 전에 저장한 기록은 현재 형식으로 변환해 돌려준다
+export const loadRunResults = async (id) => {
+  const db = await openDatabase();
+  const tx = db.transaction(RESULTS_STORE, 'readonly');
+  const record = await requestToPromise(tx.objectStore(RESULTS_STORE).get(id));
+  return record?.results ? upgradeLegacyResults(record.results) : null;
+};
+
+export const deleteRun = async (id) => {
+  const db = await openDatabase();
+  const tx = db.transaction([RUNS_STORE, RESULTS_STORE], 'readwrite');
+  tx.objectStore(RUNS_STORE).delete(id);
+  tx.objectStore(RESULTS_STORE).delete(id);
+  await transactionDone(tx);
+};
+
+// 업로드한 파일로 프로젝트 이름을 정함 (ZIP 이름 우선)
+export const deriveProjectName = (uploadedFiles) => {
+  const zip = uploadedFiles.find(f => f.name.endsWith('.zip'));
+  if (zip) return zip.name.replace(/\.zip$/, '');
+  if (uploadedFiles.length === 1) return uploadedFiles[0].name;
+  if (uploadedFiles.length > 1) return `${uploadedFiles[0].name} 외 ${uploadedFiles.length - 1}개`;
+  return '이름 없는 프로젝트';
+};
@@ -0,0 +1,85 @@
+// ============================================
+// 소스 뷰어용 경량 구문 강조
+// 파서 없이 정규식 토큰화만 하므로 메인 스레드에서 바로 돌릴 수 있다
+// ============================================
+
+const KEYWORDS = new Set([
+  'abstract', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'finally', 'for',
+  'from', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new',
+  'of', 'private', 'protected', 'public', 'readonly', 'return', 'static', 'super', 'switch', 'this',
+  'throw', 'try', 'type', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+]);
+
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity']);
+
+// 순서가 중요: 주석 → 문자열 → 숫자 → JSX 태그 → 식별자 → 그 외 한 글자
+const TOKEN_PATTERN = new RegExp([
+  '(\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$))', // 1: 주석
+  '("(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?|`(?:[^`\\\\]|\\\\[\\s\\S])*`?)', // 2: 문자열
+  '(\\b\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?n?\\b|\\b0x[\\da-f]+\\b)', // 3: 숫자
+  '(<\\/?)([A-Za-z][\\w.]*)', // 4, 5: JSX 태그 시작 + 이름
+  '([A-Za-z_$][\\w$]*)', // 6: 식별자
+].join('|'), 'gi');
+
+export const TOKEN_COLORS = {
+  comment: '#6b7280',
+  string: '#16a34a',
+  number: '#ea580c',
+  keyword: '#7c3aed',
+  literal: '#ea580c',
+  tag: '#2563eb',
+  component: '#0891b2',
+  function: '#c026d3',
+  plain: '#1f2937',
+};
+
+const classifyIdentifier = (word, rest) => {
+  if (KEYWORDS.has(word)) return 'keyword';
+  if (LITERALS.has(word)) return 'literal';
+  if (/^\s*\(/.test(rest)) return 'function';
+  return 'plain';
+};
+
+// 전체 코드를 토큰으로 나눈 뒤 줄 단위 토큰 배열로 돌려준다
+// 여러 줄에 걸친 주석/템플릿 문자열도 줄마다 같은 색으로 잘라 넣는다
+export const highlightLines = (code) => {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(code)) !== null) {
+    if (match[0] === '') {
+      TOKEN_PATTERN.lastIndex++;
+      continue;
+    }
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'plain', text: code.slice(lastIndex, match.index) });
+    }
+
+    if (match[1]) tokens.push({ type: 'comment', text: match[1] });
+    else if (match[2]) tokens.push({ type: 'string', text: match[2] });
+    else if (match[3]) tokens.push({ type: 'number', text: match[3] });
+    else if (match[4]) {
+      tokens.push({ type: 'plain', text: match[4] });
+      tokens.push({ type: /^[A-Z]/.test(match[5]) ? 'component' : 'tag', text: match[5] });
+    } else {
+      const rest = code.slice(TOKEN_PATTERN.lastIndex, TOKEN_PATTERN.lastIndex + 3);
+      tokens.push({ type: classifyIdentifier(match[6], rest), text: match[6] });
+    }
+    lastIndex = TOKEN_PATTERN.lastIndex;
+  }
+  if (lastIndex < code.length) {
+    tokens.push({ type: 'plain', text: code.slice(lastIndex) });
+  }
+
+  const lines = [[]];
+  tokens.forEach(token => {
+    token.text.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type: token.type, text: part });
+    });
+  });
+  return lines;
+};
@@ -0,0 +1,12 @@
+import { analyzeFile } from '../engine/index.js';
+
+// 메인 스레드에서 파일 하나씩 받아 분석 후 결과를 돌려준다
+self.onmessage = (e) => {
+  const { id, filename, content, options } = e.data;
+
+  try {
+    self.postMessage({ id, result: analyzeFile({ name: filename, content }, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
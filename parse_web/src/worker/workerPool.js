@@ -0,0 +1,113 @@
+// ============================================
+// 분석 Web Worker 풀
+// ============================================
+
+const getDefaultPoolSize = () => {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+  return Math.max(1, Math.min(4, (cores || 2) - 1));
+};
+
+const createAbortError = () => new DOMException('분석이 취소되었습니다.', 'AbortError');
+
+export const createWorkerPool = (size = getDefaultPoolSize()) => {
+  const workers = [];
+
+  const spawnWorker = () => new Worker(
+    new URL('./analyzer.worker.js', import.meta.url),
+    { type: 'module' }
+  );
+
+  const terminate = () => {
+    workers.forEach(w => w.terminate());
+    workers.length = 0;
+  };
+
+  // files: [{ name, content }]
+  // 결과는 입력 순서대로 반환된다
+  // 파일을 워커에 넘길 때 onFileStart, 파일 하나가 끝날 때마다 onProgress가 호출된다
+  // analysisOptions(점수 프로필 등)는 파일마다 워커로 함께 전달된다
+  const run = (files, { onProgress, onFileStart, signal, analysisOptions } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const results = new Array(files.length);
+    let nextIndex = 0;
+    let completed = 0;
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', handleAbort);
+      terminate();
+      if (error) reject(error);
+      else resolve(results);
+    };
+
+    const handleAbort = () => finish(createAbortError());
+    signal?.addEventListener('abort', handleAbort);
+
+    if (files.length === 0) {
+      finish();
+      return;
+    }
+
+    const dispatch = (worker) => {
+      if (nextIndex >= files.length) return;
+      const id = nextIndex++;
+      worker.currentId = id;
+      onFileStart?.({ filename: files[id].name });
+      worker.postMessage({ id, filename: files[id].name, content: files[id].content, options: analysisOptions });
+    };
+
+    const handleResult = (worker, id, result) => {
+      if (settled) return;
+      results[id] = result;
+      completed++;
+      onProgress?.({ completed, total: files.length, filename: files[id].name, result });
+
+      if (completed === files.length) {
+        finish();
+      } else {
+        dispatch(worker);
+      }
+    };
+
+    const toErrorResult = (id, message) => ({
+      filename: files[id].name,
+      error: message,
+      loc: files[id].content.split('\n').length,
+    });
+
+    const attach = (worker) => {
+      worker.onmessage = (e) => {
+        const { id, result, error } = e.data;
+        handleResult(worker, id, error ? toErrorResult(id, error) : result);
+      };
+
+      // 워커 자체가 죽은 경우 해당 파일만 에러로 기록하고 새 워커로 교체
+      worker.onerror = (e) => {
+        e.preventDefault();
+        const id = worker.currentId;
+        worker.terminate();
+
+        const replacement = attach(spawnWorker());
+        workers[workers.indexOf(worker)] = replacement;
+        handleResult(replacement, id, toErrorResult(id, e.message || '워커 실행 중 오류가 발생했습니다.'));
+      };
+
+      return worker;
+    };
+
+    const workerCount = Math.min(size, files.length);
+    for (let i = 0; i < workerCount; i++) {
+      const worker = attach(spawnWorker());
+      workers.push(worker);
+      dispatch(worker);
+    }
+  });
+
+  return { run, terminate };
+};
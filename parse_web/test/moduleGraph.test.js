@@ -0,0 +1,32 @@
+// 모듈 그래프: 경로 별칭은 파일에 적용되는 모든 설정 파일에서 찾고, 타입만 주고받는 import는 런타임 순환으로 보지 않음
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeProject, buildModuleGraph } from '../src/engine/index.js';
+
+const files = [
+  { filename: 'src/App.tsx', imports: [{ source: '@/util', kind: 'import' }] },
+  { filename: 'src/util.ts', imports: [] },
+];
+const rootConfig = { name: 'tsconfig.json', content: '{ "files": [], "references": [{ "path": "./tsconfig.app.json" }] }' };
+const appConfig = {
+  name: 'tsconfig.app.json',
+  content: '{ "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["./src/*"] } } }',
+};
+
+test('paths가 references만 있는 tsconfig.json 옆의 tsconfig.app.json에 있어도 별칭을 해석한다', () => {
+  [[rootConfig, appConfig], [appConfig, rootConfig]].forEach(configFiles => {
+    const graph = buildModuleGraph(files, { configFiles });
+    assert.equal(graph.resolved['src/App.tsx']['@/util'], 'src/util.ts');
+    assert.deepEqual(graph.externalPackages, []);
+  });
+});
+
+test('타입만 주고받는 두 파일은 순환 import로 보지 않는다', async () => {
+  const { moduleGraph, files: results } = await analyzeProject([
+    { name: 'src/a.ts', content: "import type { B } from './b';\nexport type A = { b?: B };\nexport const makeA = (): A => ({});\n" },
+    { name: 'src/b.ts', content: "export type { A } from './a';\nimport type { A } from './a';\nexport type B = { a?: A };\n" },
+  ]);
+  assert.deepEqual(moduleGraph.cycles, []);
+  assert.ok(moduleGraph.edges.every(edge => edge.typeOnly));
+  assert.deepEqual(results.flatMap(file => file.issues).filter(issue => issue.ruleId === 'architecture/no-circular-imports'), []);
+});
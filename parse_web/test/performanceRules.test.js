@@ -0,0 +1,26 @@
+// performance/lazy-state-initializer는 렌더링마다 다시 계산하면 비싼 초기값만 보고해야 함
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCode } from '../src/engine/index.js';
+
+const lazyStateIssues = (body) => {
+  const code = `import { useState } from 'react';\nexport const Panel = ({ deadCode, items, page }) => {\n${body}\n  return null;\n};\n`;
+  return analyzeCode(code, 'src/Panel.jsx').issues.filter(issue => issue.ruleId === 'performance/lazy-state-initializer');
+};
+
+test('값 읽기와 가벼운 내장 호출로 만든 초기값은 보고하지 않는다', () => {
+  assert.deepEqual(lazyStateIssues(`
+  const [draft] = useState(deadCode.entryPoints.join(', '));
+  const [count] = useState(Number(page));
+  const [max] = useState(Math.max(items.length, 1));
+  const [selected] = useState(new Set());
+  const [label] = useState(\`\${page}\`.padStart(2, '0'));`), []);
+});
+
+test('함수 호출로 계산하는 초기값은 보고한다', () => {
+  const issues = lazyStateIssues(`
+  const [rows] = useState(buildRows(items));
+  const [saved] = useState(JSON.parse(localStorage.getItem('draft')));
+  const [ids] = useState(new Set(items.map(item => item.id)));`);
+  assert.equal(issues.length, 3);
+});
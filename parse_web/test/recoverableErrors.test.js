@@ -0,0 +1,20 @@
+// 복구 가능한 파싱 오류가 있는 파일도 스코프 분석 없이 나머지 분석은 끝까지 해야 함
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeProject } from '../src/engine/index.js';
+
+test('중복 선언이 있는 파일도 분석 실패로 처리하지 않는다', async () => {
+  const { files, deadCode } = await analyzeProject([
+    { name: 'src/main.js', content: "import { format } from './format';\nlet a = 1;\nlet a = 2;\nexport const run = () => format(a);\n" },
+    { name: 'src/format.js', content: 'export const format = (value) => String(value);\nexport const unused = () => 0;\n' },
+  ]);
+
+  const main = files.find(file => file.filename === 'src/main.js');
+  assert.equal(main.error, undefined);
+  assert.equal(main.usage.incomplete, true);
+  assert.deepEqual(main.dependencyAnalysis.functions, []);
+  assert.ok(main.qualityScore >= 0);
+
+  // 스코프 분석에 실패한 파일이 import한 파일의 export는 미사용으로 보고하지 않음
+  assert.deepEqual(deadCode.unusedExports.filter(entry => entry.file === 'src/format.js'), []);
+});